@@ -16,6 +16,12 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Background jobs
+require("./jobs/productExpiry").startProductExpiryJob();
+require("./jobs/searchIndex").startSearchIndexBackfill();
+require("./jobs/savedSearchAlerts").startSavedSearchAlerts();
+require("./jobs/favouriteAlerts").startFavouriteAlerts();
+
 // Security setup (CORS, rate limiting, sanitization, etc.)
 setupSecurity(app);
 
@@ -70,7 +76,16 @@ app.use("/api/v1/shops", require("./routes/shopRoutes"));
 app.use("/api/v1/ads", require("./routes/adsRoutes"));
 app.use("/api/v1/admin", require("./routes/adminApprovalRoutes"));
 app.use("/api/v1/admin/stats", require("./routes/adminStatsRoute"));
+app.use("/api/v1/admin/audit-logs", require("./routes/auditLogRoutes"));
+app.use("/api/v1/admin/moderation-rules", require("./routes/moderationRuleRoutes"));
+app.use("/api/v1/admin/exchange-rates", require("./routes/exchangeRateRoutes"));
+app.use("/api/v1/admin/reports", require("./routes/adminReportRoutes"));
+app.use("/api/v1/categories", require("./routes/categoryRoutes"));
 app.use("/api/v1/marketplace", require("./routes/userRoutes"));
+app.use("/api/v1/saved-searches", require("./routes/savedSearchRoutes"));
+app.use("/api/v1/notifications", require("./routes/notificationRoutes"));
+app.use("/api/v1/favourites", require("./routes/favouriteRoutes"));
+app.use("/api/v1/reports", require("./routes/reportRoutes"));
 app.use("/api/v1/dashboard", require("./routes/dashboardRoutes"));
 
 // Catch unhandled routes
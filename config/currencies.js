@@ -0,0 +1,30 @@
+// Currencies prices can be listed in. Exchange rates are stored as the amount
+// of BASE_CURRENCY one unit buys, and products keep a normalised price in it.
+
+const BASE_CURRENCY = 'YER';
+
+const CURRENCIES = ['YER', 'USD', 'SAR', 'EUR'];
+
+// Decimal places shown for converted amounts
+const CURRENCY_DECIMALS = {
+  YER: 0,
+  USD: 2,
+  SAR: 2,
+  EUR: 2
+};
+
+// Lower bounds of the price ranges offered as search facets, in each currency;
+// the last range is open-ended
+const PRICE_FACET_BOUNDARIES = {
+  YER: [0, 100000, 250000, 500000, 1000000, 2500000, 5000000],
+  USD: [0, 100, 250, 500, 1000, 2500, 5000],
+  SAR: [0, 500, 1000, 2500, 5000, 10000, 25000],
+  EUR: [0, 100, 250, 500, 1000, 2500, 5000]
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  CURRENCY_DECIMALS,
+  PRICE_FACET_BOUNDARIES
+};
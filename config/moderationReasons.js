@@ -0,0 +1,20 @@
+// Reason codes a moderator picks when rejecting a listing. The label is shown
+// to the seller next to the moderator's free-text explanation.
+
+const REJECTION_REASONS = {
+  incomplete_information: 'Missing or incomplete product information',
+  poor_images: 'Images are missing, unclear or not of the actual product',
+  wrong_category: 'Listed under the wrong product type or condition',
+  misleading: 'Title, description or price is misleading',
+  prohibited_item: 'Item is not allowed on the marketplace',
+  duplicate: 'Duplicate of another listing',
+  contact_details: 'Contact details in the text instead of the contact fields',
+  other: 'Other'
+};
+
+const REJECTION_REASON_CODES = Object.keys(REJECTION_REASONS);
+
+module.exports = {
+  REJECTION_REASONS,
+  REJECTION_REASON_CODES
+};
@@ -0,0 +1,86 @@
+// Named permission presets for admin accounts. Each preset is a full
+// Admin.permissions matrix so applying one never leaves a resource unset.
+
+const PERMISSION_PRESETS = {
+  // Schema defaults - general day-to-day administration
+  admin: {
+    products: { create: false, read: true, update: true, delete: false, approve: true },
+    engineers: { create: true, read: true, update: true, delete: false },
+    shops: { create: true, read: true, update: true, delete: false },
+    ads: { create: true, read: true, update: true, delete: true },
+    users: { read: true, update: false, delete: false },
+    analytics: { read: true }
+  },
+  // Reviews listings, cannot create or delete anything
+  moderator: {
+    products: { create: false, read: true, update: true, delete: false, approve: true },
+    engineers: { create: false, read: true, update: false, delete: false },
+    shops: { create: false, read: true, update: false, delete: false },
+    ads: { create: false, read: true, update: false, delete: false },
+    users: { read: true, update: false, delete: false },
+    analytics: { read: false }
+  },
+  // Maintains the engineer and shop directories and the ads
+  content_manager: {
+    products: { create: false, read: true, update: false, delete: false, approve: false },
+    engineers: { create: true, read: true, update: true, delete: true },
+    shops: { create: true, read: true, update: true, delete: true },
+    ads: { create: true, read: true, update: true, delete: true },
+    users: { read: false, update: false, delete: false },
+    analytics: { read: true }
+  },
+  // Read-only access for reporting
+  analyst: {
+    products: { create: false, read: true, update: false, delete: false, approve: false },
+    engineers: { create: false, read: true, update: false, delete: false },
+    shops: { create: false, read: true, update: false, delete: false },
+    ads: { create: false, read: true, update: false, delete: false },
+    users: { read: true, update: false, delete: false },
+    analytics: { read: true }
+  }
+};
+
+const PRESET_NAMES = Object.keys(PERMISSION_PRESETS);
+
+// Every resource/action pair an admin can be granted
+const PERMISSION_MATRIX = Object.fromEntries(
+  Object.entries(PERMISSION_PRESETS.admin).map(([resource, actions]) => [resource, Object.keys(actions)])
+);
+
+const isKnownPermission = (resource, action) =>
+  Array.isArray(PERMISSION_MATRIX[resource]) && PERMISSION_MATRIX[resource].includes(action);
+
+// "resource.action" entries of a partial matrix that are unknown or not boolean
+const findInvalidPermissions = (permissions) => {
+  const invalid = [];
+  if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+    return ['permissions'];
+  }
+  Object.entries(permissions).forEach(([resource, actions]) => {
+    if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+      invalid.push(resource);
+      return;
+    }
+    Object.entries(actions).forEach(([action, value]) => {
+      if (!isKnownPermission(resource, action) || typeof value !== 'boolean') {
+        invalid.push(`${resource}.${action}`);
+      }
+    });
+  });
+  return invalid;
+};
+
+// Copy of a preset's permission matrix, or null for an unknown name
+const getPermissionPreset = (name) => {
+  if (!PERMISSION_PRESETS[name]) return null;
+  return JSON.parse(JSON.stringify(PERMISSION_PRESETS[name]));
+};
+
+module.exports = {
+  PERMISSION_PRESETS,
+  PRESET_NAMES,
+  PERMISSION_MATRIX,
+  getPermissionPreset,
+  isKnownPermission,
+  findInvalidPermissions
+};
@@ -0,0 +1,154 @@
+// Typed technical specifications per product type. Numeric fields can be
+// filtered by range in the product search (minRatedPowerKw / maxRatedPowerKw),
+// option fields by exact value (phase=three).
+
+const SPECIFICATION_FIELDS = {
+  ratedPowerKw: { kind: 'number', label: 'Rated power', unit: 'kW', min: 0.1, max: 1000 },
+  phase: { kind: 'option', label: 'Phase', values: ['single', 'split', 'three'] },
+  mpptMinVoltage: { kind: 'number', label: 'MPPT range minimum', unit: 'V', min: 0, max: 2000 },
+  mpptMaxVoltage: { kind: 'number', label: 'MPPT range maximum', unit: 'V', min: 0, max: 2000 },
+  powerWp: { kind: 'number', label: 'Peak power', unit: 'Wp', min: 1, max: 1000 },
+  cellType: { kind: 'option', label: 'Cell type', values: ['monocrystalline', 'polycrystalline', 'thin_film'] },
+  efficiency: { kind: 'number', label: 'Efficiency', unit: '%', min: 1, max: 50 },
+  chemistry: { kind: 'option', label: 'Chemistry', values: ['lifepo4', 'lithium_ion', 'lead_acid', 'agm', 'gel'] },
+  capacityAh: { kind: 'number', label: 'Capacity', unit: 'Ah', min: 1, max: 10000 },
+  voltage: { kind: 'number', label: 'Nominal voltage', unit: 'V', min: 1, max: 1500 },
+  cycles: { kind: 'number', label: 'Cycle life', unit: 'cycles', min: 1, max: 100000 }
+};
+
+// Which fields apply to which category key; subcategories take their nearest parent's fields,
+// other categories take no specifications
+const SPECIFICATIONS_BY_TYPE = {
+  Inverters: ['ratedPowerKw', 'phase', 'mpptMinVoltage', 'mpptMaxVoltage'],
+  'Solar Panels': ['powerWp', 'cellType', 'efficiency'],
+  Batteries: ['chemistry', 'capacityAh', 'voltage', 'cycles']
+};
+
+const SPECIFICATION_KEYS = Object.keys(SPECIFICATION_FIELDS);
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+// Query parameter names accepted by the product search for each field
+const filterParams = key => {
+  const suffix = key.charAt(0).toUpperCase() + key.slice(1);
+  return SPECIFICATION_FIELDS[key].kind === 'number' ? [`min${suffix}`, `max${suffix}`] : [key];
+};
+
+// Every query parameter buildSpecificationFilters reads
+const SPECIFICATION_FILTER_PARAMS = SPECIFICATION_KEYS.flatMap(filterParams);
+
+// Fields for a category given with its ancestors' keys, nearest first
+const specificationKeysFor = (types) => {
+  const type = [].concat(types).find(key => SPECIFICATIONS_BY_TYPE[key]);
+  return type ? SPECIFICATIONS_BY_TYPE[type] : [];
+};
+
+// Human readable problems with a specifications object for a product type (its key, or its key
+// followed by its ancestors' keys), [] when valid
+const findSpecificationErrors = (types, specifications) => {
+  if (isEmpty(specifications)) return [];
+  if (typeof specifications !== 'object' || Array.isArray(specifications)) {
+    return ['specifications must be an object'];
+  }
+
+  const type = [].concat(types)[0];
+  const allowed = specificationKeysFor(types);
+  const errors = [];
+
+  Object.entries(specifications).forEach(([key, value]) => {
+    if (isEmpty(value)) return;
+    const field = SPECIFICATION_FIELDS[key];
+
+    if (!field) {
+      errors.push(`Unknown specification "${key}"`);
+    } else if (!allowed.includes(key)) {
+      errors.push(`Specification "${key}" does not apply to ${type}`);
+    } else if (field.kind === 'number') {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !Number.isFinite(number)) {
+        errors.push(`${field.label} must be a number`);
+      } else if (number < field.min || number > field.max) {
+        errors.push(`${field.label} must be between ${field.min} and ${field.max} ${field.unit}`);
+      }
+    } else if (!field.values.includes(value)) {
+      errors.push(`${field.label} must be one of: ${field.values.join(', ')}`);
+    }
+  });
+
+  const { mpptMinVoltage, mpptMaxVoltage } = specifications;
+  if (!isEmpty(mpptMinVoltage) && !isEmpty(mpptMaxVoltage) && Number(mpptMinVoltage) > Number(mpptMaxVoltage)) {
+    errors.push('MPPT range minimum cannot be above its maximum');
+  }
+
+  return errors;
+};
+
+/**
+ * Build MongoDB conditions on `specifications.*` from search query parameters.
+ *
+ * @param {object} params - Request query
+ * @returns {{ conditions: object[], errors: string[] }}
+ */
+const buildSpecificationFilters = (params = {}) => {
+  const conditions = [];
+  const errors = [];
+
+  SPECIFICATION_KEYS.forEach((key) => {
+    const field = SPECIFICATION_FIELDS[key];
+    const path = `specifications.${key}`;
+
+    if (field.kind === 'option') {
+      const value = params[key];
+      if (isEmpty(value) || value === 'all') return;
+      if (!field.values.includes(value)) {
+        errors.push(`${key} must be one of: ${field.values.join(', ')}`);
+        return;
+      }
+      conditions.push({ [path]: value });
+      return;
+    }
+
+    const [minParam, maxParam] = filterParams(key);
+    const range = {};
+    [[minParam, '$gte'], [maxParam, '$lte']].forEach(([param, operator]) => {
+      if (isEmpty(params[param])) return;
+      const number = Number(params[param]);
+      if (!Number.isFinite(number)) {
+        errors.push(`${param} must be a number`);
+        return;
+      }
+      range[operator] = number;
+    });
+    if (Object.keys(range).length) conditions.push({ [path]: range });
+  });
+
+  return { conditions, errors };
+};
+
+/**
+ * Field definitions grouped by product type, for building forms and filters.
+ *
+ * @param {string[][]} [typeChains] - Category keys, each followed by its ancestors' keys;
+ *   defaults to the types that define fields
+ * @returns {object} types taking specifications, with their fields
+ */
+const describeSpecifications = (typeChains = Object.keys(SPECIFICATIONS_BY_TYPE).map(type => [type])) =>
+  Object.fromEntries(
+    typeChains
+      .map(types => [types[0], specificationKeysFor(types)])
+      .filter(([, keys]) => keys.length > 0)
+      .map(([type, keys]) => [
+        type,
+        keys.map(key => ({ key, ...SPECIFICATION_FIELDS[key], filters: filterParams(key) }))
+      ])
+  );
+
+module.exports = {
+  SPECIFICATION_FIELDS,
+  SPECIFICATIONS_BY_TYPE,
+  SPECIFICATION_KEYS,
+  SPECIFICATION_FILTER_PARAMS,
+  findSpecificationErrors,
+  buildSpecificationFilters,
+  describeSpecifications
+};
@@ -0,0 +1,42 @@
+// Spellings the marketplace search treats as the same word. Each group maps to its
+// first entry, so a seller writing "جروات" and a buyer typing "growatt" find each
+// other. Entries are folded the same way as the searched text.
+
+const SEARCH_SYNONYMS = [
+  // Brands
+  ['growatt', 'جروات', 'غروات', 'قروات'],
+  ['huawei', 'هواوي'],
+  ['deye', 'داي'],
+  ['victron', 'فكترون', 'فيكترون'],
+  ['jinko', 'جينكو', 'جنكو'],
+  ['longi', 'لونجي', 'لونغي'],
+  ['canadian', 'كنديان', 'كانديان'],
+  ['trina', 'ترينا'],
+  ['felicity', 'فليسيتي', 'فيليسيتي'],
+  ['must', 'ماست'],
+  ['pylontech', 'بايلونتك', 'بايلون'],
+  ['trojan', 'تروجان'],
+  ['sako', 'ساكو'],
+  ['voltronic', 'فولترونك', 'فولترونيك'],
+  ['schneider', 'شنايدر'],
+  ['tesla', 'تسلا'],
+  // Product words
+  ['inverter', 'inverters', 'انفرتر', 'انفيرتر', 'انفرترات', 'محول', 'محولات'],
+  ['panel', 'panels', 'لوح', 'الواح', 'لوحه', 'الواحه'],
+  ['solar', 'شمسي', 'شمسيه'],
+  ['battery', 'batteries', 'بطاريه', 'بطاريات'],
+  ['lithium', 'ليثيوم'],
+  ['gel', 'جل', 'جيل'],
+  ['controller', 'controllers', 'منظم', 'منظمات'],
+  ['cable', 'cables', 'كابل', 'كابلات', 'سلك', 'اسلاك'],
+  ['pump', 'pumps', 'مضخه', 'مضخات', 'غطاس'],
+  ['engineer', 'engineers', 'مهندس', 'مهندسين', 'فني', 'فنيين'],
+  ['installation', 'install', 'تركيب'],
+  ['maintenance', 'repair', 'صيانه', 'اصلاح'],
+  ['used', 'مستعمل', 'مستخدم'],
+  ['new', 'جديد']
+];
+
+module.exports = {
+  SEARCH_SYNONYMS
+};
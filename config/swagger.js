@@ -68,7 +68,7 @@ const swaggerDefinition = {
         required: ['phone', 'otp'],
         properties: {
           phone: { type: 'string', example: '+967777123456' },
-          otp: { type: 'string', example: '112233' }
+          otp: { type: 'string', example: '482917' }
         }
       },
       UserProfileUpdate: {
@@ -86,7 +86,7 @@ const swaggerDefinition = {
           id: { type: 'string', example: '64abc123def456789012345' },
           name: { type: 'string', example: '100W Solar Panel' },
           description: { type: 'string', example: 'High efficiency monocrystalline solar panel' },
-          type: { type: 'string', enum: ['Inverter', 'Panel', 'Battery', 'Accessory', 'Cable', 'Controller', 'Monitor', 'Other'] },
+          type: { type: 'string', description: 'Category key or alias (see GET /api/v1/categories)', example: 'Solar Panels' },
           condition: { type: 'string', enum: ['New', 'Used', 'Needs Repair', 'Refurbished'] },
           brand: { type: 'string', example: 'SolarTech' },
           model: { type: 'string', example: 'ST-100' },
@@ -102,16 +102,21 @@ const swaggerDefinition = {
             items: { type: 'string', format: 'url' },
             example: ['https://example.com/image1.jpg', 'https://example.com/image2.jpg']
           },
-          specifications: {
+          specifications: { $ref: '#/components/schemas/ProductSpecifications' },
+          status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'expired'] },
+          normalizedPrice: { type: 'number', nullable: true, description: 'Price in YER at the current exchange rate', example: 26500 },
+          convertedPrice: {
             type: 'object',
+            description: 'Only when the request asked for ?currency=; amount is null without a published rate',
             properties: {
-              power: { type: 'string', example: '100W' },
-              voltage: { type: 'string', example: '12V' },
-              capacity: { type: 'string', example: '100Ah' },
-              warranty: { type: 'string', example: '2 years' }
+              amount: { type: 'number', nullable: true, example: 50 },
+              currency: { type: 'string', example: 'USD' }
             }
           },
-          status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'sold', 'inactive'] },
+          saleStatus: { type: 'string', enum: ['available', 'reserved', 'sold'], example: 'available' },
+          soldAt: { type: 'string', format: 'date-time', nullable: true },
+          soldPrice: { type: 'number', nullable: true, example: 140000 },
+          soldCurrency: { type: 'string', enum: ['YER', 'USD', 'SAR', 'EUR'], nullable: true },
           views: { type: 'number', example: 25 },
           isNegotiable: { type: 'boolean', example: true },
           featured: { type: 'boolean', example: false },
@@ -119,13 +124,30 @@ const swaggerDefinition = {
           expiresAt: { type: 'string', format: 'date-time' }
         }
       },
+      ProductSpecifications: {
+        type: 'object',
+        description: 'Typed specifications; only the fields of the product type are accepted (see GET /api/v1/products/specifications)',
+        properties: {
+          ratedPowerKw: { type: 'number', minimum: 0.1, maximum: 1000, description: 'Inverters - rated power in kW', example: 5 },
+          phase: { type: 'string', enum: ['single', 'split', 'three'], description: 'Inverters' },
+          mpptMinVoltage: { type: 'number', minimum: 0, maximum: 2000, description: 'Inverters - MPPT range minimum in V', example: 120 },
+          mpptMaxVoltage: { type: 'number', minimum: 0, maximum: 2000, description: 'Inverters - MPPT range maximum in V', example: 450 },
+          powerWp: { type: 'number', minimum: 1, maximum: 1000, description: 'Solar Panels - peak power in Wp', example: 550 },
+          cellType: { type: 'string', enum: ['monocrystalline', 'polycrystalline', 'thin_film'], description: 'Solar Panels' },
+          efficiency: { type: 'number', minimum: 1, maximum: 50, description: 'Solar Panels - efficiency in %', example: 21.3 },
+          chemistry: { type: 'string', enum: ['lifepo4', 'lithium_ion', 'lead_acid', 'agm', 'gel'], description: 'Batteries' },
+          capacityAh: { type: 'number', minimum: 1, maximum: 10000, description: 'Batteries - capacity in Ah', example: 200 },
+          voltage: { type: 'number', minimum: 1, maximum: 1500, description: 'Batteries - nominal voltage in V', example: 48 },
+          cycles: { type: 'number', minimum: 1, maximum: 100000, description: 'Batteries - rated cycle life', example: 6000 }
+        }
+      },
       ProductCreate: {
         type: 'object',
         required: ['name', 'type', 'condition', 'price', 'phone', 'governorate', 'city'],
         properties: {
           name: { type: 'string', example: '100W Solar Panel' },
           description: { type: 'string', example: 'High efficiency monocrystalline solar panel' },
-          type: { type: 'string', enum: ['Inverter', 'Panel', 'Battery', 'Accessory', 'Cable', 'Controller', 'Monitor', 'Other'] },
+          type: { type: 'string', description: 'Category key or alias (see GET /api/v1/categories)', example: 'Solar Panels' },
           condition: { type: 'string', enum: ['New', 'Used', 'Needs Repair', 'Refurbished'] },
           brand: { type: 'string', example: 'SolarTech' },
           model: { type: 'string', example: 'ST-100' },
@@ -141,15 +163,7 @@ const swaggerDefinition = {
             items: { type: 'string', format: 'url' },
             example: ['https://example.com/image1.jpg']
           },
-          specifications: {
-            type: 'object',
-            properties: {
-              power: { type: 'string', example: '100W' },
-              voltage: { type: 'string', example: '12V' },
-              capacity: { type: 'string', example: '100Ah' },
-              warranty: { type: 'string', example: '2 years' }
-            }
-          },
+          specifications: { $ref: '#/components/schemas/ProductSpecifications' },
           isNegotiable: { type: 'boolean', example: true }
         }
       },
@@ -231,7 +245,7 @@ const swaggerDefinition = {
           },
           productCategories: {
             type: 'array',
-            items: { type: 'string', enum: ['Inverter', 'Panel', 'Battery', 'Accessory', 'Cable', 'Controller', 'Monitor', 'Complete Systems'] }
+            items: { type: 'string', description: 'Category key or alias (see GET /api/v1/categories)', example: 'Inverters' }
           },
           brands: {
             type: 'array',
@@ -1,4 +1,9 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const Product = require('../models/product');
+const DuplicateCluster = require('../models/duplicateCluster');
+const { recordAudit } = require('../utils/auditLog');
+const { REJECTION_REASONS, REJECTION_REASON_CODES } = require('../config/moderationReasons');
 
 
 const getProducts = async (req, res) => {
@@ -13,13 +18,69 @@ const getProducts = async (req, res) => {
         res.status(500).json({ message: 'Server error', error });
     }
 }
-// Admin: Get all pending productss
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_ITEMS = 200;
+const PENDING_FILTER_KEYS = ['type', 'condition', 'governorate', 'city', 'userId', 'phone', 'search', 'minPrice', 'maxPrice', 'from', 'to', 'flagged', 'duplicate'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Query for the pending queue, shared by the listing and bulk-by-filter
+const buildPendingFilter = (params = {}) => {
+    const { type, condition, governorate, city, userId, phone, search, minPrice, maxPrice, from, to, flagged, duplicate } = params;
+    const filter = { status: 'pending' };
+
+    if (type) filter.type = type;
+    if (condition) filter.condition = condition;
+    if (governorate) filter.governorate = new RegExp(`^${escapeRegex(governorate)}$`, 'i');
+    if (city) filter.city = new RegExp(`^${escapeRegex(city)}$`, 'i');
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) filter.userId = userId;
+    if (phone) filter.phone = String(phone).trim();
+    if (flagged !== undefined && flagged !== '') filter.isFlagged = String(flagged) === 'true';
+    if (String(duplicate) === 'true') filter['duplicateMatches.0'] = { $exists: true };
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        filter.$or = [{ name: pattern }, { brand: pattern }, { model: pattern }];
+    }
+    if (minPrice || maxPrice) {
+        filter.price = {};
+        if (minPrice) filter.price.$gte = Number(minPrice);
+        if (maxPrice) filter.price.$lte = Number(maxPrice);
+    }
+    if (from || to) {
+        filter.createdAt = {};
+        if (from && !isNaN(new Date(from))) filter.createdAt.$gte = new Date(from);
+        if (to && !isNaN(new Date(to))) filter.createdAt.$lte = new Date(to);
+    }
+
+    return filter;
+};
+
+// Admin: Get pending products, paginated and filtered
 const getPendingProducts = async (req, res) => {
     try {
-        const pending = await Product.find({ status: 'pending' }).sort({ createdAt: -1 });
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+        const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+        const filter = buildPendingFilter(req.query);
+
+        const [pending, total] = await Promise.all([
+            Product.find(filter)
+                .sort({ createdAt: sortOrder })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('userId', 'name phone'),
+            Product.countDocuments(filter)
+        ]);
+
         res.status(200).json({
             status: 200,
             data: pending,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            },
             message: "fetch pending products successfull"
         });
     } catch (error) {
@@ -27,33 +88,445 @@ const getPendingProducts = async (req, res) => {
     }
 };
 
+// Fields touched by a moderation decision, used for the audit diff
+const moderationSnapshot = (product) => ({
+    status: product.status,
+    approvedBy: product.approvedBy,
+    approvedAt: product.approvedAt,
+    rejectionReasonCode: product.rejectionReasonCode,
+    rejectionReason: product.rejectionReason,
+    rejectedBy: product.rejectedBy,
+    rejectedAt: product.rejectedAt,
+    adminNotes: product.adminNotes,
+    isFlagged: product.isFlagged
+});
+
+// Error message for an invalid moderation decision, or null
+const validateDecision = ({ status, reasonCode, reason }) => {
+    if (!['approved', 'rejected'].includes(status)) {
+        return 'Invalid status';
+    }
+
+    if (status === 'rejected') {
+        if (!REJECTION_REASON_CODES.includes(reasonCode)) {
+            return `A rejection reason code is required: ${REJECTION_REASON_CODES.join(', ')}`;
+        }
+        if (!reason || !String(reason).trim()) {
+            return 'Please explain the rejection to the seller';
+        }
+    }
+
+    return null;
+};
+
+// Statuses a moderation decision applies to; resubmitted and flagged listings are pending too
+const REVIEWABLE_STATUSES = ['pending'];
+// Merging a duplicate cluster may also take down live listings
+const DUPLICATE_REJECTABLE_STATUSES = ['pending', 'approved'];
+
+// Error message when the product is not awaiting a decision, or null
+const decisionConflict = (product, allowedFrom = REVIEWABLE_STATUSES) => {
+    if (allowedFrom.includes(product.status)) return null;
+    return `Product is ${product.status} and not awaiting moderation`;
+};
+
+// Approve or reject one product (loaded with +moderationHistory) and audit it
+const applyDecision = async (req, product, { status, reasonCode, reason, notes }, metadata = {}, allowedFrom = REVIEWABLE_STATUSES) => {
+    const conflict = decisionConflict(product, allowedFrom);
+    if (conflict) throw new Error(conflict);
+
+    const before = moderationSnapshot(product);
+
+    if (status === 'approved') {
+        await product.approve(req.user._id, notes);
+    } else {
+        await product.reject(reasonCode, String(reason).trim(), req.user._id, notes);
+    }
+
+    await recordAudit(req, {
+        action: 'product.status_update',
+        entityType: 'product',
+        entityId: product._id,
+        entityLabel: product.name,
+        before,
+        after: moderationSnapshot(product),
+        metadata
+    });
+
+    return product;
+};
+
 // Admin: Approve or Reject product
 const updateProductStatus = async (req, res) => {
     try {
         const { id } = req.params;
         const { status } = req.body;
 
-        if (!['approved', 'rejected'].includes(status)) {
-            return res.status(400).json({ message: 'Invalid status' });
+        const invalid = validateDecision(req.body);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+
+        const product = await Product.findById(id).select('+moderationHistory');
+        if (!product) return res.status(404).json({ message: 'Product not found' });
+
+        const conflict = decisionConflict(product);
+        if (conflict) {
+            return res.status(400).json({ message: conflict });
+        }
+
+        await applyDecision(req, product, req.body);
+
+        res.status(200).json({ message: `Product ${status}`, product });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Server error', error });
+    }
+};
+
+// Admin: Approve or reject many products by ID list or by pending-queue filter
+const bulkUpdateProductStatus = async (req, res) => {
+    try {
+        const { status, ids, filter, reasonCode, reason, notes } = req.body;
+
+        const invalid = validateDecision(req.body);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+
+        const byIds = Array.isArray(ids) && ids.length > 0;
+        // A filter must narrow the queue, an empty one would sweep every pending product
+        const byFilter = !!filter && typeof filter === 'object' &&
+            PENDING_FILTER_KEYS.some(key => filter[key] !== undefined && filter[key] !== '');
+        if (byIds === byFilter) {
+            return res.status(400).json({ message: 'Provide either a list of product ids or a filter' });
+        }
+
+        let targetIds;
+        let remaining = 0;
+        if (byIds) {
+            targetIds = [...new Set(ids.map(String))];
+            if (targetIds.length > MAX_BULK_ITEMS) {
+                return res.status(400).json({ message: `A batch is limited to ${MAX_BULK_ITEMS} products` });
+            }
+        } else {
+            const query = buildPendingFilter(filter);
+            const matches = await Product.find(query)
+                .sort({ createdAt: 1 })
+                .limit(MAX_BULK_ITEMS)
+                .select('_id');
+            targetIds = matches.map(match => match._id.toString());
+            remaining = Math.max(await Product.countDocuments(query) - targetIds.length, 0);
+        }
+
+        const validIds = targetIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+        const products = await Product.find({ _id: { $in: validIds } }).select('+moderationHistory');
+        const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+        const batchId = crypto.randomUUID();
+        const decision = { status, reasonCode, reason, notes };
+        const results = [];
+
+        // One at a time so each product gets its own history entry, audit entry and result
+        for (const id of targetIds) {
+            const product = productsById.get(id);
+            if (!product) {
+                results.push({ id, success: false, message: 'Product not found' });
+                continue;
+            }
+            const conflict = decisionConflict(product);
+            if (conflict) {
+                results.push({ id, success: false, status: product.status, message: conflict });
+                continue;
+            }
+
+            try {
+                await applyDecision(req, product, decision, { bulk: true, batchId });
+                results.push({ id, success: true, status: product.status });
+            } catch (error) {
+                results.push({ id, success: false, status: product.status, message: error.message });
+            }
+        }
+
+        const succeeded = results.filter(result => result.success).length;
+
+        res.status(200).json({
+            status: 200,
+            data: {
+                batchId,
+                requested: targetIds.length,
+                succeeded,
+                failed: results.length - succeeded,
+                remaining,
+                results
+            },
+            message: `${succeeded} of ${targetIds.length} products ${status}`
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error });
+    }
+};
+
+const CLUSTER_PRODUCT_FIELDS = 'name brand model price currency phone userId images status isActive viewCount contactCount createdAt duplicateMatches';
+
+// Admin: Duplicate clusters, newest detection first
+const getDuplicateClusters = async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+        const filter = { status: req.query.status || 'open' };
+
+        const [clusters, total] = await Promise.all([
+            DuplicateCluster.find(filter)
+                .sort({ lastDetectedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('products', CLUSTER_PRODUCT_FIELDS),
+            DuplicateCluster.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            status: 200,
+            data: clusters,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            },
+            message: "fetch duplicate clusters successfull"
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error });
+    }
+};
+
+// Admin: One duplicate cluster with its listings
+const getDuplicateCluster = async (req, res) => {
+    try {
+        const cluster = await DuplicateCluster.findById(req.params.clusterId)
+            .populate({ path: 'products', select: CLUSTER_PRODUCT_FIELDS, populate: { path: 'userId', select: 'name phone' } });
+
+        if (!cluster) return res.status(404).json({ message: 'Duplicate cluster not found' });
+
+        res.status(200).json({
+            status: 200,
+            data: cluster,
+            message: "fetch duplicate cluster successfull"
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error });
+    }
+};
+
+// Reject the given cluster listings one by one, collecting per-listing results
+const rejectClusterProducts = async (req, products, decision, metadata) => {
+    const results = [];
+
+    for (const product of products) {
+        if (product.status === 'rejected') {
+            results.push({ id: product._id.toString(), success: false, status: product.status, message: 'Product is already rejected' });
+            continue;
+        }
+        try {
+            await applyDecision(req, product, decision, metadata, DUPLICATE_REJECTABLE_STATUSES);
+            results.push({ id: product._id.toString(), success: true, status: product.status });
+        } catch (error) {
+            results.push({ id: product._id.toString(), success: false, status: product.status, message: error.message });
+        }
+    }
+
+    return results;
+};
+
+// Admin: Keep one listing of a cluster and reject the others as its duplicates
+const mergeDuplicateCluster = async (req, res) => {
+    try {
+        const { primaryProductId, notes } = req.body;
+
+        const cluster = await DuplicateCluster.findById(req.params.clusterId);
+        if (!cluster) return res.status(404).json({ message: 'Duplicate cluster not found' });
+        if (cluster.status !== 'open') {
+            return res.status(400).json({ message: `Duplicate cluster is already ${cluster.status}` });
+        }
+
+        if (!cluster.products.some(id => id.toString() === String(primaryProductId))) {
+            return res.status(400).json({ message: 'primaryProductId must be one of the cluster products' });
+        }
+
+        const products = await Product.find({ _id: { $in: cluster.products } }).select('+moderationHistory');
+        const primary = products.find(product => product._id.toString() === String(primaryProductId));
+        if (!primary) return res.status(404).json({ message: 'Product not found' });
+        const duplicates = products.filter(product => product !== primary);
+
+        const results = await rejectClusterProducts(req, duplicates, {
+            status: 'rejected',
+            reasonCode: 'duplicate',
+            reason: `Duplicate of your listing "${primary.name}"`,
+            notes
+        }, { duplicateCluster: cluster._id, mergedInto: primary._id });
+
+        // The kept listing inherits the engagement of the copies it replaces
+        const merged = duplicates.filter(product => results.find(result => result.id === product._id.toString()).success);
+        const viewCount = merged.reduce((sum, product) => sum + (product.viewCount || 0), 0);
+        const contactCount = merged.reduce((sum, product) => sum + (product.contactCount || 0), 0);
+        if (viewCount || contactCount) {
+            await Product.updateOne({ _id: primary._id }, { $inc: { viewCount, contactCount } });
+        }
+
+        await cluster.resolve('merged', req.user._id, primary._id);
+
+        await recordAudit(req, {
+            action: 'duplicate_cluster.merge',
+            entityType: 'duplicate_cluster',
+            entityId: cluster._id,
+            before: { status: 'open' },
+            after: { status: cluster.status, primaryProduct: primary._id },
+            metadata: { rejected: merged.map(product => product._id) }
+        });
+
+        res.status(200).json({
+            status: 200,
+            data: {
+                clusterId: cluster._id,
+                primaryProductId: primary._id,
+                results
+            },
+            message: `Merged ${merged.length} duplicates into "${primary.name}"`
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error });
+    }
+};
+
+// Admin: Reject listings of a cluster (all of them unless productIds is given)
+const rejectDuplicateCluster = async (req, res) => {
+    try {
+        const { productIds, reasonCode = 'duplicate', reason, notes } = req.body;
+
+        const invalid = validateDecision({ status: 'rejected', reasonCode, reason });
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+
+        const cluster = await DuplicateCluster.findById(req.params.clusterId);
+        if (!cluster) return res.status(404).json({ message: 'Duplicate cluster not found' });
+        if (cluster.status !== 'open') {
+            return res.status(400).json({ message: `Duplicate cluster is already ${cluster.status}` });
+        }
+
+        const clusterIds = cluster.products.map(id => id.toString());
+        const targetIds = Array.isArray(productIds) && productIds.length ? productIds.map(String) : clusterIds;
+        if (targetIds.some(id => !clusterIds.includes(id))) {
+            return res.status(400).json({ message: 'productIds must belong to the cluster' });
         }
 
-        const product = await Product.findByIdAndUpdate(
-            id,
-            { status },
-            { new: true }
+        const products = await Product.find({ _id: { $in: targetIds } }).select('+moderationHistory');
+        const results = await rejectClusterProducts(req, products, { status: 'rejected', reasonCode, reason, notes }, { duplicateCluster: cluster._id });
+
+        await cluster.resolve('rejected', req.user._id);
+
+        await recordAudit(req, {
+            action: 'duplicate_cluster.reject',
+            entityType: 'duplicate_cluster',
+            entityId: cluster._id,
+            before: { status: 'open' },
+            after: { status: cluster.status },
+            metadata: { rejected: results.filter(result => result.success).map(result => result.id) }
+        });
+
+        res.status(200).json({
+            status: 200,
+            data: {
+                clusterId: cluster._id,
+                results
+            },
+            message: `${results.filter(result => result.success).length} listings rejected`
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error });
+    }
+};
+
+// Admin: Mark a cluster as not duplicates; its listings are not grouped again
+const dismissDuplicateCluster = async (req, res) => {
+    try {
+        const cluster = await DuplicateCluster.findById(req.params.clusterId);
+        if (!cluster) return res.status(404).json({ message: 'Duplicate cluster not found' });
+        if (cluster.status !== 'open') {
+            return res.status(400).json({ message: `Duplicate cluster is already ${cluster.status}` });
+        }
+
+        await cluster.resolve('dismissed', req.user._id);
+        await Product.updateMany(
+            { _id: { $in: cluster.products } },
+            { $set: { duplicateMatches: [] } }
         );
 
+        await recordAudit(req, {
+            action: 'duplicate_cluster.dismiss',
+            entityType: 'duplicate_cluster',
+            entityId: cluster._id,
+            before: { status: 'open' },
+            after: { status: cluster.status }
+        });
+
+        res.status(200).json({
+            status: 200,
+            data: cluster,
+            message: "Duplicate cluster dismissed"
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error });
+    }
+};
+
+// Admin: Moderation history of one product
+const getModerationHistory = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id)
+            .select('name status userId moderationHistory')
+            .populate('moderationHistory.actor', 'name email phone');
+
         if (!product) return res.status(404).json({ message: 'Product not found' });
 
-        res.status(200).json({ message: `Product ${status}`, product });
+        res.status(200).json({
+            status: 200,
+            data: {
+                productId: product._id,
+                name: product.name,
+                status: product.status,
+                history: product.moderationHistory
+            },
+            message: "fetch moderation history successfull"
+        });
     } catch (error) {
         res.status(500).json({ message: 'Server error', error });
     }
 };
 
+// Admin: Rejection reason codes with their labels
+const getRejectionReasons = (req, res) => {
+    res.status(200).json({
+        status: 200,
+        data: REJECTION_REASONS,
+        message: "fetch rejection reasons successfull"
+    });
+};
+
 const AdminApprovalController = {
     getPendingProducts,
     updateProductStatus,
+    bulkUpdateProductStatus,
+    getModerationHistory,
+    getRejectionReasons,
+    getDuplicateClusters,
+    getDuplicateCluster,
+    mergeDuplicateCluster,
+    rejectDuplicateCluster,
+    dismissDuplicateCluster,
     getProducts,
 }
 
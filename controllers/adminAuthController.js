@@ -1,7 +1,13 @@
+const jwt = require('jsonwebtoken');
 const Admin = require('../models/admin');
+const SecuritySettings = require('../models/securitySettings');
 const { AppError } = require('../middlewares/errorHandler');
 const { catchAsync } = require('../middlewares/errorHandler');
-const { createSendToken } = require('../middlewares/auth');
+const { createSendToken, signToken } = require('../middlewares/auth');
+const { sendMail, escapeHtml } = require('../utils/mailer');
+const { recordAudit } = require('../utils/auditLog');
+const logger = require('../utils/logger');
+const { PERMISSION_PRESETS, PRESET_NAMES, getPermissionPreset, findInvalidPermissions } = require('../config/permissionPresets');
 
 // Admin login
 const loginAdmin = catchAsync(async (req, res, next) => {
@@ -38,13 +44,92 @@ const loginAdmin = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid email or password', 401));
   }
 
+  // With 2FA on, the password only earns a short-lived challenge for the second step
+  if (admin.twoFactor && admin.twoFactor.enabled) {
+    const challengeToken = signToken(admin._id, admin.role, { scope: '2fa_challenge', expiresIn: '5m' });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication code required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: 300
+      }
+    });
+  }
+
   // Reset login attempts on successful login
   await admin.resetLoginAttempts();
 
+  // Roles that must use 2FA get a token that can only enroll
+  if (await SecuritySettings.isTwoFactorRequired(admin.role)) {
+    const setupToken = signToken(admin._id, admin.role, { scope: '2fa_setup', expiresIn: '15m' });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication must be set up for your role before you can continue',
+      data: {
+        twoFactorSetupRequired: true,
+        setupToken,
+        expiresIn: 900
+      }
+    });
+  }
+
   // Send token
   createSendToken(admin, 200, res);
 });
 
+// Admin login, second step - exchange the challenge and a TOTP or recovery code for a token
+const loginTwoFactor = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(new AppError('Please provide the challenge token and an authentication or recovery code', 400));
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.SECRET_KEY);
+  } catch (err) {
+    return next(new AppError('Two-factor challenge has expired. Please log in again.', 401));
+  }
+
+  if (decoded.scope !== '2fa_challenge') {
+    return next(new AppError('Invalid two-factor challenge. Please log in again.', 401));
+  }
+
+  const admin = await Admin.findById(decoded.id).select('+twoFactor.secret +twoFactor.recoveryCodes');
+  if (!admin || !admin.isActive || !admin.twoFactor.enabled) {
+    return next(new AppError('Invalid two-factor challenge. Please log in again.', 401));
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  if (admin.isLocked) {
+    return next(new AppError('Account is temporarily locked due to multiple failed login attempts. Please try again later.', 423));
+  }
+
+  const verified = code
+    ? admin.verifyTwoFactorCode(code)
+    : admin.useRecoveryCode(recoveryCode);
+
+  if (!verified) {
+    await admin.incLoginAttempts();
+    return next(new AppError('Invalid authentication code', 401));
+  }
+
+  // Persist the used TOTP step / consumed recovery code
+  await admin.save();
+  await admin.resetLoginAttempts();
+
+  const recoveryCodesRemaining = admin.twoFactor.recoveryCodes.length;
+  admin.twoFactor.secret = undefined;
+  admin.twoFactor.recoveryCodes = undefined;
+
+  createSendToken(admin, 200, res, { recoveryCodesRemaining });
+});
+
 // Get current admin profile
 const getAdminProfile = catchAsync(async (req, res, next) => {
   const admin = await Admin.findById(req.user._id).select('-password -passwordResetToken -passwordResetExpires -loginAttempts -lockUntil');
@@ -127,9 +212,10 @@ const changePassword = catchAsync(async (req, res, next) => {
   admin.password = newPassword;
   await admin.save();
 
+  // Existing tokens stop working: passwordChangedAt is newer than them
   res.status(200).json({
     status: 'success',
-    message: 'Password changed successfully'
+    message: 'Password changed successfully. Please log in again.'
   });
 });
 
@@ -146,36 +232,83 @@ const logoutAdmin = catchAsync(async (req, res, next) => {
   });
 });
 
-// Create new admin (Super admin only)
-const createAdmin = catchAsync(async (req, res, next) => {
-  const { name, email, password, role, permissions } = req.body;
+// Forgot password - email a reset link to the admin
+const forgotPassword = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new AppError('Please provide your email address', 400));
+  }
+
+  // Same answer whether or not the email belongs to an admin
+  const response = {
+    status: 'success',
+    message: 'If an admin account exists for this email, a password reset link has been sent.'
+  };
 
-  // Check if admin already exists
-  const existingAdmin = await Admin.findOne({ email });
-  if (existingAdmin) {
-    return next(new AppError('Admin with this email already exists', 409));
+  const admin = await Admin.findOne({ email: String(email).toLowerCase().trim(), isActive: true });
+  if (!admin) {
+    return res.status(200).json(response);
   }
 
-  // Create admin
-  const admin = new Admin({
-    name,
-    email,
-    password,
-    role: role || 'admin',
-    permissions: permissions || {}
+  const resetToken = admin.createPasswordResetToken();
+  await admin.save({ validateBeforeSave: false });
+
+  const baseUrl = process.env.ADMIN_PANEL_URL || process.env.API_BASE_URL || 'http://localhost:3000';
+  const resetUrl = `${baseUrl}/reset-password?token=${resetToken}`;
+
+  const delivery = await sendMail({
+    to: admin.email,
+    subject: 'Qafzh Solar admin password reset',
+    text: `Hello ${admin.name},\n\nUse the link below to reset your admin password. It expires in 10 minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not ask to reset your password, you can ignore this email.`,
+    html: `<p>Hello ${escapeHtml(admin.name)},</p><p>Use the link below to reset your admin password. It expires in 10 minutes and can only be used once.</p><p><a href="${resetUrl}">Reset password</a></p><p>If you did not ask to reset your password, you can ignore this email.</p>`
   });
 
-  await admin.save();
+  if (!delivery.success) {
+    // Don't leave a live token behind for a mail nobody received
+    admin.passwordResetToken = null;
+    admin.passwordResetExpires = null;
+    await admin.save({ validateBeforeSave: false });
+    logger.error('Admin password reset email failed to send', { adminId: admin._id.toString(), error: delivery.error });
+  }
+
+  res.status(200).json(response);
+});
 
-  // Remove password from response
-  admin.password = undefined;
+// Reset password with the emailed token
+const resetPassword = catchAsync(async (req, res, next) => {
+  const { token, password, confirmPassword } = req.body;
 
-  res.status(201).json({
+  if (!token || !password || !confirmPassword) {
+    return next(new AppError('Please provide the reset token, password and confirm password', 400));
+  }
+
+  if (password !== confirmPassword) {
+    return next(new AppError('Password and confirm password do not match', 400));
+  }
+
+  if (password.length < 6) {
+    return next(new AppError('Password must be at least 6 characters long', 400));
+  }
+
+  const admin = await Admin.findByResetToken(token);
+  if (!admin || !admin.isActive) {
+    return next(new AppError('Reset token is invalid or has expired', 400));
+  }
+
+  admin.password = password;
+  // Single use: the token is gone once the password is changed
+  admin.passwordResetToken = null;
+  admin.passwordResetExpires = null;
+  // A successful reset also lifts any login lockout
+  admin.loginAttempts = 0;
+  admin.lockUntil = null;
+  // Saving the new password moves passwordChangedAt, which revokes every token issued before it
+  await admin.save();
+
+  res.status(200).json({
     status: 'success',
-    message: 'Admin created successfully',
-    data: {
-      admin
-    }
+    message: 'Password reset successfully. Please log in with your new password.'
   });
 });
 
@@ -218,19 +351,60 @@ const getAllAdmins = catchAsync(async (req, res, next) => {
 // Update admin permissions (Super admin only)
 const updateAdminPermissions = catchAsync(async (req, res, next) => {
   const { adminId } = req.params;
-  const { permissions, role } = req.body;
+  const { permissions, permissionPreset, role } = req.body;
+
+  if (permissionPreset && !PRESET_NAMES.includes(permissionPreset)) {
+    return next(new AppError(`Permission preset must be one of: ${PRESET_NAMES.join(', ')}`, 400));
+  }
+
+  if (permissions) {
+    const invalid = findInvalidPermissions(permissions);
+    if (invalid.length > 0) {
+      return next(new AppError(`Invalid permissions: ${invalid.join(', ')}`, 400, { invalid }));
+    }
+  }
 
   const admin = await Admin.findById(adminId);
   if (!admin) {
     return next(new AppError('Admin not found', 404));
   }
 
-  // Update permissions and/or role
-  if (permissions) admin.permissions = permissions;
-  if (role) admin.role = role;
+  const before = {
+    role: admin.role,
+    isSuperAdmin: admin.isSuperAdmin,
+    permissions: admin.toObject().permissions
+  };
+
+  // Preset replaces the whole matrix, explicit entries are applied on top
+  if (permissionPreset) admin.permissions = getPermissionPreset(permissionPreset);
+  if (permissions) {
+    Object.entries(permissions).forEach(([resource, actions]) => {
+      Object.entries(actions).forEach(([action, value]) => {
+        admin.set(`permissions.${resource}.${action}`, value);
+      });
+    });
+  }
+  if (role) {
+    admin.role = role;
+    admin.isSuperAdmin = role === 'super_admin';
+  }
 
   await admin.save();
 
+  await recordAudit(req, {
+    action: 'admin.permissions_update',
+    entityType: 'admin',
+    entityId: admin._id,
+    entityLabel: admin.email,
+    before,
+    after: {
+      role: admin.role,
+      isSuperAdmin: admin.isSuperAdmin,
+      permissions: admin.toObject().permissions
+    },
+    metadata: permissionPreset ? { permissionPreset } : {}
+  });
+
   res.status(200).json({
     status: 'success',
     message: 'Admin permissions updated successfully',
@@ -246,6 +420,28 @@ const updateAdminPermissions = catchAsync(async (req, res, next) => {
   });
 });
 
+// Effective permissions of the logged-in admin
+const getMyPermissions = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      role: req.user.role,
+      isSuperAdmin: !!req.user.isSuperAdmin,
+      permissions: req.user.getEffectivePermissions()
+    }
+  });
+});
+
+// Named permission presets (Super admin only)
+const getPermissionPresets = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      presets: PERMISSION_PRESETS
+    }
+  });
+});
+
 // Deactivate admin (Super admin only)
 const deactivateAdmin = catchAsync(async (req, res, next) => {
   const { adminId } = req.params;
@@ -263,6 +459,15 @@ const deactivateAdmin = catchAsync(async (req, res, next) => {
   admin.isActive = false;
   await admin.save();
 
+  await recordAudit(req, {
+    action: 'admin.deactivate',
+    entityType: 'admin',
+    entityId: admin._id,
+    entityLabel: admin.email,
+    before: { isActive: true },
+    after: { isActive: false }
+  });
+
   res.status(200).json({
     status: 'success',
     message: 'Admin deactivated successfully'
@@ -271,12 +476,16 @@ const deactivateAdmin = catchAsync(async (req, res, next) => {
 
 module.exports = {
   loginAdmin,
+  loginTwoFactor,
   getAdminProfile,
   updateAdminProfile,
   changePassword,
   logoutAdmin,
-  createAdmin,
+  forgotPassword,
+  resetPassword,
   getAllAdmins,
   updateAdminPermissions,
+  getMyPermissions,
+  getPermissionPresets,
   deactivateAdmin
 };
\ No newline at end of file
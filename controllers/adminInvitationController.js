@@ -0,0 +1,276 @@
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/admin');
+const AdminInvitation = require('../models/adminInvitation');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { signToken } = require('../middlewares/auth');
+const { sendMail, escapeHtml } = require('../utils/mailer');
+const { recordAudit } = require('../utils/auditLog');
+const { PRESET_NAMES, getPermissionPreset, findInvalidPermissions } = require('../config/permissionPresets');
+
+const INVITE_EXPIRES_HOURS = parseInt(process.env.ADMIN_INVITE_EXPIRES_HOURS) || 72;
+
+// Decode an invite link token and load its invitation; returns { invitation } or { error }
+const loadInvitationFromToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token), process.env.SECRET_KEY);
+  } catch (err) {
+    return { error: new AppError('Invitation link is invalid or has expired', 400) };
+  }
+
+  if (decoded.scope !== 'admin_invite') {
+    return { error: new AppError('Invitation link is invalid or has expired', 400) };
+  }
+
+  const invitation = await AdminInvitation.findById(decoded.id);
+  if (!invitation || invitation.status !== 'pending' || invitation.isExpired) {
+    return { error: new AppError('Invitation is no longer valid. Please ask for a new one.', 400) };
+  }
+
+  return { invitation };
+};
+
+// Invite a new admin by email (Super admin only)
+const createInvitation = catchAsync(async (req, res, next) => {
+  const { email, role = 'admin', permissionPreset, permissions } = req.body;
+
+  const normalizedEmail = String(email || '').toLowerCase().trim();
+  if (!/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(normalizedEmail)) {
+    return next(new AppError('Please provide a valid email address', 400));
+  }
+
+  if (!['admin', 'super_admin', 'moderator'].includes(role)) {
+    return next(new AppError('Invalid role', 400));
+  }
+
+  // Preset first, explicit permissions override it, schema defaults otherwise
+  const presetName = permissionPreset || (PRESET_NAMES.includes(role) ? role : null);
+  if (permissionPreset && !PRESET_NAMES.includes(permissionPreset)) {
+    return next(new AppError(`Permission preset must be one of: ${PRESET_NAMES.join(', ')}`, 400));
+  }
+  if (permissions) {
+    const invalid = findInvalidPermissions(permissions);
+    if (invalid.length > 0) {
+      return next(new AppError(`Invalid permissions: ${invalid.join(', ')}`, 400, { invalid }));
+    }
+  }
+  const invitePermissions = permissions || (presetName ? getPermissionPreset(presetName) : {});
+
+  const existingAdmin = await Admin.findOne({ email: normalizedEmail });
+  if (existingAdmin) {
+    return next(new AppError('Admin with this email already exists', 409));
+  }
+
+  // A new invitation replaces any earlier pending one for the same email
+  await AdminInvitation.updateMany(
+    { email: normalizedEmail, status: 'pending' },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: req.user._id } }
+  );
+
+  const invitation = await AdminInvitation.create({
+    email: normalizedEmail,
+    role,
+    permissionPreset: permissions ? null : presetName,
+    permissions: invitePermissions,
+    invitedBy: req.user._id,
+    expiresAt: new Date(Date.now() + INVITE_EXPIRES_HOURS * 60 * 60 * 1000)
+  });
+
+  const token = signToken(invitation._id, role, { scope: 'admin_invite', expiresIn: `${INVITE_EXPIRES_HOURS}h` });
+  const baseUrl = process.env.ADMIN_PANEL_URL || process.env.API_BASE_URL || 'http://localhost:3000';
+  const inviteUrl = `${baseUrl}/accept-invite?token=${token}`;
+
+  const delivery = await sendMail({
+    to: normalizedEmail,
+    subject: 'You have been invited to the Qafzh Solar admin panel',
+    text: `${req.user.name} invited you to join the Qafzh Solar admin panel as ${role}.\n\nSet up your account with the link below. It expires in ${INVITE_EXPIRES_HOURS} hours.\n\n${inviteUrl}`,
+    html: `<p>${escapeHtml(req.user.name)} invited you to join the Qafzh Solar admin panel as <strong>${role}</strong>.</p><p>Set up your account with the link below. It expires in ${INVITE_EXPIRES_HOURS} hours.</p><p><a href="${inviteUrl}">Accept invitation</a></p>`
+  });
+
+  if (!delivery.success) {
+    await invitation.revoke(req.user._id);
+    return next(new AppError('There was an error sending the invitation email. Please try again later.', 502));
+  }
+
+  await recordAudit(req, {
+    action: 'admin_invitation.create',
+    entityType: 'admin_invitation',
+    entityId: invitation._id,
+    entityLabel: invitation.email,
+    after: invitation
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Invitation sent successfully',
+    data: {
+      invitation
+    }
+  });
+});
+
+// List invitations (Super admin only)
+const getInvitations = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, status, email } = req.query;
+
+  const query = {};
+  if (status === 'expired') {
+    query.status = 'pending';
+    query.expiresAt = { $lte: new Date() };
+  } else if (status === 'pending') {
+    query.status = 'pending';
+    query.expiresAt = { $gt: new Date() };
+  } else if (status) {
+    query.status = status;
+  }
+  if (email) query.email = String(email).toLowerCase().trim();
+
+  const [invitations, total] = await Promise.all([
+    AdminInvitation.find(query)
+      .populate('invitedBy', 'name email')
+      .populate('acceptedAdmin', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    AdminInvitation.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: invitations.length,
+    data: {
+      invitations,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    }
+  });
+});
+
+// Revoke a pending invitation (Super admin only)
+const revokeInvitation = catchAsync(async (req, res, next) => {
+  const invitation = await AdminInvitation.findById(req.params.invitationId);
+  if (!invitation) {
+    return next(new AppError('Invitation not found', 404));
+  }
+
+  if (invitation.status !== 'pending') {
+    return next(new AppError(`Invitation is already ${invitation.status}`, 400));
+  }
+
+  await invitation.revoke(req.user._id);
+
+  await recordAudit(req, {
+    action: 'admin_invitation.revoke',
+    entityType: 'admin_invitation',
+    entityId: invitation._id,
+    entityLabel: invitation.email,
+    before: { status: 'pending' },
+    after: { status: invitation.status }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Invitation revoked successfully'
+  });
+});
+
+// Check an invite link before showing the set-password form (public)
+const verifyInvitation = catchAsync(async (req, res, next) => {
+  const { error, invitation } = await loadInvitationFromToken(req.query.token);
+  if (error) {
+    return next(error);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    }
+  });
+});
+
+// Accept an invitation and create the admin account with a password of the invitee's choosing (public)
+const acceptInvitation = catchAsync(async (req, res, next) => {
+  const { token, name, password, confirmPassword } = req.body;
+
+  if (!token || !name || !password || !confirmPassword) {
+    return next(new AppError('Please provide the invitation token, name, password and confirm password', 400));
+  }
+
+  if (name.trim().length < 2 || name.trim().length > 100) {
+    return next(new AppError('Admin name must be between 2 and 100 characters', 400));
+  }
+
+  if (password !== confirmPassword) {
+    return next(new AppError('Password and confirm password do not match', 400));
+  }
+
+  if (password.length < 6) {
+    return next(new AppError('Password must be at least 6 characters long', 400));
+  }
+
+  const { error, invitation } = await loadInvitationFromToken(token);
+  if (error) {
+    return next(error);
+  }
+
+  const existingAdmin = await Admin.findOne({ email: invitation.email });
+  if (existingAdmin) {
+    return next(new AppError('Admin with this email already exists', 409));
+  }
+
+  const admin = new Admin({
+    name: name.trim(),
+    email: invitation.email,
+    password,
+    role: invitation.role,
+    isSuperAdmin: invitation.role === 'super_admin',
+    permissions: invitation.permissions || {}
+  });
+  await admin.save();
+
+  invitation.status = 'accepted';
+  invitation.acceptedAt = new Date();
+  invitation.acceptedAdmin = admin._id;
+  invitation.acceptedIp = req.ip || null;
+  await invitation.save();
+
+  await recordAudit(req, {
+    action: 'admin_invitation.accept',
+    entityType: 'admin',
+    entityId: admin._id,
+    entityLabel: admin.email,
+    after: admin,
+    metadata: { invitationId: invitation._id, invitedBy: invitation.invitedBy },
+    actor: admin
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Invitation accepted. You can now log in.',
+    data: {
+      admin: {
+        id: admin._id,
+        name: admin.name,
+        email: admin.email,
+        role: admin.role,
+        permissions: admin.permissions
+      }
+    }
+  });
+});
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  verifyInvitation,
+  acceptInvitation
+};
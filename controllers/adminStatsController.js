@@ -3,6 +3,75 @@ const Shop = require("../models/shop");
 const Engineer = require("../models/engineer");
 const Ads = require("../models/ads");
 const User = require("../models/auth");
+const mongoose = require("mongoose");
+const DailyEngagement = require("../models/dailyEngagement");
+const EngagementEvent = require("../models/engagementEvent");
+const {
+  loadCategories,
+  getCategoryKeysWithDescendants,
+} = require("../utils/categories");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Category key -> { en, ar } display names
+const getCategoryLabels = async () => {
+  const { categories } = await loadCategories();
+  return Object.fromEntries(
+    categories.map((category) => [category.key, category.name])
+  );
+};
+
+// Realised sale prices per product type and currency for sold listings matching `match`
+const aggregateRealisedPrices = (match = {}) =>
+  Product.aggregate([
+    { $match: { ...match, saleStatus: "sold", soldPrice: { $ne: null } } },
+    {
+      $group: {
+        _id: { type: "$type", currency: "$soldCurrency" },
+        sales: { $sum: 1 },
+        averagePrice: { $avg: "$soldPrice" },
+        minPrice: { $min: "$soldPrice" },
+        maxPrice: { $max: "$soldPrice" },
+        // Asking vs realised price, only comparable in the same currency
+        averageDiscount: {
+          $avg: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$soldCurrency", "$currency"] },
+                  { $gt: ["$price", 0] },
+                ],
+              },
+              {
+                $multiply: [
+                  { $divide: [{ $subtract: ["$price", "$soldPrice"] }, "$price"] },
+                  100,
+                ],
+              },
+              null,
+            ],
+          },
+        },
+        averageDaysToSell: {
+          $avg: { $divide: [{ $subtract: ["$soldAt", "$createdAt"] }, DAY_MS] },
+        },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        type: "$_id.type",
+        currency: "$_id.currency",
+        sales: 1,
+        averagePrice: { $round: ["$averagePrice", 0] },
+        minPrice: 1,
+        maxPrice: 1,
+        averageDiscount: { $round: ["$averageDiscount", 1] },
+        averageDaysToSell: { $round: ["$averageDaysToSell", 1] },
+      },
+    },
+    { $sort: { sales: -1 } },
+  ]);
 
 const getAdminDashboardStats = async (req, res) => {
   try {
@@ -25,6 +94,13 @@ const getAdminDashboardStats = async (req, res) => {
     const rejectedProducts = await Product.countDocuments({
       status: "rejected",
     });
+    const expiredProducts = await Product.countDocuments({
+      status: "expired",
+    });
+    const soldProducts = await Product.countDocuments({ saleStatus: "sold" });
+    const reservedProducts = await Product.countDocuments({
+      saleStatus: "reserved",
+    });
     const totalShops = await Shop.countDocuments();
     const totalUsers = await User.countDocuments();
     const activeEngineers = await Engineer.countDocuments({ isActive: true });
@@ -54,6 +130,14 @@ const getAdminDashboardStats = async (req, res) => {
       updatedAt: { $gte: today },
     });
 
+    const recentSales = await Product.countDocuments({
+      saleStatus: "sold",
+      soldAt: { $gte: today },
+    });
+
+    const realisedPrices = await aggregateRealisedPrices();
+    const categoryLabels = await getCategoryLabels();
+
     // Performance metrics
     const approvalRate =
       totalProducts > 0
@@ -79,6 +163,9 @@ const getAdminDashboardStats = async (req, res) => {
           rejected: {
             $sum: { $cond: [{ $eq: ["$status", "rejected"] }, 1, 0] },
           },
+          expired: {
+            $sum: { $cond: [{ $eq: ["$status", "expired"] }, 1, 0] },
+          },
         },
       },
       {
@@ -88,6 +175,7 @@ const getAdminDashboardStats = async (req, res) => {
           pending: 1,
           approved: 1,
           rejected: 1,
+          expired: 1,
           approvalRate: {
             $multiply: [
               { $divide: ["$approved", { $max: ["$count", 1] }] },
@@ -177,6 +265,9 @@ const getAdminDashboardStats = async (req, res) => {
             pending: pendingApprovals,
             approved: approvedProducts,
             rejected: rejectedProducts,
+            expired: expiredProducts,
+            reserved: reservedProducts,
+            sold: soldProducts,
           },
           totalShops: {
             count: totalShops,
@@ -210,6 +301,17 @@ const getAdminDashboardStats = async (req, res) => {
           },
         },
 
+        // Sales reported by sellers
+        sales: {
+          sold: soldProducts,
+          reserved: reservedProducts,
+          soldToday: recentSales,
+          realisedPrices: realisedPrices.map((row) => ({
+            ...row,
+            label: categoryLabels[row.type] || null,
+          })),
+        },
+
         // Performance metrics
         performance: {
           approvalRates: {
@@ -221,6 +323,7 @@ const getAdminDashboardStats = async (req, res) => {
           },
           popularCategories: categoryStats.map((cat) => ({
             category: cat.category,
+            label: categoryLabels[cat.category] || null,
             count: cat.count,
             percentage: parseFloat(
               ((cat.count / totalProducts) * 100).toFixed(1)
@@ -525,6 +628,157 @@ const getAdsList = async (req, res) => {
   }
 };
 
+// Realised sale prices reported by sellers, filterable by type, governorate and sale date
+const getSalesStats = async (req, res) => {
+  try {
+    const { type, governorate, from, to } = req.query;
+
+    const scope = {};
+    if (type) scope.type = { $in: await getCategoryKeysWithDescendants(type) };
+    if (governorate) scope.governorate = governorate;
+
+    const match = { ...scope };
+    if (from || to) {
+      match.soldAt = {};
+      if (from) match.soldAt.$gte = new Date(from);
+      if (to) match.soldAt.$lte = new Date(to);
+      if (Object.values(match.soldAt).some((date) => isNaN(date.getTime()))) {
+        return res.status(400).json({
+          status: "fail",
+          message: "from and to must be valid dates",
+        });
+      }
+    }
+
+    const [realisedPrices, sold, soldWithPrice, reserved, categoryLabels] = await Promise.all([
+      aggregateRealisedPrices(match),
+      Product.countDocuments({ ...match, saleStatus: "sold" }),
+      Product.countDocuments({
+        ...match,
+        saleStatus: "sold",
+        soldPrice: { $ne: null },
+      }),
+      Product.countDocuments({ ...scope, saleStatus: "reserved" }),
+      getCategoryLabels(),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      message: "Sales statistics retrieved successfully",
+      data: {
+        sold,
+        soldWithPrice,
+        reserved,
+        realisedPrices: realisedPrices.map((row) => ({
+          ...row,
+          label: categoryLabels[row.type] || null,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching sales stats:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error retrieving sales statistics",
+      error: error.message,
+    });
+  }
+};
+
+// Daily views and contact reveals, with the most viewed items over the range
+const getEngagementStats = async (req, res) => {
+  try {
+    const { type, itemId } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+    if (type && !EngagementEvent.ENGAGEMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        status: "fail",
+        message: `type must be one of: ${EngagementEvent.ENGAGEMENT_TYPES.join(", ")}`,
+      });
+    }
+    if (itemId && !mongoose.isValidObjectId(itemId)) {
+      return res.status(400).json({
+        status: "fail",
+        message: "itemId must be a valid id",
+      });
+    }
+
+    // Aggregates are kept per UTC day
+    const today = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+    const match = { date: { $gte: new Date(today - (days - 1) * DAY_MS) } };
+    if (type) match.itemType = type;
+    if (itemId) match.item = new mongoose.Types.ObjectId(itemId);
+
+    const counts = {
+      views: { $sum: "$views" },
+      contacts: { $sum: "$contacts" },
+      calls: { $sum: "$calls" },
+      whatsapp: { $sum: "$whatsapp" },
+    };
+
+    const [daily, topItems] = await Promise.all([
+      DailyEngagement.aggregate([
+        { $match: match },
+        { $group: { _id: "$date", ...counts } },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, date: "$_id", views: 1, contacts: 1, calls: 1, whatsapp: 1 } },
+      ]),
+      DailyEngagement.aggregate([
+        { $match: match },
+        { $group: { _id: { itemType: "$itemType", item: "$item" }, ...counts } },
+        { $sort: { views: -1, contacts: -1 } },
+        { $limit: 10 },
+        { $project: { _id: 0, itemType: "$_id.itemType", item: "$_id.item", views: 1, contacts: 1, calls: 1, whatsapp: 1 } },
+      ]),
+    ]);
+
+    // Names of the top items; deleted ones come back with name: null
+    await Promise.all(
+      EngagementEvent.ENGAGEMENT_TYPES.map(async (itemType) => {
+        const rows = topItems.filter((row) => row.itemType === itemType);
+        if (rows.length === 0) return;
+        const Model = mongoose.model(EngagementEvent.ENGAGEMENT_MODELS[itemType]);
+        const items = await Model.find({ _id: { $in: rows.map((row) => row.item) } })
+          .select("name")
+          .lean();
+        const names = new Map(items.map((item) => [item._id.toString(), item.name]));
+        rows.forEach((row) => {
+          row.name = names.get(row.item.toString()) || null;
+        });
+      })
+    );
+
+    const totals = daily.reduce(
+      (sum, day) => ({
+        views: sum.views + day.views,
+        contacts: sum.contacts + day.contacts,
+        calls: sum.calls + day.calls,
+        whatsapp: sum.whatsapp + day.whatsapp,
+      }),
+      { views: 0, contacts: 0, calls: 0, whatsapp: 0 }
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Engagement statistics retrieved successfully",
+      data: {
+        days,
+        totals,
+        daily,
+        topItems,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching engagement stats:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error retrieving engagement statistics",
+      error: error.message,
+    });
+  }
+};
+
 const adminStatsController = {
   getAdminDashboardStats,
   getDashboardCards,
@@ -532,6 +786,8 @@ const adminStatsController = {
   getEngineersList,
   getShopsList,
   getAdsList,
+  getSalesStats,
+  getEngagementStats,
 };
 
 module.exports = adminStatsController;
@@ -0,0 +1,278 @@
+const Admin = require('../models/admin');
+const SecuritySettings = require('../models/securitySettings');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { createSendToken } = require('../middlewares/auth');
+const totp = require('../utils/totp');
+const { recordAudit } = require('../utils/auditLog');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Qafzh Solar Admin';
+const ADMIN_ROLES = ['admin', 'super_admin', 'moderator'];
+
+const lockedError = () =>
+  new AppError('Account is temporarily locked due to multiple failed login attempts. Please try again later.', 423);
+
+// Get 2FA status for the current admin
+const getTwoFactorStatus = catchAsync(async (req, res, next) => {
+  const admin = await Admin.findById(req.user._id).select('+twoFactor.recoveryCodes');
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      enabled: admin.twoFactor.enabled,
+      enabledAt: admin.twoFactor.enabledAt,
+      recoveryCodesRemaining: admin.twoFactor.recoveryCodes.length,
+      requiredForRole: await SecuritySettings.isTwoFactorRequired(admin.role)
+    }
+  });
+});
+
+// Start enrollment - returns the secret and otpauth URI to load into an authenticator app
+const setupTwoFactor = catchAsync(async (req, res, next) => {
+  const admin = await Admin.findById(req.user._id);
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  if (admin.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled. Disable it first to enroll a new device.', 400));
+  }
+
+  const secret = admin.createTwoFactorSecret();
+  await admin.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({ secret, label: admin.email, issuer: TOTP_ISSUER })
+    }
+  });
+});
+
+// Finish enrollment - confirms a code from the app and hands out recovery codes once
+const enableTwoFactor = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new AppError('Please provide the code from your authenticator app', 400));
+  }
+
+  const admin = await Admin.findById(req.user._id).select('+twoFactor.pendingSecret');
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  if (admin.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!admin.twoFactor.pendingSecret) {
+    return next(new AppError('Start two-factor setup first', 400));
+  }
+
+  if (!admin.verifyTwoFactorCode(code, { pending: true })) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+  admin.twoFactor.pendingSecret = null;
+  admin.twoFactor.enabled = true;
+  admin.twoFactor.enabledAt = new Date();
+  const recoveryCodes = admin.generateRecoveryCodes();
+  await admin.save({ validateBeforeSave: false });
+
+  admin.twoFactor.secret = undefined;
+  admin.twoFactor.recoveryCodes = undefined;
+
+  // Enrolling with a setup-only token completes the login
+  if (req.tokenScope === '2fa_setup') {
+    return createSendToken(admin, 200, res, { recoveryCodes });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe - they are shown only once.',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+// Turn 2FA off - needs the password and a current code (or a recovery code)
+const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return next(new AppError('Please provide your password and an authentication or recovery code', 400));
+  }
+
+  const admin = await Admin.findById(req.user._id).select('+password +twoFactor.secret +twoFactor.recoveryCodes');
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  if (!admin.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (await SecuritySettings.isTwoFactorRequired(admin.role)) {
+    return next(new AppError('Two-factor authentication is required for your role and cannot be disabled', 403));
+  }
+
+  // Wrong passwords and codes count towards the login lockout, so a stolen session can't guess them
+  if (admin.isLocked) {
+    return next(lockedError());
+  }
+
+  const isValidPassword = await admin.comparePassword(password);
+  const verified = code ? admin.verifyTwoFactorCode(code) : admin.useRecoveryCode(recoveryCode);
+  if (!isValidPassword || !verified) {
+    await admin.incLoginAttempts();
+    return next(new AppError('Invalid password or authentication code', 400));
+  }
+
+  admin.clearTwoFactor();
+  await admin.save({ validateBeforeSave: false });
+
+  await recordAudit(req, {
+    action: 'admin.two_factor_disable',
+    entityType: 'admin',
+    entityId: admin._id,
+    entityLabel: admin.email,
+    before: { 'twoFactor.enabled': true },
+    after: { 'twoFactor.enabled': false }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// Replace all recovery codes - needs a current code
+const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new AppError('Please provide the code from your authenticator app', 400));
+  }
+
+  const admin = await Admin.findById(req.user._id).select('+twoFactor.secret');
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  if (!admin.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  // Wrong codes count towards the login lockout, so a stolen session can't guess them
+  if (admin.isLocked) {
+    return next(lockedError());
+  }
+
+  if (!admin.verifyTwoFactorCode(code)) {
+    await admin.incLoginAttempts();
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  const recoveryCodes = admin.generateRecoveryCodes();
+  await admin.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'New recovery codes generated. Previous codes no longer work.',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+// Get the roles that must use 2FA (Super admin only)
+const getTwoFactorPolicy = catchAsync(async (req, res, next) => {
+  const settings = await SecuritySettings.getSettings();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      requiredRoles: settings.twoFactorRequiredRoles,
+      updatedAt: settings.updatedAt
+    }
+  });
+});
+
+// Set the roles that must use 2FA (Super admin only)
+const updateTwoFactorPolicy = catchAsync(async (req, res, next) => {
+  const { requiredRoles } = req.body;
+
+  if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !ADMIN_ROLES.includes(role))) {
+    return next(new AppError(`requiredRoles must be an array of: ${ADMIN_ROLES.join(', ')}`, 400));
+  }
+
+  const settings = await SecuritySettings.getSettings();
+  const before = { twoFactorRequiredRoles: [...settings.twoFactorRequiredRoles] };
+  settings.twoFactorRequiredRoles = [...new Set(requiredRoles)];
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  await recordAudit(req, {
+    action: 'security_settings.two_factor_policy_update',
+    entityType: 'security_settings',
+    entityId: settings._id,
+    entityLabel: settings.key,
+    before,
+    after: { twoFactorRequiredRoles: [...settings.twoFactorRequiredRoles] }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor policy updated successfully',
+    data: {
+      requiredRoles: settings.twoFactorRequiredRoles
+    }
+  });
+});
+
+// Reset another admin's 2FA after a lost device (Super admin only)
+const resetAdminTwoFactor = catchAsync(async (req, res, next) => {
+  const { adminId } = req.params;
+
+  const admin = await Admin.findById(adminId);
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  const wasEnabled = admin.twoFactor.enabled;
+  admin.clearTwoFactor();
+  await admin.save({ validateBeforeSave: false });
+
+  await recordAudit(req, {
+    action: 'admin.two_factor_reset',
+    entityType: 'admin',
+    entityId: admin._id,
+    entityLabel: admin.email,
+    before: { 'twoFactor.enabled': wasEnabled },
+    after: { 'twoFactor.enabled': false }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication reset. The admin must enroll again if their role requires it.'
+  });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetAdminTwoFactor
+};
@@ -2,12 +2,23 @@
 // Create new ad
 const Ads = require('../models/ads');
 const { uploadToCloud } = require('../utils/uploadToCloud');
+const { recordAudit } = require('../utils/auditLog');
+const { usesCursor, cursorLimit, decodeCursor, paginateByCursor } = require('../utils/pagination');
 
 // Create new ad with image
 const postAds = async (req, res) => {
   try {
     const ad = new Ads(req.body);
     await ad.save();
+
+    await recordAudit(req, {
+      action: 'ad.create',
+      entityType: 'ad',
+      entityId: ad._id,
+      entityLabel: ad.title,
+      after: ad
+    });
+
     res.status(201).json({ message: 'Ad created', ad });
   } catch (error) {
     res.status(500).json({ message: 'Failed to create ad', error: error.message });
@@ -19,12 +30,22 @@ const postAds = async (req, res) => {
 const updateAd = async (req, res) => {
   try {
     const { id } = req.params;
+    const before = await Ads.findById(id).lean();
     const updated = await Ads.findByIdAndUpdate(id, req.body, { new: true, runValidators: true });
 
     if (!updated) {
       return res.status(404).json({ message: 'Ad not found' });
     }
 
+    await recordAudit(req, {
+      action: 'ad.update',
+      entityType: 'ad',
+      entityId: updated._id,
+      entityLabel: updated.title,
+      before,
+      after: updated
+    });
+
     res.status(200).json({ message: 'Ad updated', ad: updated });
   } catch (error) {
     res.status(500).json({ message: 'Failed to update ad', error: error.message });
@@ -36,6 +57,25 @@ const updateAd = async (req, res) => {
 // Get all ads (admin or public)
 const getAllAds = async (req, res) => {
     try {
+        // Marketplace: newest first by cursor, no count per page
+        if (usesCursor(req)) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (cursor === null) {
+                return res.status(400).json({ status: 400, message: 'Invalid cursor' });
+            }
+            const { items, pagination } = await paginateByCursor(Ads, {
+                filter: {},
+                cursor,
+                limit: cursorLimit(req.query)
+            });
+            return res.status(200).json({
+                status: 200,
+                data: items,
+                pagination,
+                message: "Ads fetched successfully"
+            });
+        }
+
         const { page = 1, limit = 10 } = req.query;
 
         const total = await Ads.countDocuments();
@@ -80,7 +120,17 @@ const getAdsByPlacement = async (req, res) => {
 const deleteAd = async (req, res) => {
     try {
         const { id } = req.params;
-        await Ads.findByIdAndDelete(id);
+        const deleted = await Ads.findByIdAndDelete(id);
+
+        if (deleted) {
+            await recordAudit(req, {
+                action: 'ad.delete',
+                entityType: 'ad',
+                entityId: deleted._id,
+                entityLabel: deleted.title,
+                before: deleted
+            });
+        }
         res.status(200).json({ message: 'Ad deleted' });
     } catch (error) {
         res.status(500).json({ message: 'Failed to delete ad', error });
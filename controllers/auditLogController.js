@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+
+const MAX_EXPORT_ROWS = 10000;
+const CSV_COLUMNS = [
+  'createdAt',
+  'actorId',
+  'actorName',
+  'actorEmail',
+  'actorRole',
+  'action',
+  'entityType',
+  'entityId',
+  'entityLabel',
+  'before',
+  'after',
+  'metadata',
+  'ip',
+  'userAgent'
+];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mongo filter from the query string shared by search and export; returns { filter } or { error }
+const buildAuditFilter = (query) => {
+  const { actor, action, entityType, entityId, from, to } = query;
+  const filter = {};
+
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      filter['actor.id'] = actor;
+    } else {
+      filter['actor.email'] = String(actor).toLowerCase().trim();
+    }
+  }
+
+  if (action) {
+    // "product" matches every product.* action, "product.delete" only that one
+    filter.action = String(action).includes('.')
+      ? String(action)
+      : new RegExp(`^${escapeRegex(action)}\\.`);
+  }
+
+  if (entityType) {
+    if (!AuditLog.ENTITY_TYPES.includes(entityType)) {
+      return { error: new AppError(`entityType must be one of: ${AuditLog.ENTITY_TYPES.join(', ')}`, 400) };
+    }
+    filter['entity.type'] = entityType;
+  }
+
+  if (entityId) {
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return { error: new AppError('Invalid entityId', 400) };
+    }
+    filter['entity.id'] = entityId;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate)) return { error: new AppError('Invalid from date', 400) };
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate)) return { error: new AppError('Invalid to date', 400) };
+      // A bare date means "up to the end of that day"
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCHours(23, 59, 59, 999);
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  return { filter };
+};
+
+// Cells a spreadsheet would read as a formula; these are written with a leading quote
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' && !(value instanceof Date)
+    ? JSON.stringify(value)
+    : value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (entry) => [
+  entry.createdAt,
+  entry.actor && entry.actor.id,
+  entry.actor && entry.actor.name,
+  entry.actor && entry.actor.email,
+  entry.actor && entry.actor.role,
+  entry.action,
+  entry.entity && entry.entity.type,
+  entry.entity && entry.entity.id,
+  entry.entity && entry.entity.label,
+  entry.changes && entry.changes.before,
+  entry.changes && entry.changes.after,
+  entry.metadata,
+  entry.ip,
+  entry.userAgent
+].map(toCsvValue).join(',');
+
+// Search the audit log (Super admin only)
+const getAuditLogs = catchAsync(async (req, res, next) => {
+  const { error, filter } = buildAuditFilter(req.query);
+  if (error) {
+    return next(error);
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: logs.length,
+    data: {
+      logs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    }
+  });
+});
+
+// Single audit entry (Super admin only)
+const getAuditLog = catchAsync(async (req, res, next) => {
+  const log = await AuditLog.findById(req.params.id).lean();
+  if (!log) {
+    return next(new AppError('Audit log entry not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      log
+    }
+  });
+});
+
+// Export matching entries as CSV, newest first (Super admin only)
+const exportAuditLogs = catchAsync(async (req, res, next) => {
+  const { error, filter } = buildAuditFilter(req.query);
+  if (error) {
+    return next(error);
+  }
+
+  const total = await AuditLog.countDocuments(filter);
+  if (total > MAX_EXPORT_ROWS) {
+    return next(new AppError(`Export is limited to ${MAX_EXPORT_ROWS} entries, narrow the filters (matched ${total})`, 400));
+  }
+
+  const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+  const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).lean().cursor();
+  for await (const entry of cursor) {
+    res.write(`${toCsvRow(entry)}\n`);
+  }
+
+  res.end();
+});
+
+module.exports = {
+  getAuditLogs,
+  getAuditLog,
+  exportAuditLogs
+};
@@ -1,19 +1,35 @@
 const User = require('../models/auth');
+const Session = require('../models/session');
 const { AppError } = require('../middlewares/errorHandler');
 const { catchAsync } = require('../middlewares/errorHandler');
-const { createSendToken } = require('../middlewares/auth');
+const { createSendUserToken, createUserSession, setAccessTokenCookie } = require('../middlewares/auth');
 const bcrypt = require('bcrypt');
 const generateToken = require('../utils/generateToken');
+const jwt = require('jsonwebtoken');
+const { sendOTP, formatWait } = require('../utils/sendOtp');
+const { isStrongPassword, PASSWORD_POLICY_MESSAGE } = require('../middlewares/validation');
+const logger = require('../utils/logger');
+
+// Check an OTP against the user's lockout and attempt counters.
+// Returns an AppError to pass on, or null when the code is valid.
+const checkOtpAttempt = async (user, otp, purpose, res) => {
+  const attempt = await user.attemptOTP(otp, purpose);
+  if (attempt.valid) return null;
+
+  if (attempt.locked) {
+    res.set('Retry-After', String(attempt.retryAfter));
+    return new AppError(`Too many invalid OTP attempts. Please try again in ${formatWait(attempt.retryAfter)}.`, 429, { retryAfter: attempt.retryAfter });
+  }
+
+  return new AppError('Invalid or expired OTP', 400, { attemptsRemaining: attempt.attemptsRemaining });
+};
+
 // Register user with phone number only (as per scope)
 const registerUser = catchAsync(async (req, res, next) => {
   const { name, phone , password, profileImageUrl} = req.body;
-const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&]).{6,}$/;
 
-if (!passwordRegex.test(password)) {
-  return next(new AppError(
-    'Password must be at least 6 characters long and include uppercase, lowercase, number, and special character.',
-    400
-  ));
+if (!isStrongPassword(password)) {
+  return next(new AppError(PASSWORD_POLICY_MESSAGE, 400));
 }
   // Check if user already exists
   const existingUser = await User.findOne({ phone });
@@ -27,18 +43,23 @@ if (!passwordRegex.test(password)) {
   if (existingUser && !existingUser.isVerified) {
     // User exists but not verified, resend OTP
     user = existingUser;
-    user.generateOTP();
-    await user.save();
   } else {
     // Create new user
     user = new User({ phone ,name,password:hashPassword,profileImageUrl});
-    user.generateOTP();
     console.log('🔐 Creating new user:', {
       phone: user.phone,
       isActive: user.isActive,
       isVerified: user.isVerified
     });
-    await user.save();
+  }
+
+  const delivery = await sendOTP(user);
+  if (delivery.throttled) {
+    res.set('Retry-After', String(delivery.retryAfter));
+    return next(new AppError(delivery.error, 429, { retryAfter: delivery.retryAfter }));
+  }
+  if (!delivery.success) {
+    return next(new AppError('Registration saved but we could not send the OTP. Please request a new one.', 502));
   }
 
   res.status(201).json({
@@ -46,7 +67,8 @@ if (!passwordRegex.test(password)) {
     message: 'Registration successful. Please verify your phone number using OTP.',
     data: {
       phone: user.phone,
-      otpExpiresAt: user.otpExpires
+      otpExpiresAt: user.otpExpires,
+      resendAvailableIn: user.canSendOTP().retryAfter
     }
   });
 });
@@ -63,9 +85,10 @@ const verifyOTP = catchAsync(async (req, res, next) => {
     return next(new AppError('No user found with this phone number', 404));
   }
 
-  // Verify OTP
-  if (!user.verifyOTP(otp)) {
-    return next(new AppError('Invalid or expired OTP', 400));
+  // Verify OTP (locked phones and wrong guesses are rejected)
+  const otpError = await checkOtpAttempt(user, otp, 'verify', res);
+  if (otpError) {
+    return next(otpError);
   }
 
   // Clear OTP and mark as verified
@@ -73,8 +96,8 @@ const verifyOTP = catchAsync(async (req, res, next) => {
   user.lastLogin = new Date();
   await user.save();
 
-  // Send token
-  createSendToken(user, 200, res);
+  // Open a session and send the token pair
+  await createSendUserToken(user, 200, req, res);
 });
 
 // login
@@ -128,13 +151,14 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate token after successful phone + password match
-    const token = generateToken(validUser);
-    
-    console.log('🔐 Login successful - Token generated for user:', {
+    // Open a device session after successful phone + password match
+    const { session, token, refreshToken, tokenExpiresAt } = await createUserSession(validUser, req);
+    setAccessTokenCookie(res, token, tokenExpiresAt);
+
+    console.log('🔐 Login successful - Session opened for user:', {
       userId: validUser._id,
       phone: validUser.phone,
-      tokenLength: token.length
+      sessionId: session._id
     });
 
     return res.status(200).json({
@@ -149,7 +173,10 @@ const login = async (req, res) => {
           isVerified: validUser.isVerified,
           createdAt: validUser.createdAt
         },
-        token 
+        token,
+        refreshToken,
+        tokenExpiresAt,
+        sessionId: session._id
       },
       message: "Login successful",
     });
@@ -172,20 +199,114 @@ const requestOTP = catchAsync(async (req, res, next) => {
     return next(new AppError('No user found with this phone number. Please register first.', 404));
   }
 
-  // Generate new OTP
-  user.generateOTP();
-  await user.save();
+  // Generate and send new OTP
+  const delivery = await sendOTP(user);
+  if (delivery.throttled) {
+    res.set('Retry-After', String(delivery.retryAfter));
+    return next(new AppError(delivery.error, 429, { retryAfter: delivery.retryAfter }));
+  }
+  if (!delivery.success) {
+    return next(new AppError('Failed to send OTP. Please try again later.', 502));
+  }
 
   res.status(200).json({
     status: 'success',
     message: 'OTP sent successfully',
     data: {
       phone: user.phone,
-      otpExpiresAt: user.otpExpires
+      otpExpiresAt: user.otpExpires,
+      resendAvailableIn: user.canSendOTP().retryAfter
+    }
+  });
+});
+
+// Forgot password - send a password reset OTP to the phone
+const forgotPassword = catchAsync(async (req, res, next) => {
+  const { phone } = req.body;
+
+  const user = await User.findOne({ phone, isActive: true });
+
+  // Same answer whether or not the phone is registered, and whether or not the code went out;
+  // throttled and failed sends are only logged
+  const response = {
+    status: 'success',
+    message: 'If this phone number is registered, a password reset code has been sent.'
+  };
+
+  if (user) {
+    const delivery = await sendOTP(user, 'password_reset');
+    if (delivery.throttled) {
+      logger.warn('Password reset OTP throttled', { userId: user._id.toString(), reason: delivery.reason });
+    } else if (!delivery.success) {
+      logger.error('Password reset OTP failed to send', { userId: user._id.toString(), error: delivery.error });
+    }
+  }
+
+  res.status(200).json(response);
+});
+
+// Verify the password reset OTP and issue a single-use reset token
+const verifyResetOTP = catchAsync(async (req, res, next) => {
+  const { phone, otp } = req.body;
+
+  if (!phone || !otp) {
+    return next(new AppError('Phone number and OTP are required', 400));
+  }
+
+  const user = await User.findOne({ phone, isActive: true });
+  if (!user) {
+    return next(new AppError('Invalid or expired OTP', 400));
+  }
+
+  const otpError = await checkOtpAttempt(user, otp, 'password_reset', res);
+  if (otpError) {
+    return next(otpError);
+  }
+
+  // Receiving the code proves phone ownership
+  user.clearOTP();
+  const resetToken = user.createPasswordResetToken();
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'OTP verified. Use the reset token to set a new password.',
+    data: {
+      resetToken,
+      resetTokenExpiresAt: user.passwordResetExpires
     }
   });
 });
 
+// Reset password with the reset token - signs the user out of every device
+const resetPassword = catchAsync(async (req, res, next) => {
+  const { resetToken, password } = req.body;
+
+  const user = await User.findByResetToken(resetToken);
+  if (!user || !user.isActive) {
+    return next(new AppError('Reset token is invalid or has expired', 400));
+  }
+
+  const isSamePassword = await bcrypt.compare(password, user.password);
+  if (isSamePassword) {
+    return next(new AppError('New password must be different from the current password', 400));
+  }
+
+  user.password = await bcrypt.hash(password, 8);
+  user.passwordChangedAt = new Date();
+  // Single use: the token is gone once the password is changed
+  user.passwordResetToken = null;
+  user.passwordResetExpires = null;
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'password_reset');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Password reset successfully. Please log in with your new password.'
+  });
+});
+
 // Update user profile (name and profile image)
 const updateProfile = catchAsync(async (req, res, next) => {
   const { name, profileImageUrl } = req.body;
@@ -240,8 +361,90 @@ const getProfile = catchAsync(async (req, res, next) => {
   });
 });
 
-// Logout user (invalidate token on client side)
+// Exchange a refresh token for a new access token; the refresh token is rotated on every use
+const refreshToken = catchAsync(async (req, res, next) => {
+  const parsed = Session.parseRefreshToken(req.body.refreshToken);
+  if (!parsed) {
+    return next(new AppError('A valid refresh token is required', 400));
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive) {
+    return next(new AppError('Your session has expired or was revoked. Please log in again.', 401));
+  }
+
+  // A rotated-out token being replayed means it leaked: kill the whole session
+  if (!session.matchesRefreshToken(parsed.secret)) {
+    await session.revoke('refresh_token_reuse');
+    return next(new AppError('Refresh token has already been used. Please log in again.', 401));
+  }
+
+  const user = await User.findById(session.userId).select('+isActive');
+  if (!user || !user.isActive) {
+    await session.revoke('account_deleted');
+    return next(new AppError('The user account no longer exists or is inactive.', 401));
+  }
+
+  const newRefreshToken = session.rotateRefreshToken();
+  await session.save();
+
+  const token = generateToken(user, session);
+  const tokenExpiresAt = new Date(jwt.decode(token).exp * 1000);
+  setAccessTokenCookie(res, token, tokenExpiresAt);
+
+  res.status(200).json({
+    status: 'success',
+    token,
+    refreshToken: newRefreshToken,
+    tokenExpiresAt,
+    sessionId: session._id
+  });
+});
+
+// List the user's active sessions (one per device)
+const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.findActiveForUser(req.user._id).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map(session => ({
+        id: session._id,
+        deviceId: session.deviceId,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: !!req.authSession && session._id.equals(req.authSession._id)
+      }))
+    }
+  });
+});
+
+// Revoke one of the user's sessions
+const revokeSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findOne({ _id: req.params.sessionId, userId: req.user._id });
+  if (!session || !session.isActive) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  await session.revoke('revoked_by_user');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked successfully'
+  });
+});
+
+// Logout user - revokes the current session
 const logout = catchAsync(async (req, res, next) => {
+  if (req.authSession) {
+    await req.authSession.revoke('logout');
+  }
+
   res.cookie('jwt', 'loggedout', {
     expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true
@@ -253,6 +456,24 @@ const logout = catchAsync(async (req, res, next) => {
   });
 });
 
+// Logout everywhere - revokes every session of the user
+const logoutAll = catchAsync(async (req, res, next) => {
+  const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+  res.cookie('jwt', 'loggedout', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Logged out from all devices successfully',
+    data: {
+      revokedSessions: result.modifiedCount
+    }
+  });
+});
+
 // Delete user account
 const deleteAccount = catchAsync(async (req, res, next) => {
   const user = await User.findById(req.user._id);
@@ -263,6 +484,7 @@ const deleteAccount = catchAsync(async (req, res, next) => {
   // Soft delete - mark as inactive instead of permanent deletion
   user.isActive = false;
   await user.save();
+  await Session.revokeAllForUser(user._id, 'account_deleted');
 
   res.status(200).json({
     status: 'success',
@@ -293,9 +515,16 @@ module.exports = {
   registerUser,
   verifyOTP,
   requestOTP,
+  forgotPassword,
+  verifyResetOTP,
+  resetPassword,
   updateProfile,
   getProfile,
   logout,
+  logoutAll,
+  refreshToken,
+  getSessions,
+  revokeSession,
   deleteAccount,
   checkPhone,
   login
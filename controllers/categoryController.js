@@ -0,0 +1,218 @@
+const Category = require('../models/category');
+const Product = require('../models/product');
+const Shop = require('../models/shop');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { recordAudit } = require('../utils/auditLog');
+const { loadCategories, invalidateCategoryCache, buildCategoryTree } = require('../utils/categories');
+
+const EDITABLE_FIELDS = ['name', 'icon', 'parent', 'sortOrder', 'aliases', 'isActive'];
+
+const pickEditable = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (data.parent === '') data.parent = null;
+  return data;
+};
+
+// Drop inactive categories together with everything nested below them
+const pruneInactive = nodes =>
+  nodes
+    .filter(node => node.isActive)
+    .map(node => ({ ...node, children: pruneInactive(node.children) }));
+
+// Keys and aliases must not be taken by another category, ignoring case
+const findNamingConflict = (category, categories) => {
+  const taken = new Map();
+  categories
+    .filter(other => !other._id.equals(category._id))
+    .forEach(other => [other.key, ...other.aliases].forEach(value => taken.set(value.toLowerCase(), other.key)));
+
+  const conflict = [category.key, ...category.aliases].find(value => taken.has(value.toLowerCase()));
+  return conflict ? `"${conflict}" is already used by category "${taken.get(conflict.toLowerCase())}"` : null;
+};
+
+// The parent must exist and must not be the category itself or one of its descendants
+const findParentProblem = (category, categories) => {
+  if (!category.parent) return null;
+  const byId = new Map(categories.map(other => [other._id.toString(), other]));
+
+  let current = byId.get(category.parent.toString());
+  if (!current) return 'Parent category not found';
+  while (current) {
+    if (current._id.equals(category._id)) return 'A category cannot be nested under itself or its subcategories';
+    current = current.parent && byId.get(current.parent.toString());
+  }
+  return null;
+};
+
+const validateAgainstTaxonomy = async (category) => {
+  const { categories } = await loadCategories();
+  return findNamingConflict(category, categories) || findParentProblem(category, categories);
+};
+
+// Public: active categories as a tree, or a flat list with ?flat=true
+const getCategories = catchAsync(async (req, res, next) => {
+  const { categories } = await loadCategories();
+  const tree = pruneInactive(buildCategoryTree(categories));
+
+  const flatten = nodes => nodes.flatMap(({ children, ...node }) => [node, ...flatten(children)]);
+  const data = req.query.flat === 'true' ? flatten(tree) : tree;
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      categories: data
+    }
+  });
+});
+
+// Admin: every category including inactive ones, with usage counts
+const getAdminCategories = catchAsync(async (req, res, next) => {
+  const { categories } = await loadCategories();
+
+  const [productCounts, shopCounts] = await Promise.all([
+    Product.aggregate([{ $group: { _id: '$type', count: { $sum: 1 } } }]),
+    Shop.aggregate([{ $unwind: '$productCategories' }, { $group: { _id: '$productCategories', count: { $sum: 1 } } }])
+  ]);
+  const countsFor = rows => Object.fromEntries(rows.map(row => [row._id, row.count]));
+  const products = countsFor(productCounts);
+  const shops = countsFor(shopCounts);
+
+  res.status(200).json({
+    status: 'success',
+    results: categories.length,
+    data: {
+      categories: categories.map(category => ({
+        ...category,
+        productCount: products[category.key] || 0,
+        shopCount: shops[category.key] || 0
+      }))
+    }
+  });
+});
+
+// Admin: create a category
+const createCategory = catchAsync(async (req, res, next) => {
+  const category = new Category({
+    ...pickEditable(req.body),
+    key: req.body.key,
+    createdBy: req.user._id,
+    updatedBy: req.user._id
+  });
+  await category.validate();
+
+  const problem = await validateAgainstTaxonomy(category);
+  if (problem) {
+    return next(new AppError(problem, 400));
+  }
+
+  await category.save();
+  invalidateCategoryCache();
+
+  await recordAudit(req, {
+    action: 'category.create',
+    entityType: 'category',
+    entityId: category._id,
+    entityLabel: category.key,
+    after: category
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Category created successfully',
+    data: {
+      category
+    }
+  });
+});
+
+// Admin: update names, icon, nesting, order, aliases or active state; the key cannot change
+const updateCategory = catchAsync(async (req, res, next) => {
+  const category = await Category.findById(req.params.categoryId);
+  if (!category) {
+    return next(new AppError('Category not found', 404));
+  }
+
+  if (req.body.key !== undefined && req.body.key !== category.key) {
+    return next(new AppError('The category key cannot be changed; add the new spelling as an alias instead', 400));
+  }
+
+  const before = category.toObject();
+  category.set(pickEditable(req.body));
+  category.updatedBy = req.user._id;
+  await category.validate();
+
+  const problem = await validateAgainstTaxonomy(category);
+  if (problem) {
+    return next(new AppError(problem, 400));
+  }
+
+  await category.save();
+  invalidateCategoryCache();
+
+  await recordAudit(req, {
+    action: 'category.update',
+    entityType: 'category',
+    entityId: category._id,
+    entityLabel: category.key,
+    before,
+    after: category
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Category updated successfully',
+    data: {
+      category
+    }
+  });
+});
+
+// Admin: delete an unused category without subcategories
+const deleteCategory = catchAsync(async (req, res, next) => {
+  const category = await Category.findById(req.params.categoryId);
+  if (!category) {
+    return next(new AppError('Category not found', 404));
+  }
+
+  const [children, products, shops] = await Promise.all([
+    Category.countDocuments({ parent: category._id }),
+    Product.countDocuments({ type: category.key }),
+    Shop.countDocuments({ productCategories: category.key })
+  ]);
+
+  if (children) {
+    return next(new AppError('Move or delete the subcategories first', 400, { children }));
+  }
+  if (products || shops) {
+    return next(new AppError('Category is in use; deactivate it instead', 400, { products, shops }));
+  }
+
+  await category.deleteOne();
+  invalidateCategoryCache();
+
+  await recordAudit(req, {
+    action: 'category.delete',
+    entityType: 'category',
+    entityId: category._id,
+    entityLabel: category.key,
+    before: category
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Category deleted successfully'
+  });
+});
+
+module.exports = {
+  getCategories,
+  getAdminCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const EngagementEvent = require('../models/engagementEvent');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { recordEngagement } = require('../utils/engagement');
+const { isMarketplaceUser } = require('../utils/favourites');
+const { isPubliclyVisible } = require('../utils/reports');
+
+// Admins and the listing's owner may reveal it whatever its state; anyone else only while it is public
+const canReveal = (req, type, item) => {
+  if (req.user && !isMarketplaceUser(req.user)) return true;
+  if (req.user && item.userId && item.userId.equals(req.user._id)) return true;
+  return isPubliclyVisible(type, item);
+};
+
+// Reveal a listing's phone and WhatsApp numbers when the user taps call or WhatsApp, and count the reveal
+const revealContact = catchAsync(async (req, res, next) => {
+  const { type, id } = req.params;
+  const { channel } = req.body || {};
+
+  if (!EngagementEvent.ENGAGEMENT_TYPES.includes(type)) {
+    return next(new AppError(`type must be one of: ${EngagementEvent.ENGAGEMENT_TYPES.join(', ')}`, 400));
+  }
+  if (!EngagementEvent.CONTACT_CHANNELS.includes(channel)) {
+    return next(new AppError(`channel must be one of: ${EngagementEvent.CONTACT_CHANNELS.join(', ')}`, 400));
+  }
+
+  const modelName = EngagementEvent.ENGAGEMENT_MODELS[type];
+  const item = await mongoose.model(modelName).findById(id);
+  if (!item || !canReveal(req, type, item)) {
+    return next(new AppError(`${modelName} not found`, 404));
+  }
+
+  const counted = await recordEngagement(req, {
+    itemType: type,
+    item: item._id,
+    action: 'contact',
+    channel,
+    ownerId: item.userId
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      contact: item.contactInfo,
+      counted
+    }
+  });
+});
+
+module.exports = {
+  revealContact
+};
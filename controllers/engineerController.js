@@ -1,4 +1,9 @@
 const Engineer = require('../models/engineer');
+const { recordAudit } = require('../utils/auditLog');
+const { usesCursor, cursorLimit, decodeCursor, paginateByCursor } = require('../utils/pagination');
+const { withFavouriteFlags, withFavouriteFlag } = require('../utils/favourites');
+const { trackView } = require('../utils/engagement');
+const { visibleFilter, isHiddenFrom } = require('../utils/reports');
 
 
 // Add engineer
@@ -72,6 +77,14 @@ const addEngineer = async (req, res) => {
         // Save to database
         await newEngineer.save();
 
+        await recordAudit(req, {
+            action: 'engineer.create',
+            entityType: 'engineer',
+            entityId: newEngineer._id,
+            entityLabel: newEngineer.name,
+            after: newEngineer
+        });
+
         res.status(201).json({
             message: 'Engineer added successfully',
             engineer: newEngineer
@@ -88,18 +101,38 @@ const addEngineer = async (req, res) => {
 
 const getAllEngineers = async (req, res) => {
     try {
+        const filter = visibleFilter(req);
+
+        // Marketplace: newest first by cursor, no count per page
+        if (usesCursor(req)) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (cursor === null) {
+                return res.status(400).json({ success: false, message: 'Invalid cursor' });
+            }
+            const { items, pagination } = await paginateByCursor(Engineer, {
+                filter,
+                cursor,
+                limit: cursorLimit(req.query)
+            });
+            return res.status(200).json({
+                success: true,
+                data: await withFavouriteFlags(req, items, 'engineer'),
+                pagination
+            });
+        }
+
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
 
-        const total = await Engineer.countDocuments();
-        const engineers = await Engineer.find()
+        const total = await Engineer.countDocuments(filter);
+        const engineers = await Engineer.find(filter)
             .sort({ createdAt: -1 })
             .skip((page - 1) * limit)
             .limit(limit);
 
         res.status(200).json({
             success: true,
-            data: engineers,
+            data: await withFavouriteFlags(req, engineers, 'engineer'),
             total,
             currentPage: page,
             totalPages: Math.ceil(total / limit)
@@ -114,12 +147,22 @@ const getAllEngineers = async (req, res) => {
 const updateEngineer = async (req, res) => {
     try {
         const { id } = req.params;
+        const before = await Engineer.findById(id).lean();
         const updatedEngineer = await Engineer.findByIdAndUpdate(id, req.body, { new: true });
 
         if (!updatedEngineer) {
             return res.status(404).json({ message: 'Engineer not found' });
         }
 
+        await recordAudit(req, {
+            action: 'engineer.update',
+            entityType: 'engineer',
+            entityId: updatedEngineer._id,
+            entityLabel: updatedEngineer.name,
+            before,
+            after: updatedEngineer
+        });
+
         res.status(200).json({ message: 'Engineer updated successfully', engineer: updatedEngineer });
     } catch (error) {
         res.status(500).json({ message: 'Server error', error });
@@ -136,6 +179,14 @@ const deleteEngineer = async (req, res) => {
             return res.status(404).json({ message: 'Engineer not found' });
         }
 
+        await recordAudit(req, {
+            action: 'engineer.delete',
+            entityType: 'engineer',
+            entityId: deleted._id,
+            entityLabel: deleted.name,
+            before: deleted
+        });
+
         res.status(200).json({ message: 'Engineer deleted successfully' });
     } catch (error) {
         res.status(500).json({ message: 'Server error', error });
@@ -151,6 +202,15 @@ const toggleEngineerStatus = async (req, res) => {
         engineer.isActive = !engineer.isActive;
         await engineer.save();
 
+        await recordAudit(req, {
+            action: 'engineer.toggle_status',
+            entityType: 'engineer',
+            entityId: engineer._id,
+            entityLabel: engineer.name,
+            before: { isActive: !engineer.isActive },
+            after: { isActive: engineer.isActive }
+        });
+
         res.status(200).json({ message: 'Status updated', engineer });
     } catch (error) {
         res.status(500).json({ message: 'Server error', error });
@@ -170,16 +230,18 @@ const getEngineerById = async (req, res) => {
 
         const engineer = await Engineer.findById(id);
 
-        if (!engineer) {
+        if (!engineer || isHiddenFrom(req, engineer)) {
             return res.status(404).json({
                 status: 404,
                 message: "Engineer not found"
             });
         }
 
+        trackView(req, 'engineer', engineer);
+
         res.status(200).json({
             status: 200,
-            data: engineer,
+            data: await withFavouriteFlag(req, engineer, 'engineer'),
             message: "Engineer fetched successfully"
         });
 
@@ -0,0 +1,129 @@
+const ExchangeRate = require('../models/exchangeRate');
+const Product = require('../models/product');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { recordAudit } = require('../utils/auditLog');
+const { getCurrentRates, invalidateRateCache } = require('../utils/exchangeRates');
+const { BASE_CURRENCY, CURRENCIES } = require('../config/currencies');
+
+// Current rate per currency; used by the apps to show converted prices
+const getExchangeRates = catchAsync(async (req, res, next) => {
+  const current = await ExchangeRate.findCurrent();
+  const published = current.map(entry => entry.currency);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      baseCurrency: BASE_CURRENCY,
+      rates: current.map(({ currency, rate, updatedAt }) => ({ currency, rate, updatedAt })),
+      missing: CURRENCIES.filter(currency => currency !== BASE_CURRENCY && !published.includes(currency))
+    }
+  });
+});
+
+// Admin: every published rate, newest first
+const getExchangeRateHistory = catchAsync(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const { currency, from, to } = req.query;
+
+  const query = {};
+  if (currency) query.currency = String(currency).toUpperCase();
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+    if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+      return next(new AppError('from and to must be valid dates', 400));
+    }
+  }
+
+  const [entries, total] = await Promise.all([
+    ExchangeRate.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('setBy', 'name email'),
+    ExchangeRate.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    }
+  });
+});
+
+// Admin: publish a new rate and re-price the listings in that currency
+const setExchangeRate = catchAsync(async (req, res, next) => {
+  const currency = String(req.body.currency || '').toUpperCase();
+  const rate = Number(req.body.rate);
+
+  if (!Number.isFinite(rate) || rate <= 0) {
+    return next(new AppError('rate must be a positive number', 400));
+  }
+
+  const current = await getCurrentRates();
+  const entry = await ExchangeRate.create({
+    currency,
+    rate,
+    previousRate: current[currency] || null,
+    note: req.body.note,
+    setBy: req.user._id
+  });
+
+  invalidateRateCache();
+  const repriced = await Product.renormalizePrices(currency, rate);
+
+  await recordAudit(req, {
+    action: 'exchange_rate.update',
+    entityType: 'exchange_rate',
+    entityId: entry._id,
+    entityLabel: `${currency}/${BASE_CURRENCY}`,
+    before: { rate: entry.previousRate },
+    after: { rate },
+    metadata: { repriced }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Exchange rate updated successfully',
+    data: {
+      entry,
+      repriced
+    }
+  });
+});
+
+// Admin: recompute every normalised price, e.g. for listings created before rates existed
+const recalculatePrices = catchAsync(async (req, res, next) => {
+  const rates = await getCurrentRates();
+
+  const repriced = {};
+  for (const [currency, rate] of Object.entries(rates)) {
+    repriced[currency] = await Product.renormalizePrices(currency, rate);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Normalised prices recalculated',
+    data: {
+      repriced
+    }
+  });
+});
+
+module.exports = {
+  getExchangeRates,
+  getExchangeRateHistory,
+  setExchangeRate,
+  recalculatePrices
+};
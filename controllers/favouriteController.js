@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Favourite = require('../models/favourite');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { isMarketplaceUser } = require('../utils/favourites');
+const { isPubliclyVisible } = require('../utils/reports');
+
+// Fields shown for each kind of favourite in the list, with those deciding whether it is still public
+const ITEM_FIELDS = {
+  product: 'name type brand price currency images governorate city status saleStatus isActive expiresAt hiddenByReports',
+  shop: 'name governorate city logoUrl isVerified rating isActive hiddenByReports',
+  engineer: 'name governorate city services profileImageUrl isVerified rating isActive hiddenByReports'
+};
+
+// Fields isPubliclyVisible reads
+const VISIBILITY_FIELDS = 'status isActive expiresAt hiddenByReports';
+
+const parseType = (type) => {
+  if (!Favourite.FAVOURITE_TYPES.includes(type)) {
+    throw new AppError(`type must be one of: ${Favourite.FAVOURITE_TYPES.join(', ')}`, 400);
+  }
+  return type;
+};
+
+const requireMarketplaceUser = (req) => {
+  if (!isMarketplaceUser(req.user)) {
+    throw new AppError('Favourites are only available to marketplace users', 403);
+  }
+};
+
+// Favourites of the logged-in user, newest first; ?type=product|shop|engineer
+const getFavourites = catchAsync(async (req, res, next) => {
+  requireMarketplaceUser(req);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const query = { userId: req.user._id };
+  if (req.query.type) query.itemType = parseType(req.query.type);
+
+  const [favourites, total] = await Promise.all([
+    Favourite.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Favourite.countDocuments(query)
+  ]);
+
+  await Promise.all(Favourite.FAVOURITE_TYPES.map(type =>
+    Favourite.populate(favourites.filter(favourite => favourite.itemType === type), {
+      path: 'item',
+      select: ITEM_FIELDS[type]
+    })
+  ));
+  favourites.forEach((favourite) => {
+    if (favourite.item && !isPubliclyVisible(favourite.itemType, favourite.item)) favourite.item = null;
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: favourites.length,
+    data: {
+      // Items deleted or taken off the marketplace since they were saved come back with item: null
+      favourites,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    }
+  });
+});
+
+const addFavourite = catchAsync(async (req, res, next) => {
+  requireMarketplaceUser(req);
+  const itemType = parseType(req.body.type);
+  const { itemId } = req.body;
+
+  if (!mongoose.isValidObjectId(itemId)) {
+    return next(new AppError('Invalid itemId', 400));
+  }
+  // Only what the marketplace currently shows can be saved
+  const item = await mongoose.model(Favourite.FAVOURITE_MODELS[itemType]).findById(itemId).select(VISIBILITY_FIELDS);
+  if (!item || !isPubliclyVisible(itemType, item)) {
+    return next(new AppError(`${Favourite.FAVOURITE_MODELS[itemType]} not found`, 404));
+  }
+
+  // Adding twice is not an error
+  const result = await Favourite.updateOne(
+    { userId: req.user._id, itemType, item: itemId },
+    { $setOnInsert: { userId: req.user._id, itemType, item: itemId } },
+    { upsert: true }
+  );
+  const favourite = await Favourite.findOne({ userId: req.user._id, itemType, item: itemId });
+
+  res.status(result.upsertedCount ? 201 : 200).json({
+    status: 'success',
+    message: 'Added to favourites',
+    data: {
+      favourite
+    }
+  });
+});
+
+const removeFavourite = catchAsync(async (req, res, next) => {
+  requireMarketplaceUser(req);
+  const itemType = parseType(req.params.type);
+
+  const result = await Favourite.deleteOne({ userId: req.user._id, itemType, item: req.params.itemId });
+  if (result.deletedCount === 0) {
+    return next(new AppError('Favourite not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Removed from favourites'
+  });
+});
+
+module.exports = {
+  getFavourites,
+  addFavourite,
+  removeFavourite
+};
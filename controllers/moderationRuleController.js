@@ -0,0 +1,191 @@
+const Product = require('../models/product');
+const ModerationRule = require('../models/moderationRule');
+const ModerationSettings = require('../models/moderationSettings');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { recordAudit } = require('../utils/auditLog');
+const { evaluateProduct } = require('../utils/preModeration');
+
+const EDITABLE_FIELDS = ['name', 'description', 'type', 'action', 'config', 'rejectReasonCode', 'rejectReason', 'isActive', 'priority'];
+
+const pickEditable = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// List rules in evaluation order
+const getRules = catchAsync(async (req, res, next) => {
+  const query = {};
+  if (req.query.type) query.type = req.query.type;
+  if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+  const rules = await ModerationRule.find(query).sort({ priority: 1, createdAt: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: rules.length,
+    data: {
+      rules,
+      ruleTypes: ModerationRule.RULE_TYPES,
+      defaults: ModerationRule.RULE_DEFAULTS
+    }
+  });
+});
+
+// Create a rule
+const createRule = catchAsync(async (req, res, next) => {
+  const rule = await ModerationRule.create({
+    ...pickEditable(req.body),
+    createdBy: req.user._id,
+    updatedBy: req.user._id
+  });
+
+  await recordAudit(req, {
+    action: 'moderation_rule.create',
+    entityType: 'moderation_rule',
+    entityId: rule._id,
+    entityLabel: rule.name,
+    after: rule
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Moderation rule created successfully',
+    data: {
+      rule
+    }
+  });
+});
+
+// Update a rule
+const updateRule = catchAsync(async (req, res, next) => {
+  const rule = await ModerationRule.findById(req.params.ruleId);
+  if (!rule) {
+    return next(new AppError('Moderation rule not found', 404));
+  }
+
+  const before = rule.toObject();
+  rule.set(pickEditable(req.body));
+  rule.updatedBy = req.user._id;
+  await rule.save();
+
+  await recordAudit(req, {
+    action: 'moderation_rule.update',
+    entityType: 'moderation_rule',
+    entityId: rule._id,
+    entityLabel: rule.name,
+    before,
+    after: rule
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Moderation rule updated successfully',
+    data: {
+      rule
+    }
+  });
+});
+
+// Delete a rule
+const deleteRule = catchAsync(async (req, res, next) => {
+  const rule = await ModerationRule.findByIdAndDelete(req.params.ruleId);
+  if (!rule) {
+    return next(new AppError('Moderation rule not found', 404));
+  }
+
+  await recordAudit(req, {
+    action: 'moderation_rule.delete',
+    entityType: 'moderation_rule',
+    entityId: rule._id,
+    entityLabel: rule.name,
+    before: rule
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Moderation rule deleted successfully'
+  });
+});
+
+// Get the engine settings
+const getSettings = catchAsync(async (req, res, next) => {
+  const settings = await ModerationSettings.getSettings();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      enabled: settings.enabled,
+      autoApproveWhenClean: settings.autoApproveWhenClean,
+      updatedAt: settings.updatedAt
+    }
+  });
+});
+
+// Update the engine settings
+const updateSettings = catchAsync(async (req, res, next) => {
+  const { enabled, autoApproveWhenClean } = req.body;
+
+  if ((enabled !== undefined && typeof enabled !== 'boolean') ||
+      (autoApproveWhenClean !== undefined && typeof autoApproveWhenClean !== 'boolean')) {
+    return next(new AppError('enabled and autoApproveWhenClean must be booleans', 400));
+  }
+
+  const settings = await ModerationSettings.getSettings();
+  const before = { enabled: settings.enabled, autoApproveWhenClean: settings.autoApproveWhenClean };
+
+  if (enabled !== undefined) settings.enabled = enabled;
+  if (autoApproveWhenClean !== undefined) settings.autoApproveWhenClean = autoApproveWhenClean;
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  await recordAudit(req, {
+    action: 'moderation_settings.update',
+    entityType: 'moderation_settings',
+    entityId: settings._id,
+    entityLabel: settings.key,
+    before,
+    after: { enabled: settings.enabled, autoApproveWhenClean: settings.autoApproveWhenClean }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Moderation settings updated successfully',
+    data: {
+      enabled: settings.enabled,
+      autoApproveWhenClean: settings.autoApproveWhenClean
+    }
+  });
+});
+
+// Dry run: which active rules would fire on an existing product
+const evaluateRules = catchAsync(async (req, res, next) => {
+  const product = await Product.findById(req.params.productId);
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const { outcome, firedRules } = await evaluateProduct(product);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      productId: product._id,
+      outcome,
+      firedRules
+    }
+  });
+});
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getSettings,
+  updateSettings,
+  evaluateRules
+};
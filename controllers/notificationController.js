@@ -0,0 +1,76 @@
+const Notification = require('../models/notification');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+
+// Notifications of the logged-in user, newest first; ?unread=true for unread only
+const getNotifications = catchAsync(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const query = { userId: req.user._id };
+  if (req.query.unread === 'true') query.readAt = null;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('data.product', 'name price currency images status saleStatus'),
+    Notification.countDocuments(query),
+    Notification.countDocuments({ userId: req.user._id, readAt: null })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: notifications.length,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    }
+  });
+});
+
+const markNotificationRead = catchAsync(async (req, res, next) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.notificationId, userId: req.user._id },
+    [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+    { new: true }
+  );
+  if (!notification) {
+    return next(new AppError('Notification not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      notification
+    }
+  });
+});
+
+const markAllNotificationsRead = catchAsync(async (req, res, next) => {
+  const result = await Notification.updateMany(
+    { userId: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'All notifications marked as read',
+    data: {
+      updated: result.modifiedCount
+    }
+  });
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
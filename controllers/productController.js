@@ -1,23 +1,139 @@
 const Product = require("../models/product");
 const User = require("../models/auth");
+const { formatWait } = require("../utils/sendOtp");
+const { runPreModeration } = require("../utils/preModeration");
+const { detectDuplicates } = require("../utils/duplicateDetection");
+const {
+  findSpecificationErrors,
+  describeSpecifications,
+} = require("../config/productSpecifications");
+const {
+  loadCategories,
+  resolveCategory,
+  getCategoryKeysWithAncestors,
+} = require("../utils/categories");
+const {
+  getCurrentRates,
+  requestedCurrency,
+  withConvertedPrices,
+} = require("../utils/exchangeRates");
+const {
+  usesCursor,
+  cursorLimit,
+  decodeCursor,
+  paginateByCursor,
+} = require("../utils/pagination");
+const { withFavouriteFlags } = require("../utils/favourites");
+const { trackView } = require("../utils/engagement");
+const { visibleFilter, isHiddenFrom } = require("../utils/reports");
+const { LISTED_PRODUCTS } = require("../utils/productSearch");
+
+// Set only through moderation or the dedicated endpoints, never from a seller's request body
+const MODERATION_FIELDS = [
+  "status",
+  "approvedBy",
+  "approvedAt",
+  "rejectionReason",
+  "rejectionReasonCode",
+  "rejectedBy",
+  "rejectedAt",
+  "moderationHistory",
+  "adminNotes",
+  "autoModeration",
+  "isFlagged",
+  "duplicateCluster",
+  "duplicateMatches",
+  "statusBeforeExpiry",
+  "expiresAt",
+  "expiredAt",
+  "expiryWarningSentAt",
+  "renewedAt",
+  "renewCount",
+  "saleStatus",
+  "reservedAt",
+  "soldAt",
+  "soldPrice",
+  "soldCurrency",
+  // Set by the report hold
+  "hiddenByReports",
+  // Derived by the model from the listing itself
+  "normalizedPrice",
+  "searchIndex",
+  // Counted from engagement events
+  "viewCount",
+  "contactCount",
+];
+
+// Edits that change what buyers see, sending an approved listing back to review
+const MATERIAL_FIELDS = [
+  "name",
+  "description",
+  "type",
+  "condition",
+  "brand",
+  "model",
+  "specifications",
+  "images",
+  "phone",
+  "whatsappPhone",
+  "governorate",
+  "city",
+  "locationText",
+];
+
+const withoutModerationFields = (data = {}) => {
+  const clean = { ...data };
+  MODERATION_FIELDS.forEach((field) => delete clean[field]);
+  delete clean.userId;
+  delete clean._id;
+  return clean;
+};
+
+// Specification problems for the category a type key or alias refers to
+const checkSpecifications = async (type, specifications) => {
+  const category = await resolveCategory(type);
+  const types = category
+    ? await getCategoryKeysWithAncestors(category.key)
+    : [type];
+  return findSpecificationErrors(types, specifications);
+};
+
 // Called when user is already verified
 const postProduct = async (req, res) => {
   try {
     const user = req.user;
     const productData = req.body;
 
+    // Unknown keys would be silently dropped by the schema, so check the raw input
+    const specificationErrors = await checkSpecifications(
+      productData.type,
+      productData.specifications
+    );
+    if (specificationErrors.length) {
+      return res
+        .status(400)
+        .json({ msg: "Invalid specifications", errors: specificationErrors });
+    }
+
     const product = new Product({
-      ...productData,
+      ...withoutModerationFields(productData),
       userId: user._id,
     });
 
     await product.save();
 
+    // Rules may approve, reject or flag it; otherwise it waits for a moderator
+    await detectDuplicates(product);
+    await runPreModeration(product);
+
     res.status(201).json({
       msg: "Product posted successfully",
       product,
     });
   } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ msg: err.message });
+    }
     console.error(err);
     res.status(500).json({ msg: "Failed to post product", error: err.message });
   }
@@ -33,13 +149,22 @@ const verifyOtp = async (req, res) => {
   const user = await User.findOne({ phone });
   if (!user) return res.status(404).json({ msg: "User not found" });
 
-  if (user.otp !== otp || user.otpExpires < Date.now()) {
-    return res.status(400).json({ msg: "Invalid or expired OTP" });
+  const attempt = await user.attemptOTP(otp);
+  if (attempt.locked) {
+    res.set("Retry-After", String(attempt.retryAfter));
+    return res.status(429).json({
+      msg: `Too many invalid OTP attempts. Please try again in ${formatWait(attempt.retryAfter)}.`,
+      retryAfter: attempt.retryAfter,
+    });
+  }
+
+  if (!attempt.valid) {
+    return res
+      .status(400)
+      .json({ msg: "Invalid or expired OTP", attemptsRemaining: attempt.attemptsRemaining });
   }
 
-  user.isVerified = true;
-  user.otp = null;
-  user.otpExpires = null;
+  user.clearOTP();
   await user.save();
   res.status(201).json({
     msg: "OTP verified  successfully",
@@ -49,29 +174,60 @@ const verifyOtp = async (req, res) => {
 // updateProduct
 const updateProduct = async (req, res) => {
   try {
-    // const user = req.user;
+    const user = req.user;
     const productId = req.params.id;
-    const updatedData = req.body;
+    const updatedData = withoutModerationFields(req.body);
 
     // Ensure product belongs to the current user
-    const product = await Product.findOne({ _id: productId });
+    const product = await Product.findOne({
+      _id: productId,
+      userId: user._id,
+    }).select("+moderationHistory");
 
     if (!product) {
       return res.status(404).json({ msg: "Product not found or unauthorized" });
     }
 
-    // Update the product
-    const updatedProduct = await Product.findByIdAndUpdate(
-      productId,
-      { $set: updatedData },
-      { new: true }
-    );
+    if (updatedData.specifications !== undefined) {
+      const specificationErrors = await checkSpecifications(
+        updatedData.type || product.type,
+        updatedData.specifications
+      );
+      if (specificationErrors.length) {
+        return res
+          .status(400)
+          .json({ msg: "Invalid specifications", errors: specificationErrors });
+      }
+    }
+
+    // Update the product; saving runs the schema validators
+    product.set(updatedData);
+    const needsReview = MATERIAL_FIELDS.some((field) => product.isModified(field));
+    const sentForReview = needsReview && product.status === "approved";
+
+    if (sentForReview) {
+      await product.resubmit(user._id, "Edited after approval");
+      await detectDuplicates(product);
+      await runPreModeration(product);
+    } else {
+      // An expired approved listing is renewed into the queue instead of straight back live
+      if (needsReview && product.statusBeforeExpiry === "approved") {
+        product.statusBeforeExpiry = "pending";
+      }
+      await product.save();
+      await detectDuplicates(product);
+    }
 
     res.status(200).json({
-      msg: "Product updated successfully",
-      updatedProduct,
+      msg: sentForReview
+        ? "Product updated and sent back for review"
+        : "Product updated successfully",
+      updatedProduct: product,
     });
   } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ msg: err.message });
+    }
     console.error(err);
     res
       .status(500)
@@ -130,6 +286,231 @@ const deleteProduct = async (req, res) => {
   }
 };
 
+// Resubmit a rejected product after fixing it
+const resubmitProduct = async (req, res) => {
+  try {
+    const user = req.user;
+    const productId = req.params.id;
+    const { note, ...changes } = req.body;
+
+    const product = await Product.findOne({
+      _id: productId,
+      userId: user._id,
+    }).select("+moderationHistory");
+
+    if (!product) {
+      return res.status(404).json({
+        status: 404,
+        message:
+          "Product not found or you don't have permission to resubmit this product",
+      });
+    }
+
+    if (product.status !== "rejected") {
+      return res.status(400).json({
+        status: 400,
+        message: "Only rejected products can be resubmitted",
+      });
+    }
+
+    if (changes.specifications !== undefined) {
+      const specificationErrors = await checkSpecifications(
+        changes.type || product.type,
+        changes.specifications
+      );
+      if (specificationErrors.length) {
+        return res.status(400).json({
+          status: 400,
+          message: "Invalid specifications",
+          errors: specificationErrors,
+        });
+      }
+    }
+
+    product.set(withoutModerationFields(changes));
+    await product.resubmit(user._id, note);
+    await detectDuplicates(product);
+    await runPreModeration(product);
+
+    res.status(200).json({
+      status: 200,
+      message: "Product resubmitted for review",
+      data: product,
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        status: 400,
+        message: err.message,
+      });
+    }
+    console.error("Resubmit product error:", err);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to resubmit product",
+      error: err.message,
+    });
+  }
+};
+
+// Renew a listing that is about to expire or has expired
+const renewProduct = async (req, res) => {
+  try {
+    const user = req.user;
+    const productId = req.params.id;
+
+    const product = await Product.findOne({ _id: productId, userId: user._id });
+
+    if (!product) {
+      return res.status(404).json({
+        status: 404,
+        message:
+          "Product not found or you don't have permission to renew this product",
+      });
+    }
+
+    if (!product.canRenew) {
+      let message = `A ${product.status} product cannot be renewed`;
+      if (product.saleStatus === "sold") {
+        message = "A sold product cannot be renewed";
+      } else if (["pending", "approved"].includes(product.status)) {
+        message = `Product can be renewed within ${Product.EXPIRY_WARNING_DAYS} days of expiry`;
+      }
+      return res.status(400).json({ status: 400, message });
+    }
+
+    await product.renew();
+
+    res.status(200).json({
+      status: 200,
+      message: "Product renewed successfully",
+      data: product,
+    });
+  } catch (err) {
+    console.error("Renew product error:", err);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to renew product",
+      error: err.message,
+    });
+  }
+};
+
+// Mark a listing available, reserved or sold
+const updateSaleStatus = async (req, res) => {
+  try {
+    const user = req.user;
+    const productId = req.params.id;
+    const { saleStatus, soldPrice, soldCurrency, soldAt } = req.body;
+
+    if (!Product.SALE_STATUSES.includes(saleStatus)) {
+      return res.status(400).json({
+        status: 400,
+        message: `saleStatus must be one of: ${Product.SALE_STATUSES.join(", ")}`,
+      });
+    }
+
+    const details = {};
+    if (saleStatus === "sold") {
+      if (soldPrice !== undefined && soldPrice !== null && soldPrice !== "") {
+        const price = Number(soldPrice);
+        if (!Number.isFinite(price) || price < 0) {
+          return res.status(400).json({
+            status: 400,
+            message: "soldPrice must be a non-negative number",
+          });
+        }
+        details.soldPrice = price;
+        details.soldCurrency = soldCurrency;
+      }
+
+      if (soldAt) {
+        const date = new Date(soldAt);
+        if (isNaN(date.getTime()) || date > new Date()) {
+          return res.status(400).json({
+            status: 400,
+            message: "soldAt must be a valid date that is not in the future",
+          });
+        }
+        details.soldAt = date;
+      }
+    }
+
+    const product = await Product.findOne({ _id: productId, userId: user._id });
+
+    if (!product) {
+      return res.status(404).json({
+        status: 404,
+        message:
+          "Product not found or you don't have permission to update this product",
+      });
+    }
+
+    if (product.status === "rejected" && saleStatus !== "available") {
+      return res.status(400).json({
+        status: 400,
+        message: "A rejected product cannot be marked as reserved or sold",
+      });
+    }
+
+    await product.setSaleStatus(saleStatus, details);
+
+    res.status(200).json({
+      status: 200,
+      message: `Product marked as ${saleStatus}`,
+      data: product,
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        status: 400,
+        message: err.message,
+      });
+    }
+    console.error("Update sale status error:", err);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to update sale status",
+      error: err.message,
+    });
+  }
+};
+
+// Specification fields per product type
+const getSpecificationFields = async (req, res) => {
+  try {
+    // Subcategories are listed with the fields they take from their parents
+    const { categories } = await loadCategories();
+    const typeChains = await Promise.all(
+      categories
+        .filter((category) => category.isActive)
+        .map((category) => getCategoryKeysWithAncestors(category.key))
+    );
+
+    res.status(200).json({
+      status: 200,
+      data: describeSpecifications(typeChains),
+    });
+  } catch (err) {
+    console.error("Specification fields error:", err);
+    res.status(500).json({
+      status: 500,
+      message: "Failed to load specification fields",
+      error: err.message,
+    });
+  }
+};
+
+// Products as the marketplace shows them: prices converted when asked, favourites flagged
+const presentProducts = async (req, products, currency) =>
+  withFavouriteFlags(
+    req,
+    currency
+      ? withConvertedPrices(products, currency, await getCurrentRates())
+      : products,
+    "product"
+  );
+
 // brower Products
 
 const browseProducts = async (req, res) => {
@@ -137,18 +518,46 @@ const browseProducts = async (req, res) => {
     const page = parseInt(req.query.page) || 1; // Default page = 1
     const limit = parseInt(req.query.limit) || 10; // Default limit = 10
 
+    let currency;
+    try {
+      currency = requestedCurrency(req.query);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
     // const filter = { status: 'approved' }; // Only approved listings
 
-    const products = await Product.find()
+    // Sold and expired listings only show in the seller's own history
+    const filter = { ...LISTED_PRODUCTS, ...visibleFilter(req) };
+
+    // Marketplace: newest first by cursor, no count per page
+    if (usesCursor(req)) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (cursor === null) {
+        return res.status(400).json({ success: false, message: "Invalid cursor" });
+      }
+      const { items, pagination } = await paginateByCursor(Product, {
+        filter,
+        cursor,
+        limit: cursorLimit(req.query),
+      });
+      return res.json({
+        success: true,
+        data: await presentProducts(req, items, currency),
+        pagination,
+      });
+    }
+
+    const products = await Product.find(filter)
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(limit);
 
-    const total = await Product.countDocuments();
+    const total = await Product.countDocuments(filter);
 
     res.json({
       success: true,
-      data: products,
+      data: await presentProducts(req, products, currency),
       total,
       currentPage: page,
       totalPages: Math.ceil(total / limit),
@@ -214,18 +623,27 @@ const getProductById = async (req, res) => {
       });
     }
 
+    let currency;
+    try {
+      currency = requestedCurrency(req.query);
+    } catch (error) {
+      return res.status(400).json({ status: 400, message: error.message });
+    }
+
     const product = await Product.findById(id);
 
-    if (!product) {
+    if (!product || isHiddenFrom(req, product)) {
       return res.status(404).json({
         status: 404,
         message: "product not found",
       });
     }
 
+    trackView(req, "product", product);
+
     res.status(200).json({
       status: 200,
-      data: product,
+      data: (await presentProducts(req, [product], currency))[0],
       message: "product fetched successfully",
     });
   } catch (error) {
@@ -241,7 +659,7 @@ const getProductById = async (req, res) => {
 // controllers/productController.js
 const getUserProducts = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10, status, saleStatus } = req.query;
     const authenticatedUser = req.user; // Get user from JWT token
 
     console.log("🔐 getUserProducts - Token user:", {
@@ -257,6 +675,9 @@ const getUserProducts = async (req, res) => {
     if (status) {
       query.status = status;
     }
+    if (saleStatus) {
+      query.saleStatus = saleStatus;
+    }
 
     console.log("🔐 getUserProducts - Query:", query);
 
@@ -299,6 +720,10 @@ const productController = {
   browseProducts,
   updateProduct,
   deleteProduct,
+  resubmitProduct,
+  renewProduct,
+  updateSaleStatus,
+  getSpecificationFields,
   getProductById,
   getUserProducts,
 };
@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const Report = require('../models/report');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { recordAudit } = require('../utils/auditLog');
+const { isMarketplaceUser } = require('../utils/favourites');
+const { REPORT_RESOURCES, refreshReportHold } = require('../utils/reports');
+
+// Fields of the reported item shown in the admin queue
+const ITEM_FIELDS = {
+  product: 'name type price currency images userId status isActive hiddenByReports',
+  shop: 'name governorate city logoUrl isActive hiddenByReports',
+  engineer: 'name governorate city profileImageUrl isActive hiddenByReports'
+};
+
+const parseType = (type) => {
+  if (!Report.REPORT_TYPES.includes(type)) {
+    throw new AppError(`type must be one of: ${Report.REPORT_TYPES.join(', ')}`, 400);
+  }
+  return type;
+};
+
+const pageParams = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit };
+};
+
+const pagination = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  totalItems: total,
+  itemsPerPage: limit
+});
+
+// Populate each report's item with the fields for its type
+const populateItems = reports => Promise.all(Report.REPORT_TYPES.map(type =>
+  Report.populate(reports.filter(report => report.itemType === type), {
+    path: 'item',
+    select: ITEM_FIELDS[type]
+  })
+));
+
+// Report types the admin may see or triage
+const typesAllowed = (admin, action) =>
+  Report.REPORT_TYPES.filter(type => admin.hasPermission(REPORT_RESOURCES[type], action));
+
+// File a report against a product, shop or engineer
+const createReport = catchAsync(async (req, res, next) => {
+  if (!isMarketplaceUser(req.user)) {
+    return next(new AppError('Reports can only be filed by marketplace users', 403));
+  }
+
+  const itemType = parseType(req.body.type);
+  const { itemId, reason, comment } = req.body;
+  if (!mongoose.isValidObjectId(itemId)) {
+    return next(new AppError('Invalid itemId', 400));
+  }
+
+  const modelName = Report.REPORT_MODELS[itemType];
+  const item = await mongoose.model(modelName).findById(itemId).select('userId');
+  if (!item) {
+    return next(new AppError(`${modelName} not found`, 404));
+  }
+  if (item.userId && item.userId.equals(req.user._id)) {
+    return next(new AppError('You cannot report your own listing', 400));
+  }
+
+  // One open report per user and item, so the hold threshold counts different people
+  const alreadyReported = await Report.exists({
+    userId: req.user._id,
+    itemType,
+    item: item._id,
+    status: { $in: Report.OPEN_REPORT_STATUSES }
+  });
+  if (alreadyReported) {
+    return next(new AppError('You have already reported this and it is awaiting review', 409));
+  }
+
+  const report = await Report.create({
+    userId: req.user._id,
+    itemType,
+    item: item._id,
+    reason,
+    comment
+  });
+  await refreshReportHold(itemType, item._id);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Report submitted',
+    data: {
+      report
+    }
+  });
+});
+
+// Reports filed by the logged-in user, newest first
+const getMyReports = catchAsync(async (req, res, next) => {
+  if (!isMarketplaceUser(req.user)) {
+    return next(new AppError('Reports can only be filed by marketplace users', 403));
+  }
+  const { page, limit } = pageParams(req.query);
+  const query = { userId: req.user._id };
+
+  const [reports, total] = await Promise.all([
+    Report.find(query)
+      .select('-reviewedBy -resolutionNote')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Report.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: reports.length,
+    data: {
+      reports,
+      pagination: pagination(page, limit, total)
+    }
+  });
+});
+
+// Admin queue, oldest first; open reports unless ?status= is given
+const getReports = catchAsync(async (req, res, next) => {
+  const { status, type, reason, itemId } = req.query;
+  const { page, limit } = pageParams(req.query);
+
+  const types = typesAllowed(req.user, 'read');
+  const query = { itemType: { $in: types } };
+
+  if (status) {
+    if (!Report.REPORT_STATUSES.includes(status)) {
+      return next(new AppError(`status must be one of: ${Report.REPORT_STATUSES.join(', ')}`, 400));
+    }
+    query.status = status;
+  } else {
+    query.status = { $in: Report.OPEN_REPORT_STATUSES };
+  }
+  if (type) {
+    parseType(type);
+    if (!types.includes(type)) {
+      return next(new AppError(`You don't have permission to read ${REPORT_RESOURCES[type]}`, 403));
+    }
+    query.itemType = type;
+  }
+  if (reason) {
+    if (!Report.REPORT_REASONS.includes(reason)) {
+      return next(new AppError(`reason must be one of: ${Report.REPORT_REASONS.join(', ')}`, 400));
+    }
+    query.reason = reason;
+  }
+  if (itemId) {
+    if (!mongoose.isValidObjectId(itemId)) {
+      return next(new AppError('Invalid itemId', 400));
+    }
+    query.item = itemId;
+  }
+
+  const [reports, total, statusCounts] = await Promise.all([
+    Report.find(query)
+      .populate('userId', 'name phone')
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Report.countDocuments(query),
+    Report.aggregate([
+      { $match: { itemType: { $in: types } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+  await populateItems(reports);
+
+  const counts = Object.fromEntries(Report.REPORT_STATUSES.map(value => [value, 0]));
+  statusCounts.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: reports.length,
+    data: {
+      reports,
+      counts,
+      pagination: pagination(page, limit, total)
+    }
+  });
+});
+
+// One report with its item and the other open reports on the same item
+const getReport = catchAsync(async (req, res, next) => {
+  const report = await Report.findById(req.params.reportId).populate('userId', 'name phone');
+  if (!report || !req.user.hasPermission(REPORT_RESOURCES[report.itemType], 'read')) {
+    return next(new AppError('Report not found', 404));
+  }
+  await populateItems([report]);
+
+  const relatedReports = await Report.find({
+    _id: { $ne: report._id },
+    itemType: report.itemType,
+    item: report.item,
+    status: { $in: Report.OPEN_REPORT_STATUSES }
+  })
+    .select('userId reason comment status createdAt')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      report,
+      relatedReports
+    }
+  });
+});
+
+// Move a report through triage; the item's report hold follows the open reports left
+const updateReport = catchAsync(async (req, res, next) => {
+  const { status, resolutionNote } = req.body;
+  if (!Report.REPORT_STATUSES.includes(status)) {
+    return next(new AppError(`status must be one of: ${Report.REPORT_STATUSES.join(', ')}`, 400));
+  }
+
+  const report = await Report.findById(req.params.reportId);
+  if (!report || !req.user.hasPermission(REPORT_RESOURCES[report.itemType], 'read')) {
+    return next(new AppError('Report not found', 404));
+  }
+  if (!req.user.hasPermission(REPORT_RESOURCES[report.itemType], 'update')) {
+    return next(new AppError(`You don't have permission to update ${REPORT_RESOURCES[report.itemType]}`, 403));
+  }
+
+  const before = { status: report.status, resolutionNote: report.resolutionNote };
+  report.status = status;
+  if (resolutionNote !== undefined) report.resolutionNote = resolutionNote;
+  report.reviewedBy = status === 'pending' ? null : req.user._id;
+  report.reviewedAt = status === 'pending' ? null : new Date();
+  await report.save();
+
+  const hold = await refreshReportHold(report.itemType, report.item);
+
+  await recordAudit(req, {
+    action: 'report.update',
+    entityType: 'report',
+    entityId: report._id,
+    entityLabel: `${report.itemType} ${report.item} (${report.reason})`,
+    before,
+    after: { status: report.status, resolutionNote: report.resolutionNote },
+    metadata: { itemType: report.itemType, itemId: report.item, hiddenByReports: hold.hidden }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Report updated',
+    data: {
+      report,
+      hiddenByReports: hold.hidden,
+      openReporters: hold.reporters
+    }
+  });
+});
+
+module.exports = {
+  createReport,
+  getMyReports,
+  getReports,
+  getReport,
+  updateReport
+};
@@ -0,0 +1,109 @@
+const SavedSearch = require('../models/savedSearch');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { pickSearchCriteria, buildProductSearch } = require('../utils/productSearch');
+const { resolveCategory } = require('../utils/categories');
+
+// Criteria must select something, and be a search the marketplace accepts
+const validateCriteria = async (input) => {
+  const criteria = pickSearchCriteria(input || {});
+  if (Object.keys(criteria).filter(key => key !== 'currency').length === 0) {
+    throw new AppError('Add at least one search criterion, e.g. a keyword, type or governorate', 400);
+  }
+  await buildProductSearch(criteria);
+  return criteria;
+};
+
+// Category the criteria are limited to, stored so new listings are only matched against searches for their type
+const criteriaCategoryKey = async (criteria) => {
+  if (criteria.type === undefined) return null;
+  const category = await resolveCategory(criteria.type, { includeInactive: true });
+  return category ? category.key : String(criteria.type).trim();
+};
+
+const findOwnSearch = async (req) => {
+  const search = await SavedSearch.findOne({ _id: req.params.searchId, userId: req.user._id });
+  if (!search) throw new AppError('Saved search not found', 404);
+  return search;
+};
+
+// Saved searches of the logged-in user, newest first
+const getSavedSearches = catchAsync(async (req, res, next) => {
+  const searches = await SavedSearch.find({ userId: req.user._id })
+    .sort({ createdAt: -1 })
+    .select('-pendingProducts');
+
+  res.status(200).json({
+    status: 'success',
+    results: searches.length,
+    data: {
+      searches
+    }
+  });
+});
+
+const createSavedSearch = catchAsync(async (req, res, next) => {
+  const count = await SavedSearch.countDocuments({ userId: req.user._id });
+  if (count >= SavedSearch.MAX_PER_USER) {
+    return next(new AppError(`You can save up to ${SavedSearch.MAX_PER_USER} searches`, 400));
+  }
+
+  const criteria = await validateCriteria(req.body.criteria);
+  const search = await SavedSearch.create({
+    userId: req.user._id,
+    name: req.body.name,
+    criteria,
+    categoryKey: await criteriaCategoryKey(criteria),
+    frequency: req.body.frequency
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Search saved',
+    data: {
+      search
+    }
+  });
+});
+
+const updateSavedSearch = catchAsync(async (req, res, next) => {
+  const search = await findOwnSearch(req);
+  const { name, criteria, frequency } = req.body;
+
+  if (name !== undefined) search.name = name;
+  if (criteria !== undefined) {
+    search.criteria = await validateCriteria(criteria);
+    search.categoryKey = await criteriaCategoryKey(search.criteria);
+  }
+  if (frequency !== undefined) {
+    search.frequency = frequency;
+    // Queued digest matches are dropped when alerts are switched to instant or off
+    if (!SavedSearch.DIGEST_FREQUENCIES.includes(frequency)) search.pendingProducts = [];
+  }
+  await search.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Saved search updated',
+    data: {
+      search
+    }
+  });
+});
+
+const deleteSavedSearch = catchAsync(async (req, res, next) => {
+  const search = await findOwnSearch(req);
+  await search.deleteOne();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Saved search deleted'
+  });
+});
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+};
@@ -0,0 +1,78 @@
+const Product = require('../models/product');
+const Shop = require('../models/shop');
+const Engineer = require('../models/engineer');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { buildTextSearch, RELEVANCE_SORT } = require('../utils/search');
+const { withFavouriteFlags } = require('../utils/favourites');
+const { visibleFilter } = require('../utils/reports');
+
+// What each result type searches over and returns
+const SEARCH_TARGETS = {
+  products: {
+    model: Product,
+    favouriteType: 'product',
+    filter: () => ({
+      status: 'approved',
+      isActive: true,
+      saleStatus: { $ne: 'sold' },
+      expiresAt: { $gt: new Date() }
+    }),
+    select: 'name type brand model condition price currency images governorate city saleStatus createdAt'
+  },
+  shops: {
+    model: Shop,
+    favouriteType: 'shop',
+    filter: () => ({ isActive: true }),
+    select: 'name description governorate city services productCategories brands logoUrl isVerified rating createdAt'
+  },
+  engineers: {
+    model: Engineer,
+    favouriteType: 'engineer',
+    filter: () => ({ isActive: true }),
+    select: 'name governorate city services specializations profileImageUrl isVerified rating availability createdAt'
+  }
+};
+
+// Marketplace search over products, shops and engineers with one query, best matches first
+// GET /api/v1/marketplace/search?q=جروات 5kw&types=products,shops&limit=10
+const searchMarketplace = catchAsync(async (req, res, next) => {
+  const query = String(req.query.q || '').trim();
+  const textSearch = buildTextSearch(query);
+  if (!textSearch) {
+    return next(new AppError('Search query (q) is required', 400));
+  }
+
+  const types = req.query.types
+    ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+    : Object.keys(SEARCH_TARGETS);
+  const unknown = types.filter(type => !SEARCH_TARGETS[type]);
+  if (unknown.length) {
+    return next(new AppError(`types must be among: ${Object.keys(SEARCH_TARGETS).join(', ')}`, 400));
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+  const data = { query };
+  await Promise.all(types.map(async (type) => {
+    const { model, favouriteType, filter, select } = SEARCH_TARGETS[type];
+    const conditions = { ...filter(), ...visibleFilter(req), $text: textSearch };
+    const [items, total] = await Promise.all([
+      model.find(conditions)
+        .sort(RELEVANCE_SORT)
+        .limit(limit)
+        .select(select),
+      model.countDocuments(conditions)
+    ]);
+    data[type] = { total, items: await withFavouriteFlags(req, items, favouriteType) };
+  }));
+
+  res.status(200).json({
+    status: 'success',
+    data
+  });
+});
+
+module.exports = {
+  searchMarketplace
+};
@@ -1,4 +1,18 @@
 const Shop = require("../models/shop");
+const { recordAudit } = require("../utils/auditLog");
+const {
+  resolveCategoryKeys,
+  getCategoryKeysWithDescendants,
+} = require("../utils/categories");
+const {
+  usesCursor,
+  cursorLimit,
+  decodeCursor,
+  paginateByCursor,
+} = require("../utils/pagination");
+const { withFavouriteFlags, withFavouriteFlag } = require("../utils/favourites");
+const { trackView } = require("../utils/engagement");
+const { visibleFilter, isHiddenFrom } = require("../utils/reports");
 
 // Add shop
 
@@ -84,11 +98,22 @@ const addShop = async (req, res) => {
 
     await newShop.save();
 
+    await recordAudit(req, {
+      action: "shop.create",
+      entityType: "shop",
+      entityId: newShop._id,
+      entityLabel: newShop.name,
+      after: newShop,
+    });
+
     res.status(201).json({
       message: "Verified shop added successfully",
       shop: newShop,
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ status: "fail", message: error.message });
+    }
     console.error("Add shop error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
@@ -102,16 +127,43 @@ const getAllShops = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10; // Default limit 10
     const skip = (page - 1) * limit;
 
+    // Filtering by a parent category also matches its subcategories
+    const filter = visibleFilter(req);
+    if (req.query.category) {
+      filter.productCategories = {
+        $in: await getCategoryKeysWithDescendants(req.query.category),
+      };
+    }
+
+    // Marketplace: newest first by cursor, no count per page
+    if (usesCursor(req)) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (cursor === null) {
+        return res.status(400).json({ status: 400, message: "Invalid cursor" });
+      }
+      const { items, pagination } = await paginateByCursor(Shop, {
+        filter,
+        cursor,
+        limit: cursorLimit(req.query),
+      });
+      return res.status(200).json({
+        status: 200,
+        data: await withFavouriteFlags(req, items, "shop"),
+        pagination,
+        message: "Shops fetched successfully",
+      });
+    }
+
     const [shops, total] = await Promise.all([
-      Shop.find().sort({ createdAt: -1 }).skip(skip).limit(limit),
-      Shop.countDocuments(),
+      Shop.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Shop.countDocuments(filter),
     ]);
 
     const totalPages = Math.ceil(total / limit);
 
     res.status(200).json({
       status: 200,
-      data: shops,
+      data: await withFavouriteFlags(req, shops, "shop"),
       pagination: {
         total,
         page,
@@ -129,6 +181,21 @@ const getAllShops = async (req, res) => {
 const updateShop = async (req, res) => {
   try {
     const { id } = req.params;
+
+    // findByIdAndUpdate skips the model hooks, so map categories here
+    if (req.body.productCategories !== undefined) {
+      const { keys, unknown } = await resolveCategoryKeys(
+        [].concat(req.body.productCategories || [])
+      );
+      if (unknown.length) {
+        return res.status(400).json({
+          message: `Unknown product categories: ${unknown.join(", ")}`,
+        });
+      }
+      req.body.productCategories = keys;
+    }
+
+    const before = await Shop.findById(id).lean();
     const updatedShop = await Shop.findByIdAndUpdate(id, req.body, {
       new: true,
     });
@@ -137,6 +204,15 @@ const updateShop = async (req, res) => {
       return res.status(404).json({ message: "Shop not found" });
     }
 
+    await recordAudit(req, {
+      action: "shop.update",
+      entityType: "shop",
+      entityId: updatedShop._id,
+      entityLabel: updatedShop.name,
+      before,
+      after: updatedShop,
+    });
+
     res
       .status(200)
       .json({ message: "Shop updated successfully", shop: updatedShop });
@@ -155,6 +231,14 @@ const deleteShop = async (req, res) => {
       return res.status(404).json({ message: "Shop not found" });
     }
 
+    await recordAudit(req, {
+      action: "shop.delete",
+      entityType: "shop",
+      entityId: deleted._id,
+      entityLabel: deleted.name,
+      before: deleted,
+    });
+
     res.status(200).json({ message: "Shop deleted successfully" });
   } catch (error) {
     res.status(500).json({ message: "Server error", error });
@@ -170,6 +254,15 @@ const toggleShopStatus = async (req, res) => {
     shop.isActive = !shop.isActive;
     await shop.save();
 
+    await recordAudit(req, {
+      action: "shop.toggle_status",
+      entityType: "shop",
+      entityId: shop._id,
+      entityLabel: shop.name,
+      before: { isActive: !shop.isActive },
+      after: { isActive: shop.isActive },
+    });
+
     res.status(200).json({ message: "Status updated", shop });
   } catch (error) {
     res.status(500).json({ message: "Server error", error });
@@ -189,16 +282,18 @@ const getShopById = async (req, res) => {
 
     const shop = await Shop.findById(id);
 
-    if (!shop) {
+    if (!shop || isHiddenFrom(req, shop)) {
       return res.status(404).json({
         status: 404,
         message: "shop not found",
       });
     }
 
+    trackView(req, "shop", shop);
+
     res.status(200).json({
       status: 200,
-      data: shop,
+      data: await withFavouriteFlag(req, shop, "shop"),
       message: "shop fetched successfully",
     });
   } catch (error) {
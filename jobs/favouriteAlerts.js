@@ -0,0 +1,66 @@
+const Favourite = require('../models/favourite');
+const Notification = require('../models/notification');
+const productEvents = require('../utils/productEvents');
+const logger = require('../utils/logger');
+
+const formatPrice = (amount, currency) => `${Number(amount).toLocaleString('en-US')} ${currency}`;
+
+/**
+ * Notify every user watching a product, except its seller.
+ *
+ * @param {object} product
+ * @param {object} notification - type, title and body
+ * @returns {Promise<number>} number of users notified
+ */
+const notifyWatchers = async (product, { type, title, body }) => {
+  const watchers = await Favourite.find({ itemType: 'product', item: product._id })
+    .select('userId')
+    .lean();
+
+  const recipients = watchers.filter(watcher => !product.userId || !watcher.userId.equals(product.userId));
+  if (recipients.length === 0) return 0;
+
+  await Notification.insertMany(recipients.map(watcher => ({
+    userId: watcher.userId,
+    type,
+    title,
+    body,
+    data: { product: product._id }
+  })));
+  return recipients.length;
+};
+
+const notifyPriceDrop = (product, before) => notifyWatchers(product, {
+  type: 'favourite_price_drop',
+  title: `Price drop: ${product.name}`,
+  body: `Now ${formatPrice(product.price, product.currency)} (was ${formatPrice(before.price, before.currency)})`
+});
+
+const notifySold = product => notifyWatchers(product, {
+  type: 'favourite_sold',
+  title: `Sold: ${product.name}`,
+  body: 'A listing in your favourites has been sold'
+});
+
+// Tell watchers of a product about price drops and its sale as they are saved
+const startFavouriteAlerts = () => {
+  if (process.env.FAVOURITE_ALERTS_ENABLED === 'false') return;
+
+  const report = (event, product) => (error) => {
+    logger.error('Favourite alert failed', { event, productId: product._id.toString(), error: error.message });
+  };
+
+  productEvents.on('priceDropped', (product, before) => {
+    notifyPriceDrop(product, before).catch(report('priceDropped', product));
+  });
+  productEvents.on('sold', (product) => {
+    notifySold(product).catch(report('sold', product));
+  });
+};
+
+module.exports = {
+  notifyWatchers,
+  notifyPriceDrop,
+  notifySold,
+  startFavouriteAlerts
+};
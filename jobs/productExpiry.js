@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const { sendSms } = require('../utils/smsGateway');
+const logger = require('../utils/logger');
+
+const JOB_INTERVAL_MINUTES = parseInt(process.env.PRODUCT_EXPIRY_JOB_INTERVAL_MINUTES) || 60;
+const WARNING_BATCH_SIZE = 200;
+const LIVE_STATUSES = ['pending', 'approved'];
+// Sold listings are already off the marketplace; they neither expire nor get reminders
+
+// Older deployments used a TTL index on expiresAt that deletes listings; drop it once
+const dropLegacyTtlIndex = async () => {
+  const indexes = await Product.collection.indexes();
+  const ttlIndex = indexes.find(index => index.key && index.key.expiresAt === 1 && index.expireAfterSeconds !== undefined);
+  if (ttlIndex) {
+    await Product.collection.dropIndex(ttlIndex.name);
+    logger.info('Dropped legacy TTL index on products.expiresAt', { index: ttlIndex.name });
+  }
+};
+
+/**
+ * Move live listings past their expiresAt into the expired state.
+ *
+ * @returns {Promise<number>} number of listings expired
+ */
+const expireListings = async () => {
+  const now = new Date();
+  const result = await Product.updateMany(
+    { status: { $in: LIVE_STATUSES }, saleStatus: { $ne: 'sold' }, expiresAt: { $lte: now } },
+    [{ $set: { statusBeforeExpiry: '$status', status: 'expired', expiredAt: now, isFeatured: false } }]
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * SMS sellers whose listings expire within the warning window, once per listing lifetime.
+ *
+ * @returns {Promise<number>} number of warnings sent
+ */
+const sendExpiryWarnings = async () => {
+  const now = new Date();
+  const warnBefore = new Date(now.getTime() + Product.EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000);
+
+  const expiring = await Product.find({
+    status: { $in: LIVE_STATUSES },
+    saleStatus: { $ne: 'sold' },
+    expiresAt: { $gt: now, $lte: warnBefore },
+    expiryWarningSentAt: null
+  })
+    .sort({ expiresAt: 1 })
+    .limit(WARNING_BATCH_SIZE)
+    .select('name phone expiresAt');
+
+  let sent = 0;
+  for (const product of expiring) {
+    const days = Math.max(Math.ceil((product.expiresAt - now) / (24 * 60 * 60 * 1000)), 1);
+    const result = await sendSms(
+      product.phone,
+      `Your Qafzh Solar listing "${product.name}" expires in ${days} day(s). Renew it from My Products to keep it visible.`
+    );
+
+    // Mark it either way so a failing gateway does not resend every run
+    await Product.updateOne({ _id: product._id }, { $set: { expiryWarningSentAt: now } });
+    if (result.success) sent++;
+  }
+
+  return sent;
+};
+
+let running = false;
+
+const runProductExpiryJob = async () => {
+  if (running || mongoose.connection.readyState !== 1) return;
+  running = true;
+  try {
+    const expired = await expireListings();
+    const warned = await sendExpiryWarnings();
+    if (expired || warned) {
+      logger.info('Product expiry job finished', { expired, warned });
+    }
+  } catch (error) {
+    logger.error('Product expiry job failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Run once the database is connected, then every JOB_INTERVAL_MINUTES
+const startProductExpiryJob = () => {
+  if (process.env.PRODUCT_EXPIRY_JOB_ENABLED === 'false') return null;
+
+  const start = async () => {
+    try {
+      await dropLegacyTtlIndex();
+    } catch (error) {
+      logger.error('Could not check products indexes', { error: error.message });
+    }
+    runProductExpiryJob();
+  };
+
+  if (mongoose.connection.readyState === 1) start();
+  else mongoose.connection.once('open', start);
+
+  const timer = setInterval(runProductExpiryJob, JOB_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  expireListings,
+  sendExpiryWarnings,
+  runProductExpiryJob,
+  startProductExpiryJob
+};
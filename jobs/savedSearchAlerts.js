@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const SavedSearch = require('../models/savedSearch');
+const Notification = require('../models/notification');
+const productEvents = require('../utils/productEvents');
+const { buildProductSearch } = require('../utils/productSearch');
+const { getCategoryKeysWithAncestors } = require('../utils/categories');
+const logger = require('../utils/logger');
+
+const DIGEST_INTERVAL_MINUTES = parseInt(process.env.SAVED_SEARCH_DIGEST_INTERVAL_MINUTES) || 60;
+const DIGEST_BATCH_SIZE = 200;
+
+/**
+ * Alert the owners of saved searches a newly approved product matches: right away for
+ * instant searches, otherwise by queueing it for the next digest. A search matches when
+ * the marketplace search with its criteria would return the product; only searches for the
+ * product's category (or one above it) and condition, or for any, are checked.
+ *
+ * @param {object} product
+ * @returns {Promise<number>} number of searches matched
+ */
+const matchSavedSearches = async (product) => {
+  const now = new Date();
+  let matched = 0;
+
+  // A search for a parent category also covers its subcategories
+  const categoryKeys = await getCategoryKeysWithAncestors(product.type);
+  const searches = SavedSearch.find({
+    categoryKey: { $in: [null, ...categoryKeys] },
+    frequency: { $ne: 'off' },
+    userId: { $ne: product.userId },
+    'criteria.condition': { $in: [null, product.condition] }
+  }).cursor();
+
+  for await (const search of searches) {
+    let built;
+    try {
+      built = await buildProductSearch(search.criteria);
+    } catch (error) {
+      // e.g. the rate for its currency was withdrawn; the search matches nothing for now
+      continue;
+    }
+
+    const isMatch = await Product.exists({ ...built.query, _id: product._id });
+    if (!isMatch) continue;
+    matched++;
+
+    if (search.frequency === 'instant') {
+      // A listing approved again after an edit is not announced twice
+      const alreadySent = await Notification.exists({ 'data.savedSearch': search._id, 'data.product': product._id });
+      if (!alreadySent) {
+        await Notification.create({
+          userId: search.userId,
+          type: 'saved_search_match',
+          title: `New listing for "${search.name}"`,
+          body: product.name,
+          data: { product: product._id, savedSearch: search._id }
+        });
+      }
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { $set: { lastMatchedAt: now, lastAlertedAt: now }, $inc: { matchCount: 1 } }
+      );
+    } else {
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { $addToSet: { pendingProducts: product._id }, $set: { lastMatchedAt: now }, $inc: { matchCount: 1 } }
+      );
+    }
+  }
+
+  return matched;
+};
+
+/**
+ * Send one notification per daily or weekly search whose period has passed, listing
+ * its pending matches that are still on the marketplace.
+ *
+ * @returns {Promise<number>} number of digests sent
+ */
+const sendDigests = async () => {
+  const now = new Date();
+  const searches = await SavedSearch.find({
+    frequency: { $in: SavedSearch.DIGEST_FREQUENCIES },
+    'pendingProducts.0': { $exists: true }
+  })
+    .sort({ lastAlertedAt: 1 })
+    .limit(DIGEST_BATCH_SIZE);
+
+  let sent = 0;
+  for (const search of searches) {
+    if (!search.isDigestDue(now)) continue;
+
+    const pending = search.pendingProducts;
+    const live = await Product.find({
+      _id: { $in: pending },
+      status: 'approved',
+      saleStatus: { $ne: 'sold' }
+    })
+      .sort({ approvedAt: -1 })
+      .select('name');
+
+    if (live.length > 0) {
+      await Notification.create({
+        userId: search.userId,
+        type: 'saved_search_digest',
+        title: `${live.length} new listing(s) for "${search.name}"`,
+        body: live.slice(0, 3).map(product => product.name).join(', '),
+        data: { products: live.map(product => product._id), savedSearch: search._id }
+      });
+      sent++;
+    }
+
+    // Only drop what was read, matches queued meanwhile wait for the next digest
+    await SavedSearch.updateOne(
+      { _id: search._id },
+      { $pullAll: { pendingProducts: pending }, $set: { lastAlertedAt: now } }
+    );
+  }
+
+  return sent;
+};
+
+// Approvals are matched one at a time, in the order they happen, so a bulk approval does not
+// start a scan per product all at once
+let matchQueue = Promise.resolve();
+
+const queueMatching = (product) => {
+  matchQueue = matchQueue
+    .then(() => matchSavedSearches(product))
+    .catch((error) => {
+      logger.error('Saved search matching failed', { productId: product._id.toString(), error: error.message });
+    });
+  return matchQueue;
+};
+
+let running = false;
+
+const runSavedSearchDigestJob = async () => {
+  if (running || mongoose.connection.readyState !== 1) return;
+  running = true;
+  try {
+    const sent = await sendDigests();
+    if (sent) logger.info('Saved search digests sent', { sent });
+  } catch (error) {
+    logger.error('Saved search digest job failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Match products as they are approved, and send digests every DIGEST_INTERVAL_MINUTES
+const startSavedSearchAlerts = () => {
+  if (process.env.SAVED_SEARCH_ALERTS_ENABLED === 'false') return null;
+
+  productEvents.on('approved', queueMatching);
+
+  const timer = setInterval(runSavedSearchDigestJob, DIGEST_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  matchSavedSearches,
+  sendDigests,
+  runSavedSearchDigestJob,
+  startSavedSearchAlerts
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const Shop = require('../models/shop');
+const Engineer = require('../models/engineer');
+const { SEARCH_INDEX_VERSION } = require('../utils/search');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 200;
+const SEARCHABLE_MODELS = [Product, Shop, Engineer];
+
+/**
+ * Build the search index of records saved before it existed or with an older
+ * index version. Runs in batches until every record is current.
+ *
+ * @param {object} Model - A model using searchIndexPlugin
+ * @returns {Promise<number>} number of records indexed
+ */
+const rebuildSearchIndex = async (Model) => {
+  const stale = { 'searchIndex.version': { $ne: SEARCH_INDEX_VERSION } };
+  let indexed = 0;
+
+  for (;;) {
+    const batch = await Model.find(stale).limit(BATCH_SIZE).lean();
+    if (batch.length === 0) break;
+
+    const operations = await Promise.all(batch.map(async doc => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { searchIndex: await Model.buildSearchIndex(doc) } }
+      }
+    })));
+    await Model.bulkWrite(operations, { ordered: false });
+    indexed += batch.length;
+  }
+
+  return indexed;
+};
+
+const runSearchIndexBackfill = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  for (const Model of SEARCHABLE_MODELS) {
+    try {
+      const indexed = await rebuildSearchIndex(Model);
+      if (indexed) {
+        logger.info('Search index rebuilt', { model: Model.modelName, indexed });
+      }
+    } catch (error) {
+      logger.error('Search index rebuild failed', { model: Model.modelName, error: error.message });
+    }
+  }
+};
+
+// Backfill once the database is connected; new and edited records are indexed on save
+const startSearchIndexBackfill = () => {
+  if (process.env.SEARCH_INDEX_BACKFILL_ENABLED === 'false') return;
+
+  if (mongoose.connection.readyState === 1) runSearchIndexBackfill();
+  else mongoose.connection.once('open', runSearchIndexBackfill);
+};
+
+module.exports = {
+  rebuildSearchIndex,
+  runSearchIndexBackfill,
+  startSearchIndexBackfill
+};
@@ -2,18 +2,22 @@ require("dotenv").config();
 const jwt = require("jsonwebtoken");
 const User = require("../models/auth");
 const Admin = require("../models/admin");
+const Session = require("../models/session");
+const SecuritySettings = require("../models/securitySettings");
+const generateToken = require("../utils/generateToken");
 const { AppError } = require("./errorHandler");
 const { catchAsync } = require("./errorHandler");
 
-// Generate JWT token
-const signToken = (id, role = "user") => {
-  return jwt.sign({ id, role }, process.env.SECRET_KEY, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "90d",
+// Generate JWT token. A scoped token (e.g. "2fa_setup") only opens routes that allow its scope.
+const signToken = (id, role = "user", { scope, expiresIn } = {}) => {
+  const payload = scope ? { id, role, scope } : { id, role };
+  return jwt.sign(payload, process.env.SECRET_KEY, {
+    expiresIn: expiresIn || process.env.JWT_EXPIRES_IN || "90d",
   });
 };
 
-// Create and send token
-const createSendToken = (user, statusCode, res) => {
+// Create and send token (extraData is merged into the response data)
+const createSendToken = (user, statusCode, res, extraData = {}) => {
   const token = signToken(user._id, user.role);
 
   const cookieOptions = {
@@ -34,6 +38,71 @@ const createSendToken = (user, statusCode, res) => {
   res.status(statusCode).json({
     status: "success",
     token,
+    data: {
+      user,
+      ...extraData,
+    },
+  });
+};
+
+// Open a refresh-token session for the user's device and sign an access token bound to it.
+// A device keeps a single session: signing in again replaces the previous one.
+const createUserSession = async (user, req) => {
+  const { deviceId = "", deviceName = "" } = req.body || {};
+
+  if (deviceId) {
+    await Session.updateMany(
+      { userId: user._id, deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "replaced" } }
+    );
+  }
+
+  const session = new Session({
+    userId: user._id,
+    deviceId,
+    deviceName,
+    userAgent: req.get("User-Agent") || "",
+    ip: req.ip || "",
+  });
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+
+  const token = generateToken(user, session);
+
+  return {
+    session,
+    token,
+    refreshToken,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+  };
+};
+
+// Set the access token cookie for the lifetime of the token
+const setAccessTokenCookie = (res, token, expires) => {
+  res.cookie("jwt", token, {
+    expires,
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+  });
+};
+
+// Create a user session and send the access/refresh token pair
+const createSendUserToken = async (user, statusCode, req, res) => {
+  const { session, token, refreshToken, tokenExpiresAt } =
+    await createUserSession(user, req);
+
+  setAccessTokenCookie(res, token, tokenExpiresAt);
+
+  // Remove password from output
+  user.password = undefined;
+
+  res.status(statusCode).json({
+    status: "success",
+    token,
+    refreshToken,
+    tokenExpiresAt,
+    sessionId: session._id,
     data: {
       user,
     },
@@ -63,6 +132,14 @@ const authToken = catchAsync(async (req, res, next) => {
   // 2) Verification token
   const decoded = jwt.verify(token, process.env.SECRET_KEY);
 
+  // Scoped tokens are limited to the routes that explicitly allow them
+  if (decoded.scope && decoded.scope !== req.allowedTokenScope) {
+    return next(
+      new AppError("This token cannot be used for this action.", 403)
+    );
+  }
+  req.tokenScope = decoded.scope || null;
+
   // 3) Check if user still exists
   let currentUser;
   if (
@@ -77,10 +154,22 @@ const authToken = catchAsync(async (req, res, next) => {
       );
     }
 
-    // 4) Check if admin changed password after the token was issued
-    // if (currentUser.changedPasswordAfter && currentUser.changedPasswordAfter(decoded.iat)) {
-    //   return next(new AppError('Admin recently changed password! Please log in again.', 401));
-    // }
+    // 4) Tokens issued before a password change or reset are no longer valid
+    if (currentUser.changedPasswordAfter(decoded.iat)) {
+      return next(new AppError("Admin recently changed password! Please log in again.", 401));
+    }
+
+    // 5) Once 2FA is required for the role, older tokens only reach the enrollment routes
+    if (
+      !decoded.scope &&
+      req.allowedTokenScope !== "2fa_setup" &&
+      !(currentUser.twoFactor && currentUser.twoFactor.enabled) &&
+      (await SecuritySettings.isTwoFactorRequired(currentUser.role))
+    ) {
+      return next(
+        new AppError("Two-factor authentication must be set up for your role before you can continue.", 403)
+      );
+    }
   } else {
     currentUser = await User.findById(decoded.id).select("+isActive");
     console.log("🔐 Auth middleware - User lookup:", {
@@ -94,6 +183,15 @@ const authToken = catchAsync(async (req, res, next) => {
         new AppError("The user account no longer exists or is inactive.", 401)
       );
     }
+
+    // 4) Check the session behind the token hasn't been revoked or expired
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive || !session.userId.equals(currentUser._id)) {
+      return next(
+        new AppError("Your session has expired or was revoked. Please log in again.", 401)
+      );
+    }
+    req.authSession = session;
   }
 
   // Grant access to protected route
@@ -101,6 +199,14 @@ const authToken = catchAsync(async (req, res, next) => {
   next();
 });
 
+// Let a scoped token through authToken on this route
+const allowTokenScope = (scope) => {
+  return (req, res, next) => {
+    req.allowedTokenScope = scope;
+    next();
+  };
+};
+
 // Restrict to certain roles
 const restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -173,6 +279,7 @@ const optionalAuth = catchAsync(async (req, res, next) => {
   if (token) {
     try {
       const decoded = jwt.verify(token, process.env.SECRET_KEY);
+      if (decoded.scope) throw new Error("Scoped token");
 
       let currentUser;
       if (
@@ -183,6 +290,11 @@ const optionalAuth = catchAsync(async (req, res, next) => {
         currentUser = await Admin.findById(decoded.id).select("+isActive");
       } else {
         currentUser = await User.findById(decoded.id).select("+isActive");
+
+        const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+        if (!session || !session.isActive) {
+          currentUser = null;
+        }
       }
 
       if (currentUser && currentUser.isActive) {
@@ -235,7 +347,11 @@ const authRateLimit = (windowMs, max) => {
 module.exports = {
   signToken,
   createSendToken,
+  createUserSession,
+  setAccessTokenCookie,
+  createSendUserToken,
   authToken,
+  allowTokenScope,
   restrictTo,
   isAdmin,
   isSuperAdmin,
@@ -1,4 +1,5 @@
 const User = require('../models/auth');
+const { sendOTP } = require('../utils/sendOtp');
 
 const checkUserVerified = async (req, res, next) => {
  
@@ -23,20 +24,31 @@ const checkUserVerified = async (req, res, next) => {
     return next();
   }
 
-  const otp = 112233;
-  const otpExpires = new Date(Date.now() + 5 * 60 * 1000);
-  if (!user.isVerified) {
-    user.otp = otp;
-    user.otpExpires = otpExpires;
-    await user.save();
-
-    return res.status(404).json({
-      status: 404,
+  // Not verified yet - send a fresh OTP so the user can verify and retry
+  const delivery = await sendOTP(user);
+  if (delivery.throttled) {
+    res.set('Retry-After', String(delivery.retryAfter));
+    return res.status(429).json({
+      status: 429,
+      data: [],
+      retryAfter: delivery.retryAfter,
+      message: delivery.error
+    });
+  }
+  if (!delivery.success) {
+    return res.status(502).json({
+      status: 502,
       data: [],
-      message: "User is not verified please phone veriferd "
-    })
+      message: "User is not verified and we could not send the OTP. Please try again later."
+    });
   }
 
+  return res.status(404).json({
+    status: 404,
+    data: [],
+    message: "User is not verified please phone veriferd "
+  })
+
 
 };
 
@@ -2,9 +2,11 @@ const logger = require('../utils/logger');
 
 // Custom error class
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, data) {
     super(message);
     this.statusCode = statusCode;
+    // Optional extra payload sent back to the client (e.g. retryAfter)
+    if (data !== undefined) this.data = data;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
 
@@ -60,6 +62,7 @@ const sendErrorDev = (err, req, res) => {
     status: err.status,
     error: err,
     message: err.message,
+    ...(err.data !== undefined && { data: err.data }),
     stack: err.stack
   });
 };
@@ -81,7 +84,8 @@ const sendErrorProd = (err, req, res) => {
 
     res.status(err.statusCode).json({
       status: err.status,
-      message: err.message
+      message: err.message,
+      ...(err.data !== undefined && { data: err.data })
     });
   } else {
     // Programming or other unknown error: don't leak error details
@@ -0,0 +1,9 @@
+// Marketplace listings scroll by cursor (see utils/pagination); admin tables keep page numbers
+const cursorPagination = (req, res, next) => {
+  req.cursorPagination = true;
+  next();
+};
+
+module.exports = {
+  cursorPagination
+};
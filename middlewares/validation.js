@@ -1,4 +1,5 @@
-const { AppError } = require('./errorHandler');
+const { AppError, catchAsync } = require('./errorHandler');
+const { resolveCategory } = require('../utils/categories');
 
 // Validation helper functions
 const isValidPhone = (phone) => {
@@ -17,6 +18,15 @@ const isValidObjectId = (id) => {
   return /^[0-9a-fA-F]{24}$/.test(id);
 };
 
+// User password policy
+const PASSWORD_POLICY_MESSAGE =
+  'Password must be at least 6 characters long and include uppercase, lowercase, number, and special character.';
+
+const isStrongPassword = (password) => {
+  return typeof password === 'string' &&
+    /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&]).{6,}$/.test(password);
+};
+
 // User registration validation
 const validateUserRegistration = (req, res, next) => {
   const { phone } = req.body;
@@ -52,6 +62,25 @@ const validateOTPVerification = (req, res, next) => {
   next();
 };
 
+// Password reset validation
+const validatePasswordReset = (req, res, next) => {
+  const { resetToken, password, confirmPassword } = req.body;
+
+  if (!resetToken || !password || !confirmPassword) {
+    return next(new AppError('Reset token, password and confirm password are required', 400));
+  }
+
+  if (password !== confirmPassword) {
+    return next(new AppError('Password and confirm password do not match', 400));
+  }
+
+  if (!isStrongPassword(password)) {
+    return next(new AppError(PASSWORD_POLICY_MESSAGE, 400));
+  }
+
+  next();
+};
+
 // User profile update validation
 const validateUserProfileUpdate = (req, res, next) => {
   const { name, profileImageUrl } = req.body;
@@ -68,7 +97,7 @@ const validateUserProfileUpdate = (req, res, next) => {
 };
 
 // Product creation validation
-const validateProductCreation = (req, res, next) => {
+const validateProductCreation = catchAsync(async (req, res, next) => {
   const { 
     name, 
     type, 
@@ -85,8 +114,7 @@ const validateProductCreation = (req, res, next) => {
     return next(new AppError('Product name must be between 2 and 200 characters', 400));
   }
 
-  const validTypes = ['Inverter', 'Panel', 'Battery', 'Accessory', 'Cable', 'Controller', 'Monitor', 'Other'];
-  if (!type || !validTypes.includes(type)) {
+  if (!type || !(await resolveCategory(type))) {
     return next(new AppError('Invalid product type', 400));
   }
 
@@ -121,7 +149,7 @@ const validateProductCreation = (req, res, next) => {
   // }
 
   next();
-};
+});
 
 // Engineer creation validation (Admin only)
 const validateEngineerCreation = (req, res, next) => {
@@ -271,25 +299,6 @@ const validateAdCreation = (req, res, next) => {
   next();
 };
 
-// Admin creation validation
-const validateAdminCreation = (req, res, next) => {
-  const { name, email, password } = req.body;
-
-  if (!name || name.trim().length < 2 || name.trim().length > 100) {
-    return next(new AppError('Admin name must be between 2 and 100 characters', 400));
-  }
-
-  if (!email || !isValidEmail(email)) {
-    return next(new AppError('Please provide a valid email address', 400));
-  }
-
-  if (!password || password.length < 6) {
-    return next(new AppError('Password must be at least 6 characters long', 400));
-  }
-
-  next();
-};
-
 // Pagination validation
 const validatePagination = (req, res, next) => {
   const { page = 1, limit = 20 } = req.query;
@@ -314,14 +323,16 @@ const validateObjectId = (paramName) => (req, res, next) => {
 };
 
 module.exports = {
+  isStrongPassword,
+  PASSWORD_POLICY_MESSAGE,
   validateUserRegistration,
   validateOTPVerification,
+  validatePasswordReset,
   validateUserProfileUpdate,
   validateProductCreation,
   validateEngineerCreation,
   validateShopCreation,
   validateAdCreation,
-  validateAdminCreation,
   validatePagination,
   validateObjectId
 }; 
\ No newline at end of file
@@ -1,6 +1,9 @@
 // models/Admin.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { PERMISSION_MATRIX } = require('../config/permissionPresets');
 
 const adminSchema = new mongoose.Schema({
     name: { 
@@ -123,6 +126,36 @@ const adminSchema = new mongoose.Schema({
     passwordResetExpires: {
         type: Date,
         default: null
+    },
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // Encrypted TOTP secrets - never selected unless asked for
+        secret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            default: [],
+            select: false
+        },
+        lastUsedStep: {
+            type: Number,
+            default: null
+        },
+        enabledAt: {
+            type: Date,
+            default: null
+        }
     }
 }, { 
     timestamps: true 
@@ -228,6 +261,66 @@ adminSchema.methods.createPasswordResetToken = function() {
     return resetToken;
 };
 
+// Instance method to start 2FA enrollment - returns the plain secret to show the admin
+adminSchema.methods.createTwoFactorSecret = function() {
+    const secret = totp.generateSecret();
+    this.twoFactor.pendingSecret = totp.encryptSecret(secret);
+    return secret;
+};
+
+// Instance method to check a TOTP code (requires +twoFactor.secret or +twoFactor.pendingSecret).
+// Remembers the matched time step so the same code can't be used twice.
+adminSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+    const encrypted = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+    if (!encrypted) return false;
+
+    const step = totp.verifyCode(totp.decryptSecret(encrypted), code, {
+        afterStep: this.twoFactor.lastUsedStep
+    });
+    if (step === null) return false;
+
+    this.twoFactor.lastUsedStep = step;
+    return true;
+};
+
+// Instance method to issue a fresh set of one-time recovery codes - returns the plain codes
+adminSchema.methods.generateRecoveryCodes = function(count = 10) {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    this.twoFactor.recoveryCodes = codes.map(code =>
+        crypto.createHash('sha256').update(code).digest('hex')
+    );
+
+    return codes;
+};
+
+// Instance method to consume a recovery code (requires +twoFactor.recoveryCodes)
+adminSchema.methods.useRecoveryCode = function(code) {
+    const hashed = crypto
+        .createHash('sha256')
+        .update(String(code || '').trim().toLowerCase())
+        .digest('hex');
+
+    const index = this.twoFactor.recoveryCodes.indexOf(hashed);
+    if (index === -1) return false;
+
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+};
+
+// Instance method to switch 2FA off and forget all secrets
+adminSchema.methods.clearTwoFactor = function() {
+    this.twoFactor.enabled = false;
+    this.twoFactor.secret = null;
+    this.twoFactor.pendingSecret = null;
+    this.twoFactor.recoveryCodes = [];
+    this.twoFactor.lastUsedStep = null;
+    this.twoFactor.enabledAt = null;
+};
+
 // Instance method to check permissions
 adminSchema.methods.hasPermission = function(resource, action) {
     if (this.isSuperAdmin) return true;
@@ -239,6 +332,31 @@ adminSchema.methods.hasPermission = function(resource, action) {
     return false;
 };
 
+// Full permission matrix as enforced by hasPermission (all true for super admins)
+adminSchema.methods.getEffectivePermissions = function() {
+    const effective = {};
+    Object.entries(PERMISSION_MATRIX).forEach(([resource, actions]) => {
+        effective[resource] = {};
+        actions.forEach((action) => {
+            effective[resource][action] = Boolean(this.hasPermission(resource, action));
+        });
+    });
+    return effective;
+};
+
+// Static method to find the admin holding a valid (unexpired) reset token
+adminSchema.statics.findByResetToken = function(resetToken) {
+    const hashedToken = require('crypto')
+        .createHash('sha256')
+        .update(String(resetToken))
+        .digest('hex');
+
+    return this.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: Date.now() }
+    });
+};
+
 // Static method to find active admins
 adminSchema.statics.findActive = function() {
     return this.find({ isActive: true });
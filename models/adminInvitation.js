@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Invitation for a new admin to set up their own account
+const adminInvitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address'],
+        index: true
+    },
+    role: {
+        type: String,
+        enum: {
+            values: ['admin', 'super_admin', 'moderator'],
+            message: 'Invalid role'
+        },
+        default: 'admin'
+    },
+    permissionPreset: {
+        type: String,
+        default: null
+    },
+    // Permission matrix the admin account will be created with
+    permissions: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'revoked'],
+        default: 'pending',
+        index: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acceptedAt: {
+        type: Date,
+        default: null
+    },
+    acceptedAdmin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    acceptedIp: {
+        type: String,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+adminInvitationSchema.index({ email: 1, status: 1 });
+adminInvitationSchema.index({ createdAt: -1 });
+
+// Virtual for checking if a pending invitation has run out
+adminInvitationSchema.virtual('isExpired').get(function() {
+    return this.status === 'pending' && this.expiresAt <= Date.now();
+});
+
+// Instance method to revoke the invitation
+adminInvitationSchema.methods.revoke = function(adminId) {
+    this.status = 'revoked';
+    this.revokedAt = new Date();
+    this.revokedBy = adminId || null;
+    return this.save();
+};
+
+module.exports = mongoose.model('AdminInvitation', adminInvitationSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ENTITY_TYPES = ['product', 'shop', 'engineer', 'ad', 'admin', 'admin_invitation', 'security_settings', 'moderation_rule', 'moderation_settings', 'duplicate_cluster', 'category', 'exchange_rate', 'user', 'report'];
+
+// Append-only record of a privileged (admin) action
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+            default: null,
+            index: true
+        },
+        name: { type: String, default: '' },
+        email: { type: String, default: '', lowercase: true },
+        role: { type: String, default: '' }
+    },
+    action: {
+        type: String,
+        required: [true, 'Audit action is required'],
+        trim: true,
+        index: true
+    },
+    entity: {
+        type: {
+            type: String,
+            enum: {
+                values: AUDIT_ENTITY_TYPES,
+                message: 'Invalid audit entity type'
+            },
+            required: [true, 'Audit entity type is required']
+        },
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        label: { type: String, default: '' }
+    },
+    // Only the fields that changed, keyed by dotted path
+    changes: {
+        before: { type: mongoose.Schema.Types.Mixed, default: {} },
+        after: { type: mongoose.Schema.Types.Mixed, default: {} }
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+});
+
+auditLogSchema.index({ 'entity.type': 1, 'entity.id': 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries are never edited or removed once written
+const rejectMutation = function(next) {
+    next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function(next) {
+    if (!this.isNew) return rejectMutation(next);
+    next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((op) => {
+    auditLogSchema.pre(op, rejectMutation);
+});
+
+auditLogSchema.statics.ENTITY_TYPES = AUDIT_ENTITY_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
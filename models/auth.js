@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { generateOTP, hashOTP } = require('../utils/generateOtp');
+
+// OTP abuse limits
+const MAX_OTP_ATTEMPTS = 5; // wrong guesses before the phone is locked
+const OTP_LOCK_DURATION = 30 * 60 * 1000; // 30 minutes
+const OTP_RESEND_COOLDOWN = 60 * 1000; // 1 minute between sends
+const OTP_DAILY_SEND_LIMIT = 5; // sends per rolling 24 hours
+const OTP_SEND_WINDOW = 24 * 60 * 60 * 1000;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -38,6 +47,62 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  otpPurpose: {
+    type: String,
+    enum: ['verify', 'password_reset', null],
+    default: null
+  },
+  otpDelivery: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed'],
+      default: null
+    },
+    provider: {
+      type: String,
+      default: null
+    },
+    messageId: {
+      type: String,
+      default: null
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null
+    },
+    lastSentAt: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    failureCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  otpAttempts: {
+    type: Number,
+    default: 0
+  },
+  otpLockUntil: {
+    type: Date,
+    default: null
+  },
+  otpLastSentAt: {
+    type: Date,
+    default: null
+  },
+  otpSendCount: {
+    type: Number,
+    default: 0
+  },
+  otpSendWindowStart: {
+    type: Date,
+    default: null
+  },
   isVerified: {
     type: Boolean,
     default: false,
@@ -58,6 +123,18 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  passwordResetToken: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -78,38 +155,275 @@ userSchema.index({ role: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ isActive: 1 });
 
+// Virtual for checking if OTP verification is locked
+userSchema.virtual('isOtpLocked').get(function() {
+  return !!(this.otpLockUntil && this.otpLockUntil > Date.now());
+});
+
 // Update updatedAt before saving
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
-// Instance method to generate OTP
-userSchema.methods.generateOTP = function() {
-  this.otp = '112233'; // Fixed OTP as per scope
+// Instance method to generate OTP - stores the hash and returns the plain code for delivery.
+// Claim the send with claimOtpSend first.
+userSchema.methods.generateOTP = function(purpose = 'verify') {
+  const otp = generateOTP();
+  this.otp = hashOTP(otp);
+  this.otpPurpose = purpose;
   this.otpExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+  this.otpDelivery.status = 'pending';
+
+  return otp;
+};
+
+// Instance method to check whether a new OTP may be sent.
+// Returns { allowed, reason, retryAfter } with retryAfter in seconds.
+userSchema.methods.canSendOTP = function() {
+  const now = Date.now();
+  const secondsUntil = (time) => Math.max(1, Math.ceil((time - now) / 1000));
+
+  if (this.isOtpLocked) {
+    return { allowed: false, reason: 'locked', retryAfter: secondsUntil(this.otpLockUntil) };
+  }
+
+  if (this.otpLastSentAt && now - this.otpLastSentAt < OTP_RESEND_COOLDOWN) {
+    return {
+      allowed: false,
+      reason: 'cooldown',
+      retryAfter: secondsUntil(this.otpLastSentAt.getTime() + OTP_RESEND_COOLDOWN)
+    };
+  }
+
+  if (
+    this.otpSendWindowStart &&
+    now - this.otpSendWindowStart < OTP_SEND_WINDOW &&
+    this.otpSendCount >= OTP_DAILY_SEND_LIMIT
+  ) {
+    return {
+      allowed: false,
+      reason: 'daily_limit',
+      retryAfter: secondsUntil(this.otpSendWindowStart.getTime() + OTP_SEND_WINDOW)
+    };
+  }
+
+  return { allowed: true, reason: null, retryAfter: 0 };
+};
+
+const THROTTLE_FIELDS = ['otpLockUntil', 'otpLastSentAt', 'otpSendWindowStart', 'otpSendCount'];
+
+// Copy stored throttle counters onto the document without marking them for the next save,
+// so a save can't write back a stale count
+const syncThrottleFields = (user, stored) => {
+  THROTTLE_FIELDS.forEach((field) => {
+    user[field] = stored[field] === undefined ? null : stored[field];
+    user.unmarkModified(field);
+  });
+};
+
+// Instance method to count an OTP send against the resend cooldown and the daily cap.
+// Saved users are counted with one guarded findOneAndUpdate, so parallel requests can't
+// all pass the checks on the same stale counts.
+// Returns { allowed, reason, retryAfter } like canSendOTP.
+userSchema.methods.claimOtpSend = async function() {
+  const check = this.canSendOTP();
+  if (!check.allowed) return check;
+
+  const now = new Date();
+  const windowCutoff = new Date(now.getTime() - OTP_SEND_WINDOW);
+
+  // Not stored yet: nothing else can be sending to it
+  if (this.isNew) {
+    if (!this.otpSendWindowStart || this.otpSendWindowStart <= windowCutoff) {
+      this.otpSendWindowStart = now;
+      this.otpSendCount = 0;
+    }
+    this.otpSendCount += 1;
+    this.otpLastSentAt = now;
+    return check;
+  }
+
+  const windowExpired = { $lte: [{ $ifNull: ['$otpSendWindowStart', null] }, windowCutoff] };
+  const claimed = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $and: [
+        { $or: [{ otpLockUntil: null }, { otpLockUntil: { $lte: now } }] },
+        { $or: [{ otpLastSentAt: null }, { otpLastSentAt: { $lte: new Date(now.getTime() - OTP_RESEND_COOLDOWN) } }] },
+        {
+          $or: [
+            { otpSendWindowStart: null },
+            { otpSendWindowStart: { $lte: windowCutoff } },
+            { otpSendCount: { $lt: OTP_DAILY_SEND_LIMIT } }
+          ]
+        }
+      ]
+    },
+    [{
+      $set: {
+        otpSendCount: { $cond: [windowExpired, 1, { $add: [{ $ifNull: ['$otpSendCount', 0] }, 1] }] },
+        otpSendWindowStart: { $cond: [windowExpired, now, '$otpSendWindowStart'] },
+        otpLastSentAt: now
+      }
+    }],
+    { new: true, projection: THROTTLE_FIELDS.join(' ') }
+  ).lean();
+
+  if (claimed) {
+    syncThrottleFields(this, claimed);
+    return check;
+  }
+
+  // Another request got there first; report the limit it ran into
+  const stored = await this.constructor.findById(this._id).select(THROTTLE_FIELDS.join(' ')).lean();
+  if (stored) syncThrottleFields(this, stored);
+  const current = this.canSendOTP();
+  return current.allowed ? { allowed: false, reason: 'cooldown', retryAfter: 1 } : current;
+};
+
+// Instance method to check a submitted OTP against the attempt limit.
+// The guess is claimed before the code is compared, with a findOneAndUpdate that $inc's the
+// stored count only while it is under the limit and the phone is not locked, so parallel
+// guesses can't get past it. The guess that uses the last attempt locks the phone.
+// On a valid code the attempts are reset on the document; the caller saves it.
+// Returns { valid, locked, attemptsRemaining, retryAfter } with retryAfter in seconds.
+userSchema.methods.attemptOTP = async function(inputOtp, purpose = 'verify') {
+  const User = this.constructor;
+  const now = new Date();
+  const secondsUntil = (time) => Math.max(1, Math.ceil((time - now) / 1000));
+
+  // Start counting again once a previous lock has expired
+  await User.updateOne(
+    { _id: this._id, otpLockUntil: { $lte: now } },
+    { $set: { otpAttempts: 0, otpLockUntil: null } }
+  );
+
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: this._id,
+      otpLockUntil: null,
+      $or: [{ otpAttempts: { $lt: MAX_OTP_ATTEMPTS } }, { otpAttempts: { $exists: false } }]
+    },
+    [
+      { $set: { otpAttempts: { $add: [{ $ifNull: ['$otpAttempts', 0] }, 1] } } },
+      {
+        $set: {
+          otpLockUntil: {
+            $cond: [
+              { $gte: ['$otpAttempts', MAX_OTP_ATTEMPTS] },
+              new Date(now.getTime() + OTP_LOCK_DURATION),
+              null
+            ]
+          }
+        }
+      }
+    ],
+    { new: true, projection: 'otpAttempts otpLockUntil' }
+  ).lean();
+
+  if (!claimed) {
+    const stored = await User.findById(this._id).select('otpLockUntil').lean();
+    const lockUntil = (stored && stored.otpLockUntil) || new Date(now.getTime() + OTP_LOCK_DURATION);
+    return { valid: false, locked: true, attemptsRemaining: 0, retryAfter: secondsUntil(lockUntil) };
+  }
+
+  if (this.verifyOTP(inputOtp, purpose)) {
+    this.resetOtpAttempts();
+    return { valid: true, locked: false, attemptsRemaining: MAX_OTP_ATTEMPTS - claimed.otpAttempts, retryAfter: 0 };
+  }
+
+  if (claimed.otpLockUntil) {
+    // Burn the current code so the lock can't be waited out with it
+    await User.updateOne({ _id: this._id }, { $set: { otp: null, otpExpires: null } });
+    return { valid: false, locked: true, attemptsRemaining: 0, retryAfter: secondsUntil(claimed.otpLockUntil) };
+  }
+
+  return { valid: false, locked: false, attemptsRemaining: MAX_OTP_ATTEMPTS - claimed.otpAttempts, retryAfter: 0 };
+};
+
+// Instance method to reset OTP attempts after a successful verification
+userSchema.methods.resetOtpAttempts = function() {
+  this.otpAttempts = 0;
+  this.otpLockUntil = null;
+  // The stored counters were changed atomically; write the reset even if this copy already matches
+  this.markModified('otpAttempts');
+  this.markModified('otpLockUntil');
+};
+
+// Instance method to record the outcome of an OTP SMS
+userSchema.methods.recordOtpDelivery = function(result) {
+  this.otpDelivery.provider = result.provider;
+  this.otpDelivery.lastAttemptAt = new Date();
+
+  if (result.success) {
+    this.otpDelivery.status = 'sent';
+    this.otpDelivery.messageId = result.messageId;
+    this.otpDelivery.lastSentAt = new Date();
+    this.otpDelivery.lastError = null;
+  } else {
+    this.otpDelivery.status = 'failed';
+    this.otpDelivery.messageId = null;
+    this.otpDelivery.lastError = result.error;
+    this.otpDelivery.failureCount += 1;
+  }
 };
 
 // Instance method to verify OTP
-userSchema.methods.verifyOTP = function(inputOtp) {
+userSchema.methods.verifyOTP = function(inputOtp, purpose = 'verify') {
   if (!this.otp || !this.otpExpires) {
     return false;
   }
+
+  // A code issued for one flow can't be used for another
+  if ((this.otpPurpose || 'verify') !== purpose) {
+    return false;
+  }
   
   if (this.otpExpires < Date.now()) {
     return false;
   }
   
-  return this.otp === inputOtp;
+  const expected = Buffer.from(this.otp, 'hex');
+  const actual = Buffer.from(hashOTP(inputOtp), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 };
 
 // Instance method to clear OTP
 userSchema.methods.clearOTP = function() {
   this.otp = null;
   this.otpExpires = null;
+  this.otpPurpose = null;
   this.isVerified = true;
 };
 
+// Instance method to generate a single-use password reset token
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  this.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+
+  return resetToken;
+};
+
+// Static method to find the user holding a valid (unexpired) reset token
+userSchema.statics.findByResetToken = function(resetToken) {
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(String(resetToken))
+    .digest('hex');
+
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() }
+  });
+};
+
 // Static method to find active users
 userSchema.statics.findActive = function() {
   return this.find({ isActive: true });
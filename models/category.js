@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Categories created on first use, matching the values products and shops used before
+// the taxonomy was managed. parentKey nests a category under another default.
+const DEFAULT_CATEGORIES = [
+    { key: 'Inverters', name: { en: 'Inverters', ar: 'انفرترات' }, icon: 'inverter', sortOrder: 10, aliases: ['Inverter'] },
+    { key: 'Solar Panels', name: { en: 'Solar Panels', ar: 'ألواح شمسية' }, icon: 'solar-panel', sortOrder: 20, aliases: ['Panel', 'Panels'] },
+    { key: 'Batteries', name: { en: 'Batteries', ar: 'بطاريات' }, icon: 'battery', sortOrder: 30, aliases: ['Battery'] },
+    { key: 'Pane base', name: { en: 'Panel Mounts', ar: 'قواعد الألواح' }, icon: 'mount', sortOrder: 40, aliases: ['Panel base', 'Mounts'] },
+    { key: 'Accessory', name: { en: 'Accessories', ar: 'ملحقات' }, icon: 'plug', sortOrder: 50, aliases: ['Accessories'] },
+    { key: 'Cables', name: { en: 'Cables', ar: 'كابلات' }, icon: 'cable', sortOrder: 10, aliases: ['Cable'], parentKey: 'Accessory' },
+    { key: 'Charge Controllers', name: { en: 'Charge Controllers', ar: 'منظمات شحن' }, icon: 'controller', sortOrder: 20, aliases: ['Controller'], parentKey: 'Accessory' },
+    { key: 'Monitoring', name: { en: 'Monitoring', ar: 'أجهزة مراقبة' }, icon: 'monitor', sortOrder: 30, aliases: ['Monitor'], parentKey: 'Accessory' },
+    { key: 'Other', name: { en: 'Other', ar: 'أخرى' }, icon: 'box', sortOrder: 100, aliases: [] }
+];
+
+// Product category; `key` is the value stored in Product.type and Shop.productCategories
+const categorySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Category key is required'],
+        unique: true,
+        trim: true,
+        immutable: true,
+        maxLength: [60, 'Category key cannot exceed 60 characters']
+    },
+    name: {
+        en: {
+            type: String,
+            required: [true, 'English name is required'],
+            trim: true,
+            maxLength: [100, 'English name cannot exceed 100 characters']
+        },
+        ar: {
+            type: String,
+            required: [true, 'Arabic name is required'],
+            trim: true,
+            maxLength: [100, 'Arabic name cannot exceed 100 characters']
+        }
+    },
+    // Icon name or image URL used by the apps
+    icon: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
+        index: true
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    // Other spellings accepted and stored as `key`, e.g. Inverter -> Inverters
+    aliases: {
+        type: [String],
+        default: []
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+categorySchema.pre('validate', function(next) {
+    this.aliases = [...new Set(this.aliases.map(alias => alias.trim()).filter(alias => alias && alias !== this.key))];
+    if (this.parent && this.parent.equals(this._id)) {
+        this.invalidate('parent', 'A category cannot be its own parent');
+    }
+    next();
+});
+
+// Static method to create the default categories when the collection is empty
+categorySchema.statics.ensureDefaults = async function() {
+    if (await this.estimatedDocumentCount() > 0) return;
+
+    const parents = {};
+    for (const { parentKey, ...data } of DEFAULT_CATEGORIES) {
+        const category = await this.findOneAndUpdate(
+            { key: data.key },
+            { $setOnInsert: { ...data, parent: parentKey ? parents[parentKey] : null } },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+        parents[data.key] = category._id;
+    }
+};
+
+categorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = mongoose.model('Category', categorySchema);
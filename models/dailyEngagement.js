@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const EngagementEvent = require('./engagementEvent');
+
+// Views and contact reveals of one item on one UTC day, rolled up from engagement events
+const dailyEngagementSchema = new mongoose.Schema({
+    // UTC midnight of the day
+    date: {
+        type: Date,
+        required: true
+    },
+    itemType: {
+        type: String,
+        required: true,
+        enum: EngagementEvent.ENGAGEMENT_TYPES
+    },
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: function() {
+            return EngagementEvent.ENGAGEMENT_MODELS[this.itemType];
+        }
+    },
+    views: {
+        type: Number,
+        default: 0
+    },
+    contacts: {
+        type: Number,
+        default: 0
+    },
+    // Contact reveals per channel
+    calls: {
+        type: Number,
+        default: 0
+    },
+    whatsapp: {
+        type: Number,
+        default: 0
+    }
+});
+
+dailyEngagementSchema.index({ itemType: 1, item: 1, date: 1 }, { unique: true });
+dailyEngagementSchema.index({ date: 1, itemType: 1 });
+
+module.exports = mongoose.model('DailyEngagement', dailyEngagementSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Group of listings detected as copies of each other, reviewed by a moderator
+const duplicateClusterSchema = new mongoose.Schema({
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    // Why the listings were grouped, e.g. reused_images, similar_listing
+    reasons: {
+        type: [String],
+        default: []
+    },
+    status: {
+        type: String,
+        enum: ['open', 'merged', 'rejected', 'dismissed'],
+        default: 'open',
+        index: true
+    },
+    // Listing kept when the cluster was merged
+    primaryProduct: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        default: null
+    },
+    lastDetectedAt: {
+        type: Date,
+        default: Date.now
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    resolvedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+duplicateClusterSchema.index({ products: 1 });
+duplicateClusterSchema.index({ status: 1, lastDetectedAt: -1 });
+
+// Instance method to close the cluster
+duplicateClusterSchema.methods.resolve = function(status, adminId, primaryProductId = null) {
+    this.status = status;
+    this.resolvedBy = adminId;
+    this.resolvedAt = new Date();
+    this.primaryProduct = primaryProductId;
+    return this.save();
+};
+
+module.exports = mongoose.model('DuplicateCluster', duplicateClusterSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Engagement type -> model of the viewed or contacted item
+const ENGAGEMENT_MODELS = {
+    product: 'Product',
+    shop: 'Shop',
+    engineer: 'Engineer'
+};
+
+const ENGAGEMENT_TYPES = Object.keys(ENGAGEMENT_MODELS);
+const ENGAGEMENT_ACTIONS = ['view', 'contact'];
+const CONTACT_CHANNELS = ['call', 'whatsapp'];
+
+// Raw events are only needed for deduplication and audits; the daily aggregates keep the history
+const ENGAGEMENT_EVENT_RETENTION_DAYS = 90;
+
+// A detail view or contact reveal, stored once per viewer and item per dedupe window
+const engagementEventSchema = new mongoose.Schema({
+    itemType: {
+        type: String,
+        required: true,
+        enum: ENGAGEMENT_TYPES
+    },
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: function() {
+            return ENGAGEMENT_MODELS[this.itemType];
+        }
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: ENGAGEMENT_ACTIONS
+    },
+    // How the contact was revealed; null for views
+    channel: {
+        type: String,
+        enum: [...CONTACT_CHANNELS, null],
+        default: null
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Who acted: the user, else a keyed hash of the device id or of the IP and user agent
+    actorKey: {
+        type: String,
+        required: true
+    },
+    // Start of the dedupe window the event fell in
+    windowStart: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One event per actor, item and action in each window; channel does not make a second reveal
+engagementEventSchema.index(
+    { itemType: 1, item: 1, action: 1, actorKey: 1, windowStart: 1 },
+    { unique: true }
+);
+engagementEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: ENGAGEMENT_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+engagementEventSchema.statics.ENGAGEMENT_MODELS = ENGAGEMENT_MODELS;
+engagementEventSchema.statics.ENGAGEMENT_TYPES = ENGAGEMENT_TYPES;
+engagementEventSchema.statics.ENGAGEMENT_ACTIONS = ENGAGEMENT_ACTIONS;
+engagementEventSchema.statics.CONTACT_CHANNELS = CONTACT_CHANNELS;
+
+module.exports = mongoose.model('EngagementEvent', engagementEventSchema);
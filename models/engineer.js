@@ -1,4 +1,11 @@
 const mongoose = require("mongoose");
+const { CURRENCIES } = require("../config/currencies");
+const {
+  searchIndexPlugin,
+  buildTextSearch,
+  escapeRegex,
+  RELEVANCE_SORT,
+} = require("../utils/search");
 
 const engineerSchema = new mongoose.Schema(
   {
@@ -150,7 +157,7 @@ const engineerSchema = new mongoose.Schema(
       },
       currency: {
         type: String,
-        enum: ["YER", "USD", "SAR", "EUR"],
+        enum: CURRENCIES,
         default: "YER",
       },
       minimumCharge: {
@@ -174,6 +181,11 @@ const engineerSchema = new mongoose.Schema(
       default: false,
       index: true,
     },
+    // Out of the marketplace while enough users' reports await review
+    hiddenByReports: {
+      type: Boolean,
+      default: false,
+    },
     views: {
       type: Number,
       default: 0,
@@ -210,6 +222,16 @@ engineerSchema.index({ "rating.average": -1 });
 engineerSchema.index({ "availability.status": 1 });
 engineerSchema.index({ createdAt: -1 });
 
+// Folded text index for marketplace search
+engineerSchema.plugin(searchIndexPlugin, {
+  paths: ["name", "services", "specializations", "experience.description", "governorate", "city", "address"],
+  fields: (engineer) => ({
+    primary: [engineer.name],
+    secondary: [...(engineer.services || []), ...(engineer.specializations || [])],
+    extra: [engineer.experience?.description, engineer.governorate, engineer.city, engineer.address],
+  }),
+});
+
 // Virtual for contact info
 engineerSchema.virtual("contactInfo").get(function () {
   return {
@@ -282,8 +304,8 @@ engineerSchema.statics.searchEngineers = function (filters = {}) {
     isVerified: true,
   };
 
-  if (governorate) query.governorate = new RegExp(governorate, "i");
-  if (city) query.city = new RegExp(city, "i");
+  if (governorate) query.governorate = new RegExp(escapeRegex(governorate), "i");
+  if (city) query.city = new RegExp(escapeRegex(city), "i");
   if (services && services.length > 0) {
     query.services = { $in: services };
   }
@@ -292,17 +314,13 @@ engineerSchema.statics.searchEngineers = function (filters = {}) {
   }
   if (availability) query["availability.status"] = availability;
   if (minRating) query["rating.average"] = { $gte: minRating };
-  if (search) {
-    query.$or = [
-      { name: new RegExp(search, "i") },
-      { services: { $in: [new RegExp(search, "i")] } },
-      { specializations: { $in: [new RegExp(search, "i")] } },
-    ];
-  }
+  const textSearch = search && buildTextSearch(search);
+  if (textSearch) query.$text = textSearch;
 
   const skip = (page - 1) * limit;
-  const sort = {};
-  sort[sortBy] = sortOrder;
+  let sort = {};
+  if (textSearch && !filters.sortBy) sort = RELEVANCE_SORT;
+  else sort[sortBy] = sortOrder;
 
   return this.find(query)
     .sort(sort)
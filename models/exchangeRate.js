@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, CURRENCIES } = require('../config/currencies');
+
+// One published rate; the newest entry per currency is the current rate and
+// older entries are kept as history
+const exchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        enum: {
+            values: CURRENCIES.filter(currency => currency !== BASE_CURRENCY),
+            message: `Currency must be one of: ${CURRENCIES.filter(currency => currency !== BASE_CURRENCY).join(', ')}`
+        }
+    },
+    // Units of the base currency one unit of `currency` buys
+    rate: {
+        type: Number,
+        required: [true, 'Rate is required'],
+        min: [0.000001, 'Rate must be greater than zero']
+    },
+    // Rate this entry replaced, null for the first one
+    previousRate: {
+        type: Number,
+        default: null
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxLength: [500, 'Note cannot exceed 500 characters']
+    },
+    setBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+exchangeRateSchema.index({ currency: 1, createdAt: -1 });
+
+// Static method to get the newest rate per currency
+exchangeRateSchema.statics.findCurrent = function() {
+    return this.aggregate([
+        { $sort: { createdAt: -1 } },
+        { $group: { _id: '$currency', rate: { $first: '$rate' }, updatedAt: { $first: '$createdAt' }, setBy: { $first: '$setBy' } } },
+        { $project: { _id: 0, currency: '$_id', rate: 1, updatedAt: 1, setBy: 1 } },
+        { $sort: { currency: 1 } }
+    ]);
+};
+
+exchangeRateSchema.statics.BASE_CURRENCY = BASE_CURRENCY;
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Favourite type -> model of the saved item
+const FAVOURITE_MODELS = {
+    product: 'Product',
+    shop: 'Shop',
+    engineer: 'Engineer'
+};
+
+const FAVOURITE_TYPES = Object.keys(FAVOURITE_MODELS);
+
+// Product, shop or engineer a user bookmarked; watchers of a product hear about price drops and its sale
+const favouriteSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    itemType: {
+        type: String,
+        required: [true, 'Favourite type is required'],
+        enum: {
+            values: FAVOURITE_TYPES,
+            message: `Favourite type must be one of: ${FAVOURITE_TYPES.join(', ')}`
+        }
+    },
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Favourite item is required'],
+        ref: function() {
+            return FAVOURITE_MODELS[this.itemType];
+        }
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+favouriteSchema.index({ userId: 1, itemType: 1, item: 1 }, { unique: true });
+favouriteSchema.index({ userId: 1, createdAt: -1 });
+favouriteSchema.index({ itemType: 1, item: 1 });
+
+/**
+ * Which of some items a user has favourited.
+ *
+ * @param {ObjectId} userId
+ * @param {string} itemType
+ * @param {Array<ObjectId>} itemIds
+ * @returns {Promise<Set<string>>} ids of the favourited items
+ */
+favouriteSchema.statics.findFavouriteIds = async function(userId, itemType, itemIds) {
+    if (itemIds.length === 0) return new Set();
+    const favourites = await this.find({ userId, itemType, item: { $in: itemIds } }).select('item').lean();
+    return new Set(favourites.map(favourite => favourite.item.toString()));
+};
+
+favouriteSchema.statics.FAVOURITE_TYPES = FAVOURITE_TYPES;
+favouriteSchema.statics.FAVOURITE_MODELS = FAVOURITE_MODELS;
+
+module.exports = mongoose.model('Favourite', favouriteSchema);
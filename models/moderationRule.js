@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const { REJECTION_REASON_CODES } = require('../config/moderationReasons');
+
+const RULE_TYPES = ['banned_keywords', 'price_outlier', 'posting_velocity', 'missing_images'];
+
+// Defaults merged under each rule's config
+const RULE_DEFAULTS = {
+    banned_keywords: { keywords: [], fields: ['name', 'description'] },
+    price_outlier: { minRatio: 0.3, maxRatio: 3, minSamples: 5, lookbackDays: 180 },
+    posting_velocity: { maxPosts: 5, windowMinutes: 60 },
+    missing_images: { minImages: 1 }
+};
+
+// Bounds of each rule type's numeric settings
+const CONFIG_LIMITS = {
+    price_outlier: {
+        minRatio: { min: 0, max: 1 },
+        maxRatio: { min: 1, max: 100 },
+        minSamples: { min: 1, max: 500, integer: true },
+        lookbackDays: { min: 1, max: 3650, integer: true }
+    },
+    posting_velocity: {
+        maxPosts: { min: 1, max: 1000, integer: true },
+        windowMinutes: { min: 1, max: 43200, integer: true }
+    },
+    missing_images: {
+        minImages: { min: 1, max: 20, integer: true }
+    }
+};
+
+// Product text fields a banned keyword rule may search
+const KEYWORD_FIELDS = ['name', 'description', 'brand', 'model', 'type', 'governorate', 'city', 'locationText'];
+
+// Admin-configured check run against every new listing
+const moderationRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true,
+        maxLength: [100, 'Rule name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxLength: [500, 'Description cannot exceed 500 characters']
+    },
+    type: {
+        type: String,
+        required: [true, 'Rule type is required'],
+        enum: {
+            values: RULE_TYPES,
+            message: `Rule type must be one of: ${RULE_TYPES.join(', ')}`
+        }
+    },
+    // What happens to the listing when the rule fires
+    action: {
+        type: String,
+        enum: {
+            values: ['reject', 'flag'],
+            message: 'Action must be reject or flag'
+        },
+        default: 'flag'
+    },
+    config: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    rejectReasonCode: {
+        type: String,
+        enum: [...REJECTION_REASON_CODES, null],
+        default: null
+    },
+    // Shown to the seller when the rule rejects a listing
+    rejectReason: {
+        type: String,
+        trim: true,
+        maxLength: [500, 'Reject reason cannot exceed 500 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    // Lower runs first
+    priority: {
+        type: Number,
+        default: 100
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+moderationRuleSchema.pre('validate', function(next) {
+    if (this.action === 'reject' && (!this.rejectReasonCode || !this.rejectReason)) {
+        this.invalidate('rejectReasonCode', 'Rejecting rules need a reject reason code and a reason for the seller');
+    }
+    if (!this.config || typeof this.config !== 'object' || Array.isArray(this.config)) {
+        this.invalidate('config', 'Rule config must be an object');
+        return next();
+    }
+
+    // The checks run on every new listing, so a bad setting must fail here rather than there
+    const config = this.getConfig();
+    if (this.type === 'banned_keywords') {
+        const { keywords, fields } = config;
+        if (!Array.isArray(keywords) || keywords.filter(k => typeof k === 'string' && k.trim()).length === 0) {
+            this.invalidate('config.keywords', 'Banned keyword rules need at least one keyword');
+        } else if (keywords.some(k => typeof k !== 'string')) {
+            this.invalidate('config.keywords', 'Keywords must be text');
+        }
+        if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => !KEYWORD_FIELDS.includes(field))) {
+            this.invalidate('config.fields', `fields must be a list of: ${KEYWORD_FIELDS.join(', ')}`);
+        }
+    }
+    Object.entries(CONFIG_LIMITS[this.type] || {}).forEach(([key, { min, max, integer }]) => {
+        const value = config[key];
+        const valid = typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max &&
+            (!integer || Number.isInteger(value));
+        if (!valid) {
+            this.invalidate(`config.${key}`, `${key} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}`);
+        }
+    });
+    next();
+});
+
+// Rule config with the type's defaults filled in
+moderationRuleSchema.methods.getConfig = function() {
+    return { ...(RULE_DEFAULTS[this.type] || {}), ...(this.config || {}) };
+};
+
+// Static method to load active rules in evaluation order
+moderationRuleSchema.statics.findActive = function() {
+    return this.find({ isActive: true }).sort({ priority: 1, createdAt: 1 });
+};
+
+moderationRuleSchema.statics.RULE_TYPES = RULE_TYPES;
+moderationRuleSchema.statics.RULE_DEFAULTS = RULE_DEFAULTS;
+
+module.exports = mongoose.model('ModerationRule', moderationRuleSchema);
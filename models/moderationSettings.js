@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Single document controlling automatic pre-moderation of new listings
+const moderationSettingsSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'global',
+        unique: true
+    },
+    // Run the rules on new listings at all
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    // Approve listings no rule fired on; otherwise they wait for a moderator
+    autoApproveWhenClean: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to load the settings, creating the defaults on first use
+moderationSettingsSchema.statics.getSettings = function() {
+    return this.findOneAndUpdate(
+        { key: 'global' },
+        { $setOnInsert: { key: 'global' } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
+module.exports = mongoose.model('ModerationSettings', moderationSettingsSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['saved_search_match', 'saved_search_digest', 'favourite_price_drop', 'favourite_sold'];
+
+// Read and unread notifications are kept this long
+const NOTIFICATION_RETENTION_DAYS = 90;
+
+// In-app notification for a marketplace user
+const notificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: NOTIFICATION_TYPES
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 200
+    },
+    body: {
+        type: String,
+        trim: true,
+        maxLength: 1000
+    },
+    // What the notification is about, so the app can open it
+    data: {
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        products: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        }],
+        savedSearch: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'SavedSearch'
+        }
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ 'data.savedSearch': 1, 'data.product': 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,86 @@
 const mongoose = require('mongoose');
+const { REJECTION_REASON_CODES } = require('../config/moderationReasons');
+const { SPECIFICATION_FIELDS, findSpecificationErrors } = require('../config/productSpecifications');
+const { resolveCategory, getCategoryKeysWithAncestors } = require('../utils/categories');
+const { BASE_CURRENCY, CURRENCIES } = require('../config/currencies');
+const { normalizePrice } = require('../utils/exchangeRates');
+const { searchIndexPlugin, buildTextSearch, escapeRegex, RELEVANCE_SORT } = require('../utils/search');
+const productEvents = require('../utils/productEvents');
+
+// How long a listing stays live, and how early its seller is warned before it expires
+const LISTING_LIFETIME_DAYS = parseInt(process.env.PRODUCT_LISTING_DAYS) || 90;
+const EXPIRY_WARNING_DAYS = parseInt(process.env.PRODUCT_EXPIRY_WARNING_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SALE_STATUSES = ['available', 'reserved', 'sold'];
+
+// One entry per moderation step, oldest first
+const moderationEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['submitted', 'approved', 'rejected', 'resubmitted', 'flagged'],
+    required: true
+  },
+  // Decided by the pre-moderation rules rather than a person
+  automatic: {
+    type: Boolean,
+    default: false
+  },
+  reasonCode: {
+    type: String,
+    enum: [...REJECTION_REASON_CODES, null],
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'moderationHistory.actorModel'
+  },
+  actorModel: {
+    type: String,
+    enum: ['Admin', 'User', null],
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A pre-moderation rule that fired on the listing
+const firedRuleSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModerationRule'
+  },
+  name: String,
+  type: String,
+  action: {
+    type: String,
+    enum: ['reject', 'flag']
+  },
+  detail: String
+}, { _id: false });
+
+// Typed technical specifications; which fields apply depends on the product type
+const specificationSchema = new mongoose.Schema(
+  Object.fromEntries(
+    Object.entries(SPECIFICATION_FIELDS).map(([key, field]) => [
+      key,
+      field.kind === 'number'
+        ? { type: Number, min: field.min, max: field.max }
+        : { type: String, enum: field.values }
+    ])
+  ),
+  { _id: false }
+);
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -13,13 +95,11 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxLength: [2000, 'Description cannot exceed 2000 characters']
   },
+  // Key of a managed Category; aliases are stored as the canonical key
   type: {
     type: String,
     required: [true, 'Product type is required'],
-    enum: {
-      values: ['Inverters', 'Solar Panels', 'Batteries', 'Pane base', 'Accessory', 'Other'],
-      message: 'Product type must be one of: Inverter, Panel, Battery, Accessory, Cable, Controller, Monitor, Other'
-    }
+    trim: true
   },
   condition: {
     type: String,
@@ -46,9 +126,15 @@ const productSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['YER', 'USD', 'SAR', 'EUR'],
+    enum: CURRENCIES,
     default: 'YER'
   },
+  // Price in the base currency at the current exchange rate, used to filter and sort
+  // across currencies; null while the listing currency has no published rate
+  normalizedPrice: {
+    type: Number,
+    default: null
+  },
   isNegotiable: {
     type: Boolean,
     default: false
@@ -86,10 +172,10 @@ const productSchema = new mongoose.Schema({
       message: 'Image must be a valid URL'
     }
   }],
-  // specifications: {
-  //   type: Map,
-  //   of: String
-  // },
+  specifications: {
+    type: specificationSchema,
+    default: undefined
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -97,17 +183,53 @@ const productSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'expired'],
     default: 'pending' // Changed from 'pending' to 'approved' for auto-approval
   },
+  // Status to restore when an expired listing is renewed
+  statusBeforeExpiry: {
+    type: String,
+    enum: ['pending', 'approved', null],
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set by the seller; sold listings leave the marketplace but stay in the seller's history
+  saleStatus: {
+    type: String,
+    enum: SALE_STATUSES,
+    default: 'available'
+  },
+  reservedAt: {
+    type: Date,
+    default: null
+  },
+  soldAt: {
+    type: Date,
+    default: null
+  },
+  // Realised price, when the seller shares it
+  soldPrice: {
+    type: Number,
+    min: [0, 'Sold price cannot be negative'],
+    default: null
+  },
+  soldCurrency: {
+    type: String,
+    enum: [...CURRENCIES, null],
+    default: null
+  },
   isFeatured: {
     type: Boolean,
     default: false
   },
+  // Out of the marketplace while enough users' reports await review
+  hiddenByReports: {
+    type: Boolean,
+    default: false
+  },
   viewCount: {
     type: Number,
     default: 0
@@ -120,6 +242,70 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  rejectionReasonCode: {
+    type: String,
+    enum: [...REJECTION_REASON_CODES, null],
+    default: null
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  rejectedAt: {
+    type: Date,
+    default: null
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  // Result of the pre-moderation rules for the latest submission
+  autoModeration: {
+    outcome: {
+      type: String,
+      enum: ['approved', 'rejected', 'flagged', 'none', null],
+      default: null
+    },
+    firedRules: {
+      type: [firedRuleSchema],
+      default: []
+    },
+    evaluatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  isFlagged: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  // Set when duplicate detection grouped this listing with others
+  duplicateCluster: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DuplicateCluster',
+    default: null
+  },
+  duplicateMatches: {
+    type: [{
+      _id: false,
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      score: Number,
+      reasons: [String]
+    }],
+    default: []
+  },
+  moderationHistory: {
+    type: [moderationEventSchema],
+    default: [],
+    select: false
+  },
   adminNotes: {
     type: String,
     trim: true
@@ -131,10 +317,26 @@ const productSchema = new mongoose.Schema({
   expiresAt: {
     type: Date,
     default: function() {
-      // Auto-expire after 90 days
-      return new Date(Date.now() + 90 * 24 * 60 * 60 * 1000);
+      // Marked expired by the expiry job after LISTING_LIFETIME_DAYS
+      return new Date(Date.now() + LISTING_LIFETIME_DAYS * DAY_MS);
     }
   },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  expiryWarningSentAt: {
+    type: Date,
+    default: null
+  },
+  renewedAt: {
+    type: Date,
+    default: null
+  },
+  renewCount: {
+    type: Number,
+    default: 0
+  },
   boostedUntil: {
     type: Date,
     default: null
@@ -153,7 +355,25 @@ productSchema.index({ price: 1, type: 1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ featured: -1, createdAt: -1 });
 productSchema.index({ userId: 1, status: 1 });
-productSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+productSchema.index({ phone: 1, createdAt: -1 });
+productSchema.index({ images: 1 });
+productSchema.index({ status: 1, expiresAt: 1 });
+productSchema.index({ saleStatus: 1, type: 1, soldAt: -1 });
+productSchema.index({ currency: 1 });
+productSchema.index({ normalizedPrice: 1, type: 1 });
+
+// Folded text index for marketplace search; the category names let "ألواح" find Solar Panels
+productSchema.plugin(searchIndexPlugin, {
+  paths: ['name', 'brand', 'model', 'type', 'condition', 'description', 'governorate', 'city'],
+  fields: async (product) => {
+    const category = await resolveCategory(product.type, { includeInactive: true });
+    return {
+      primary: [product.name],
+      secondary: [product.brand, product.model, product.type, category?.name?.en, category?.name?.ar],
+      extra: [product.condition, product.description, product.governorate, product.city]
+    };
+  }
+});
 
 // Virtual for contact info
 productSchema.virtual('contactInfo').get(function() {
@@ -165,33 +385,217 @@ productSchema.virtual('contactInfo').get(function() {
 
 // Instance method to increment views
 productSchema.methods.incrementViews = function() {
-  this.views += 1;
+  this.viewCount += 1;
   return this.save();
 };
 
-// Instance method to approve product
-productSchema.methods.approve = function(adminId) {
+// The type must be an active category; listings keep their type if it is deactivated later
+productSchema.pre('validate', async function() {
+  if (!this.type || !(this.isNew || this.isModified('type'))) return;
+  const category = await resolveCategory(this.type);
+  if (category) this.type = category.key;
+  else this.invalidate('type', `Unknown product type "${this.type}"`);
+});
+
+// Specifications must belong to the product type (or the category above it), also when only the type changed
+productSchema.pre('validate', async function() {
+  if (this.specifications) {
+    const types = await getCategoryKeysWithAncestors(this.type);
+    const errors = findSpecificationErrors(types, this.specifications.toObject());
+    if (errors.length) this.invalidate('specifications', errors.join('; '));
+  }
+});
+
+// Keep the normalised price in step with the listed price; a value set directly is recomputed
+productSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('price') || this.isModified('currency') || this.isModified('normalizedPrice')) {
+    this.normalizedPrice = await normalizePrice(this.price, this.currency);
+  }
+});
+
+// Remember the listed price as loaded, to tell when a save lowers it
+const priceSnapshot = product => ({
+  price: product.price,
+  currency: product.currency,
+  normalizedPrice: product.normalizedPrice
+});
+
+productSchema.post('init', function(doc) {
+  doc.$locals.listedPrice = priceSnapshot(doc);
+});
+
+const isPriceDrop = (before, product) => {
+  if (!before || typeof before.price !== 'number') return false;
+  if (typeof before.normalizedPrice === 'number' && typeof product.normalizedPrice === 'number') {
+    return product.normalizedPrice < before.normalizedPrice;
+  }
+  return before.currency === product.currency && product.price < before.price;
+};
+
+// Announce moderation outcomes, sales and price drops once they are stored
+productSchema.post('save', function(doc) {
+  if (doc.$locals.approvedNow) {
+    doc.$locals.approvedNow = false;
+    productEvents.emit('approved', doc);
+  }
+
+  if (doc.$locals.soldNow) {
+    doc.$locals.soldNow = false;
+    productEvents.emit('sold', doc);
+  }
+
+  const before = doc.$locals.listedPrice;
+  doc.$locals.listedPrice = priceSnapshot(doc);
+  if (doc.status === 'approved' && doc.saleStatus !== 'sold' && isPriceDrop(before, doc)) {
+    productEvents.emit('priceDropped', doc, before);
+  }
+});
+
+// Record the initial submission in the moderation history
+productSchema.pre('save', function(next) {
+  if (this.isNew && this.moderationHistory.length === 0) {
+    this.moderationHistory.push({
+      action: 'submitted',
+      actor: this.userId,
+      actorModel: 'User'
+    });
+  }
+  next();
+});
+
+// Instance method to approve product (adminId null = approved by the rules)
+productSchema.methods.approve = function(adminId, notes) {
   this.status = 'approved';
-  this.approvedBy = adminId;
+  this.approvedBy = adminId || null;
   this.approvedAt = new Date();
   this.rejectionReason = '';
+  this.rejectionReasonCode = null;
+  this.rejectedBy = null;
+  this.rejectedAt = null;
+  this.isFlagged = false;
+  if (notes && adminId) this.adminNotes = notes;
+  this.moderationHistory.push({
+    action: 'approved',
+    automatic: !adminId,
+    notes,
+    actor: adminId || null,
+    actorModel: adminId ? 'Admin' : null,
+    at: this.approvedAt
+  });
+  this.$locals.approvedNow = true;
   return this.save();
 };
 
-// Instance method to reject product
-productSchema.methods.reject = function(reason, adminId) {
+// Instance method to reject product (adminId null = rejected by the rules)
+productSchema.methods.reject = function(reasonCode, reason, adminId, notes) {
   this.status = 'rejected';
+  this.rejectionReasonCode = reasonCode;
   this.rejectionReason = reason;
-  this.approvedBy = adminId;
-  this.approvedAt = new Date();
+  this.rejectedBy = adminId || null;
+  this.rejectedAt = new Date();
+  this.approvedBy = null;
+  this.approvedAt = null;
+  this.isFlagged = false;
+  if (notes && adminId) this.adminNotes = notes;
+  this.moderationHistory.push({
+    action: 'rejected',
+    automatic: !adminId,
+    reasonCode,
+    reason,
+    notes,
+    actor: adminId || null,
+    actorModel: adminId ? 'Admin' : null,
+    at: this.rejectedAt
+  });
   return this.save();
 };
 
+// Instance method to hold a pending product for manual review
+productSchema.methods.flag = function(notes) {
+  this.isFlagged = true;
+  this.moderationHistory.push({
+    action: 'flagged',
+    automatic: true,
+    notes
+  });
+  return this.save();
+};
+
+// Instance method to send a fixed rejected listing back to the queue
+productSchema.methods.resubmit = function(userId, notes) {
+  this.status = 'pending';
+  this.moderationHistory.push({
+    action: 'resubmitted',
+    notes,
+    actor: userId,
+    actorModel: 'User'
+  });
+  return this.save();
+};
+
+// Virtual: seller may renew once the expiry warning window has started
+productSchema.virtual('canRenew').get(function() {
+  if (this.saleStatus === 'sold') return false;
+  if (this.status === 'expired') return true;
+  if (!['pending', 'approved'].includes(this.status) || !this.expiresAt) return false;
+  return this.expiresAt.getTime() - Date.now() <= EXPIRY_WARNING_DAYS * DAY_MS;
+});
+
+// Instance method to extend the listing for another lifetime, reviving it if expired
+productSchema.methods.renew = function() {
+  const now = new Date();
+  if (this.status === 'expired') {
+    this.status = this.statusBeforeExpiry || 'pending';
+    this.statusBeforeExpiry = null;
+    this.expiredAt = null;
+  }
+  this.expiresAt = new Date(now.getTime() + LISTING_LIFETIME_DAYS * DAY_MS);
+  this.expiryWarningSentAt = null;
+  this.renewedAt = now;
+  this.renewCount += 1;
+  return this.save();
+};
+
+// Instance method to record the seller's sale outcome; sale details apply to 'sold' only
+productSchema.methods.setSaleStatus = function(saleStatus, { soldPrice, soldCurrency, soldAt } = {}) {
+  this.$locals.soldNow = saleStatus === 'sold' && this.saleStatus !== 'sold';
+  this.saleStatus = saleStatus;
+  this.reservedAt = saleStatus === 'reserved' ? (this.reservedAt || new Date()) : null;
+
+  if (saleStatus === 'sold') {
+    this.soldAt = soldAt || new Date();
+    this.soldPrice = soldPrice === undefined ? null : soldPrice;
+    this.soldCurrency = this.soldPrice === null ? null : (soldCurrency || this.currency);
+    this.isFeatured = false;
+  } else {
+    this.soldAt = null;
+    this.soldPrice = null;
+    this.soldCurrency = null;
+  }
+  return this.save();
+};
+
+/**
+ * Recompute normalised prices of every listing in a currency after its rate changed.
+ *
+ * @param {string} currency
+ * @param {number} rate - Units of the base currency per unit of `currency`
+ * @returns {Promise<number>} number of listings updated
+ */
+productSchema.statics.renormalizePrices = async function(currency, rate) {
+  const result = await this.updateMany(
+    { currency },
+    [{ $set: { normalizedPrice: { $round: [{ $multiply: ['$price', rate] }, 0] } } }]
+  );
+  return result.modifiedCount;
+};
+
 // Static method to find approved products
 productSchema.statics.findApproved = function(filters = {}) {
   return this.find({
     status: 'approved',
     isActive: true,
+    saleStatus: { $ne: 'sold' },
     expiresAt: { $gt: new Date() },
     ...filters
   });
@@ -208,6 +612,8 @@ productSchema.statics.searchMarketplace = function(filters = {}) {
     city,
     brand,
     search,
+    currency = BASE_CURRENCY,
+    rates = {},
     page = 1,
     limit = 20,
     sortBy = 'createdAt',
@@ -217,30 +623,33 @@ productSchema.statics.searchMarketplace = function(filters = {}) {
   const query = {
     status: 'approved',
     isActive: true,
+    saleStatus: { $ne: 'sold' },
     expiresAt: { $gt: new Date() }
   };
 
   if (type) query.type = type;
   if (condition) query.condition = condition;
+  // Prices are given in `currency` and compared in the base currency; without a
+  // rate for it only listings in that same currency can be compared
   if (minPrice || maxPrice) {
-    query.price = {};
-    if (minPrice) query.price.$gte = minPrice;
-    if (maxPrice) query.price.$lte = maxPrice;
-  }
-  if (governorate) query.governorate = new RegExp(governorate, 'i');
-  if (city) query.city = new RegExp(city, 'i');
-  if (brand) query.brand = new RegExp(brand, 'i');
-  if (search) {
-    query.$or = [
-      { name: new RegExp(search, 'i') },
-      { description: new RegExp(search, 'i') },
-      { brand: new RegExp(search, 'i') }
-    ];
+    const rate = currency === BASE_CURRENCY ? 1 : rates[currency];
+    const field = rate ? 'normalizedPrice' : 'price';
+    if (!rate) query.currency = currency;
+    query[field] = {};
+    if (minPrice) query[field].$gte = minPrice * (rate || 1);
+    if (maxPrice) query[field].$lte = maxPrice * (rate || 1);
   }
+  if (governorate) query.governorate = new RegExp(escapeRegex(governorate), 'i');
+  if (city) query.city = new RegExp(escapeRegex(city), 'i');
+  if (brand) query.brand = new RegExp(escapeRegex(brand), 'i');
+  const textSearch = search && buildTextSearch(search);
+  if (textSearch) query.$text = textSearch;
 
   const skip = (page - 1) * limit;
-  const sort = {};
-  sort[sortBy] = sortOrder;
+  // A text search is ranked by relevance unless another order was asked for
+  let sort = {};
+  if (textSearch && !filters.sortBy) sort = RELEVANCE_SORT;
+  else sort[sortBy === 'price' ? 'normalizedPrice' : sortBy] = sortOrder;
 
   return this.find(query)
     .sort(sort)
@@ -250,4 +659,8 @@ productSchema.statics.searchMarketplace = function(filters = {}) {
     .select('-__v');
 };
 
+productSchema.statics.LISTING_LIFETIME_DAYS = LISTING_LIFETIME_DAYS;
+productSchema.statics.EXPIRY_WARNING_DAYS = EXPIRY_WARNING_DAYS;
+productSchema.statics.SALE_STATUSES = SALE_STATUSES;
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Report type -> model of the reported item
+const REPORT_MODELS = {
+    product: 'Product',
+    shop: 'Shop',
+    engineer: 'Engineer'
+};
+
+const REPORT_TYPES = Object.keys(REPORT_MODELS);
+const REPORT_REASONS = ['scam', 'wrong_info', 'prohibited_item', 'duplicate', 'offensive', 'unreachable', 'other'];
+
+// Triage states; pending and reviewing reports are still open
+const REPORT_STATUSES = ['pending', 'reviewing', 'actioned', 'dismissed'];
+const OPEN_REPORT_STATUSES = ['pending', 'reviewing'];
+
+// A user's report of a product, shop or engineer, triaged by admins
+const reportSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    itemType: {
+        type: String,
+        required: [true, 'Report type is required'],
+        enum: {
+            values: REPORT_TYPES,
+            message: `Report type must be one of: ${REPORT_TYPES.join(', ')}`
+        }
+    },
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Reported item is required'],
+        ref: function() {
+            return REPORT_MODELS[this.itemType];
+        }
+    },
+    reason: {
+        type: String,
+        required: [true, 'Reason is required'],
+        enum: {
+            values: REPORT_REASONS,
+            message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+        }
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxLength: [1000, 'Comment cannot exceed 1000 characters'],
+        default: '',
+        validate: {
+            validator: function(comment) {
+                return this.reason !== 'other' || Boolean(comment);
+            },
+            message: 'A comment is required when the reason is "other"'
+        }
+    },
+    status: {
+        type: String,
+        enum: REPORT_STATUSES,
+        default: 'pending'
+    },
+    // Set when an admin moves the report on from pending
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    resolutionNote: {
+        type: String,
+        trim: true,
+        maxLength: [1000, 'Resolution note cannot exceed 1000 characters'],
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ itemType: 1, item: 1, status: 1 });
+reportSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Number of different users with an open report on an item.
+ *
+ * @param {string} itemType
+ * @param {ObjectId} item
+ * @returns {Promise<number>}
+ */
+reportSchema.statics.countOpenReporters = async function(itemType, item) {
+    const reporters = await this.distinct('userId', {
+        itemType,
+        item,
+        status: { $in: OPEN_REPORT_STATUSES }
+    });
+    return reporters.length;
+};
+
+reportSchema.statics.REPORT_MODELS = REPORT_MODELS;
+reportSchema.statics.REPORT_TYPES = REPORT_TYPES;
+reportSchema.statics.REPORT_REASONS = REPORT_REASONS;
+reportSchema.statics.REPORT_STATUSES = REPORT_STATUSES;
+reportSchema.statics.OPEN_REPORT_STATUSES = OPEN_REPORT_STATUSES;
+
+module.exports = mongoose.model('Report', reportSchema);
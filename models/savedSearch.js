@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// instant: one notification per new match; daily/weekly: one digest of the matches; off: no alerts
+const ALERT_FREQUENCIES = ['instant', 'daily', 'weekly', 'off'];
+
+const DIGEST_PERIOD_MS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const MAX_SAVED_SEARCHES_PER_USER = 20;
+
+// Product search a buyer saved to be alerted about new listings matching it
+const savedSearchSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxLength: [100, 'Name cannot exceed 100 characters']
+    },
+    // searchProductsWithFilters query parameters, e.g. { type: 'Batteries', brand: 'Pylontech', governorate: 'Aden' }
+    criteria: {
+        type: mongoose.Schema.Types.Mixed,
+        required: [true, 'Search criteria are required']
+    },
+    // Canonical category key of criteria.type, null for any type; narrows the searches a new listing is matched against
+    categoryKey: {
+        type: String,
+        default: null
+    },
+    frequency: {
+        type: String,
+        enum: {
+            values: ALERT_FREQUENCIES,
+            message: `Frequency must be one of: ${ALERT_FREQUENCIES.join(', ')}`
+        },
+        default: 'instant'
+    },
+    // Matches waiting for the next daily or weekly digest
+    pendingProducts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    matchCount: {
+        type: Number,
+        default: 0
+    },
+    lastMatchedAt: {
+        type: Date,
+        default: null
+    },
+    lastAlertedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ frequency: 1, lastAlertedAt: 1 });
+savedSearchSchema.index({ categoryKey: 1, frequency: 1 });
+
+// Whether a digest search is due to send its pending matches
+savedSearchSchema.methods.isDigestDue = function(now = new Date()) {
+    const period = DIGEST_PERIOD_MS[this.frequency];
+    if (!period || this.pendingProducts.length === 0) return false;
+    return !this.lastAlertedAt || now - this.lastAlertedAt >= period;
+};
+
+savedSearchSchema.statics.ALERT_FREQUENCIES = ALERT_FREQUENCIES;
+savedSearchSchema.statics.DIGEST_FREQUENCIES = Object.keys(DIGEST_PERIOD_MS);
+savedSearchSchema.statics.MAX_PER_USER = MAX_SAVED_SEARCHES_PER_USER;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
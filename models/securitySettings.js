@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Single document holding platform-wide security policy
+const securitySettingsSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'global',
+        unique: true
+    },
+    twoFactorRequiredRoles: {
+        type: [String],
+        enum: {
+            values: ['admin', 'super_admin', 'moderator'],
+            message: 'Invalid role'
+        },
+        default: []
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to load the settings, creating the defaults on first use
+securitySettingsSchema.statics.getSettings = function() {
+    return this.findOneAndUpdate(
+        { key: 'global' },
+        { $setOnInsert: { key: 'global' } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Static method to check whether a role must use two-factor authentication
+securitySettingsSchema.statics.isTwoFactorRequired = async function(role) {
+    const settings = await this.getSettings();
+    return settings.twoFactorRequiredRoles.includes(role);
+};
+
+module.exports = mongoose.model('SecuritySettings', securitySettingsSchema);
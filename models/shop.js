@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { resolveCategory, resolveCategoryKeys } = require('../utils/categories');
+const { searchIndexPlugin, buildTextSearch, escapeRegex, RELEVANCE_SORT } = require('../utils/search');
 
 const shopSchema = new mongoose.Schema({
     name: {
@@ -96,12 +98,9 @@ const shopSchema = new mongoose.Schema({
         },
         index: true
     },
+    // Keys of managed categories (see models/category.js)
     productCategories: {
         type: [String],
-        enum: {
-            values: ['Inverters', 'Solar Panels', 'Batteries', 'Pane base', 'Accessory', 'Other'],
-            message: 'Invalid product category'
-        },
         default: []
     },
     brands: {
@@ -220,6 +219,11 @@ const shopSchema = new mongoose.Schema({
         default: false,
         index: true
     },
+    // Out of the marketplace while enough users' reports await review
+    hiddenByReports: {
+        type: Boolean,
+        default: false
+    },
     views: {
         type: Number,
         default: 0,
@@ -282,6 +286,34 @@ shopSchema.index({ verificationStatus: 1 });
 shopSchema.index({ createdAt: -1 });
 shopSchema.index({ location: '2dsphere' }); // For geospatial queries
 
+// Folded text index for marketplace search
+shopSchema.plugin(searchIndexPlugin, {
+    paths: ['name', 'brands', 'services', 'productCategories', 'description', 'governorate', 'city', 'address'],
+    fields: async (shop) => {
+        const categories = await Promise.all(
+            (shop.productCategories || []).map(key => resolveCategory(key, { includeInactive: true }))
+        );
+        return {
+            primary: [shop.name],
+            secondary: [
+                ...(shop.brands || []),
+                ...(shop.services || []),
+                ...(shop.productCategories || []),
+                ...categories.filter(Boolean).flatMap(category => [category.name.en, category.name.ar])
+            ],
+            extra: [shop.description, shop.governorate, shop.city, shop.address]
+        };
+    }
+});
+
+// Product categories must be active categories; aliases are stored as canonical keys
+shopSchema.pre('validate', async function() {
+    if (!this.isNew && !this.isModified('productCategories')) return;
+    const { keys, unknown } = await resolveCategoryKeys(this.productCategories);
+    if (unknown.length) this.invalidate('productCategories', `Unknown product categories: ${unknown.join(', ')}`);
+    else this.productCategories = keys;
+});
+
 // Virtual for contact info
 shopSchema.virtual('contactInfo').get(function() {
     return {
@@ -348,8 +380,8 @@ shopSchema.statics.searchShops = function(filters = {}) {
         verificationStatus: 'verified'
     };
 
-    if (governorate) query.governorate = new RegExp(governorate, 'i');
-    if (city) query.city = new RegExp(city, 'i');
+    if (governorate) query.governorate = new RegExp(escapeRegex(governorate), 'i');
+    if (city) query.city = new RegExp(escapeRegex(city), 'i');
     if (services && services.length > 0) {
         query.services = { $in: services };
     }
@@ -357,21 +389,16 @@ shopSchema.statics.searchShops = function(filters = {}) {
         query.productCategories = { $in: productCategories };
     }
     if (brands && brands.length > 0) {
-        query.brands = { $in: brands.map(brand => new RegExp(brand, 'i')) };
+        query.brands = { $in: brands.map(brand => new RegExp(escapeRegex(brand), 'i')) };
     }
     if (minRating) query['rating.average'] = { $gte: minRating };
-    if (search) {
-        query.$or = [
-            { name: new RegExp(search, 'i') },
-            { description: new RegExp(search, 'i') },
-            { services: { $in: [new RegExp(search, 'i')] } },
-            { brands: { $in: [new RegExp(search, 'i')] } }
-        ];
-    }
+    const textSearch = search && buildTextSearch(search);
+    if (textSearch) query.$text = textSearch;
 
     const skip = (page - 1) * limit;
-    const sort = {};
-    sort[sortBy] = sortOrder;
+    let sort = {};
+    if (textSearch && !filters.sortBy) sort = RELEVANCE_SORT;
+    else sort[sortBy] = sortOrder;
 
     return this.find(query)
         .sort(sort)
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const adminApprovalController = require('../controllers/AdminApprovalController');
-const { authToken, isAdmin } = require('../middlewares/auth');
+const { authToken, isAdmin, checkPermission } = require('../middlewares/auth');
 
 /**
  * @swagger
@@ -46,11 +46,10 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *           example: "pending"
  *       - name: type
  *         in: query
- *         description: Filter by product type
+ *         description: Filter by product type (category key); a parent category also matches its subcategories
  *         schema:
  *           type: string
- *           enum: [Inverter, Panel, Battery, Accessory, Cable, Controller, Monitor, Other]
- *           example: "Panel"
+ *           example: "Solar Panels"
  *       - name: condition
  *         in: query
  *         description: Filter by product condition
@@ -199,7 +198,7 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/get', authToken, isAdmin, adminApprovalController.getProducts);
+router.get('/get', authToken, isAdmin, checkPermission('products', 'read'), adminApprovalController.getProducts);
 
 /**
  * @swagger
@@ -209,10 +208,10 @@ router.get('/get', authToken, isAdmin, adminApprovalController.getProducts);
  *       - Product Approval Management
  *     summary: Get pending products for review (Admin only)
  *     description: |
- *       Retrieve only products that are pending admin approval.
- *       **Admin Access Required**: Only administrators can access this endpoint.
- *       **Focus on Workflow**: Specifically designed for the approval workflow.
- *       **Priority Sorting**: Shows newest submissions first by default.
+ *       Retrieve only products that are pending admin approval, one page at a time.
+ *       **Admin Access Required**: Needs the `products.read` permission.
+ *       **Focus on Workflow**: Specifically designed for the approval workflow; the same filters drive bulk moderation.
+ *       **Sorting**: Shows newest submissions first by default, `sortOrder=asc` for oldest first.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -230,28 +229,79 @@ router.get('/get', authToken, isAdmin, adminApprovalController.getProducts);
  *         schema:
  *           type: integer
  *           minimum: 1
- *           maximum: 50
+ *           maximum: 100
  *           default: 20
+ *       - name: sortOrder
+ *         in: query
+ *         description: "`asc` reviews the oldest submissions first"
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
  *       - name: type
  *         in: query
- *         description: Filter pending products by type
  *         schema:
  *           type: string
- *           enum: [Inverter, Panel, Battery, Accessory, Cable, Controller, Monitor, Other]
- *       - name: priority
+ *       - name: condition
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [New, Used, Needs Repair, Refurbished]
+ *       - name: governorate
+ *         in: query
+ *         description: Exact governorate (case-insensitive)
+ *         schema:
+ *           type: string
+ *           example: "Sana'a"
+ *       - name: city
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: query
+ *         description: Only products of this seller
+ *         schema:
+ *           type: string
+ *       - name: phone
+ *         in: query
+ *         description: Only products with this contact phone
+ *         schema:
+ *           type: string
+ *       - name: flagged
+ *         in: query
+ *         description: "`true` for listings the pre-moderation rules flagged for manual review"
+ *         schema:
+ *           type: boolean
+ *       - name: duplicate
+ *         in: query
+ *         description: "`true` for listings detected as possible duplicates (see `/api/v1/admin/duplicates`)"
+ *         schema:
+ *           type: boolean
+ *       - name: search
+ *         in: query
+ *         description: Text contained in name, brand or model
+ *         schema:
+ *           type: string
+ *       - name: minPrice
+ *         in: query
+ *         schema:
+ *           type: number
+ *       - name: maxPrice
+ *         in: query
+ *         schema:
+ *           type: number
+ *       - name: from
  *         in: query
- *         description: Filter by urgency (based on submission time)
+ *         description: Submitted at or after
  *         schema:
  *           type: string
- *           enum: [high, medium, low]
- *           example: "high"
- *       - name: priceRange
+ *           format: date-time
+ *       - name: to
  *         in: query
- *         description: Filter by price range for quality assessment
+ *         description: Submitted at or before
  *         schema:
  *           type: string
- *           enum: [low, medium, high, premium]
- *           example: "high"
+ *           format: date-time
  *     responses:
  *       200:
  *         description: Pending products retrieved successfully
@@ -341,7 +391,7 @@ router.get('/get', authToken, isAdmin, adminApprovalController.getProducts);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/pending', authToken, isAdmin, adminApprovalController.getPendingProducts);
+router.get('/pending', authToken, isAdmin, checkPermission('products', 'read'), adminApprovalController.getPendingProducts);
 
 /**
  * @swagger
@@ -351,15 +401,18 @@ router.get('/pending', authToken, isAdmin, adminApprovalController.getPendingPro
  *       - Product Approval Management
  *     summary: Update product approval status (Admin only)
  *     description: |
- *       Approve, reject, or modify the status of a product listing.
- *       **Admin Access Required**: Only administrators can change product approval status.
+ *       Approve or reject a product listing using the moderation workflow.
+ *       **Admin Access Required**: Needs the `products.approve` permission.
  *       **Status Workflow**:
  *       - `pending` → `approved`: Product becomes visible to users
- *       - `pending` → `rejected`: Product is hidden, user can resubmit with changes
- *       - `approved` → `sold`: Mark as sold (removes from active listings)
- *       - `approved` → `inactive`: Temporarily hide (user can reactivate)
- *       
- *       **Audit Trail**: All status changes are logged with admin ID and reason.
+ *       - `pending` → `rejected`: Product is hidden, the seller can fix it and resubmit (`PUT /api/v1/products/resubmit/{id}`)
+ *
+ *       Only `pending` products (including resubmitted and flagged ones) can be moderated; approved, rejected
+ *       and expired products are refused with `400`.
+ *
+ *       Rejection requires a `reasonCode` (see `GET /api/v1/admin/rejection-reasons`) and a `reason` shown to the seller.
+ *       The moderator and time are stored in `approvedBy`/`approvedAt` or `rejectedBy`/`rejectedAt`,
+ *       every decision is appended to the product's moderation history and to the audit log.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -383,60 +436,33 @@ router.get('/pending', authToken, isAdmin, adminApprovalController.getPendingPro
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, approved, rejected, sold, inactive]
- *                 description: New approval status for the product
+ *                 enum: [approved, rejected]
+ *                 description: Moderation decision
  *                 example: "approved"
+ *               reasonCode:
+ *                 type: string
+ *                 enum: [incomplete_information, poor_images, wrong_category, misleading, prohibited_item, duplicate, contact_details, other]
+ *                 description: Required when rejecting
  *               reason:
  *                 type: string
  *                 maxLength: 500
- *                 description: Reason for status change (required for rejection)
- *                 example: "Product approved - meets all quality standards"
- *               adminNotes:
+ *                 description: Explanation for the seller (required when rejecting)
+ *               notes:
  *                 type: string
  *                 maxLength: 1000
- *                 description: Internal admin notes (not visible to user)
- *                 example: "High quality submission with complete specifications"
- *               featured:
- *                 type: boolean
- *                 description: Mark product as featured (only when approving)
- *                 example: false
- *               priority:
- *                 type: integer
- *                 minimum: 1
- *                 maximum: 10
- *                 description: Display priority for approved products
- *                 example: 5
- *               qualityScore:
- *                 type: integer
- *                 minimum: 1
- *                 maximum: 10
- *                 description: Admin quality assessment score
- *                 example: 8
+ *                 description: Internal moderator notes, stored as `adminNotes`
  *           examples:
  *             approve_product:
  *               summary: Approve a product
  *               value:
  *                 status: "approved"
- *                 reason: "Product meets all quality standards and requirements"
- *                 qualityScore: 9
- *                 featured: true
  *             reject_product:
  *               summary: Reject a product
  *               value:
  *                 status: "rejected"
- *                 reason: "Images are unclear and product description is insufficient. Please provide better images and more detailed specifications."
- *                 adminNotes: "User should resubmit with clearer photos"
- *             mark_sold:
- *               summary: Mark product as sold
- *               value:
- *                 status: "sold"
- *                 reason: "Product marked as sold by seller"
- *             make_inactive:
- *               summary: Make product inactive
- *               value:
- *                 status: "inactive"
- *                 reason: "Temporarily hidden due to pricing concerns"
- *                 adminNotes: "User to update pricing and resubmit"
+ *                 reasonCode: "poor_images"
+ *                 reason: "Please upload clear photos of the actual panel, including the label."
+ *                 notes: "Stock photos copied from the manufacturer site"
  *     responses:
  *       200:
  *         description: Product status updated successfully
@@ -496,18 +522,18 @@ router.get('/pending', authToken, isAdmin, adminApprovalController.getPendingPro
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *             examples:
- *               invalid_transition:
+ *               not_awaiting_moderation:
+ *                 value:
+ *                   message: "Product is expired and not awaiting moderation"
+ *               missing_reason_code:
  *                 value:
- *                   status: "fail"
- *                   message: "Cannot change status from 'sold' to 'pending'"
+ *                   message: "A rejection reason code is required: incomplete_information, poor_images, wrong_category, misleading, prohibited_item, duplicate, contact_details, other"
  *               missing_reason:
  *                 value:
- *                   status: "fail"
- *                   message: "Reason is required when rejecting a product"
+ *                   message: "Please explain the rejection to the seller"
  *               invalid_status:
  *                 value:
- *                   status: "fail"
- *                   message: "Invalid status value. Must be one of: pending, approved, rejected, sold, inactive"
+ *                   message: "Invalid status"
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
@@ -522,6 +548,401 @@ router.get('/pending', authToken, isAdmin, adminApprovalController.getPendingPro
  *               status: "fail"
  *               message: "Product not found with the provided ID"
  */
-router.patch('/update/:id', authToken, isAdmin, adminApprovalController.updateProductStatus);
+router.patch('/update/:id', authToken, isAdmin, checkPermission('products', 'approve'), adminApprovalController.updateProductStatus);
+
+/**
+ * @swagger
+ * /api/v1/admin/bulk-update:
+ *   post:
+ *     tags:
+ *       - Product Approval Management
+ *     summary: Bulk approve or reject products (Admin only)
+ *     description: |
+ *       Applies one moderation decision to many products, selected either by `ids`
+ *       or by a `filter` over the pending queue (same fields as `GET /api/v1/admin/pending`).
+ *       A batch handles at most 200 products; with a filter the oldest matches go first
+ *       and `remaining` tells how many still match.
+ *       Rejections share the batch's `reasonCode` and `reason`. Each product is moderated on its own,
+ *       so one failure does not stop the batch; see `results` for the outcome of every product.
+ *       Products that are no longer `pending` fail with their current `status`.
+ *       Needs the `products.approve` permission.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               ids:
+ *                 type: array
+ *                 maxItems: 200
+ *                 items:
+ *                   type: string
+ *               filter:
+ *                 type: object
+ *                 description: Pending-queue filter (type, condition, governorate, city, userId, phone, flagged, duplicate, search, minPrice, maxPrice, from, to)
+ *               reasonCode:
+ *                 type: string
+ *                 enum: [incomplete_information, poor_images, wrong_category, misleading, prohibited_item, duplicate, contact_details, other]
+ *               reason:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *           examples:
+ *             approve_ids:
+ *               summary: Approve selected products
+ *               value:
+ *                 status: "approved"
+ *                 ids: ["64abc123def456789012345", "64abc123def456789012346"]
+ *             reject_by_filter:
+ *               summary: Reject pending products from one governorate
+ *               value:
+ *                 status: "rejected"
+ *                 filter:
+ *                   governorate: "Aden"
+ *                   type: "Batteries"
+ *                 reasonCode: "poor_images"
+ *                 reason: "Please add photos of the battery label"
+ *     responses:
+ *       200:
+ *         description: Batch processed; check each result
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: 200
+ *               data:
+ *                 batchId: "3b241101-e2bb-4255-8caf-4136c566a962"
+ *                 requested: 2
+ *                 succeeded: 1
+ *                 failed: 1
+ *                 remaining: 0
+ *                 results:
+ *                   - id: "64abc123def456789012345"
+ *                     success: true
+ *                     status: "approved"
+ *                   - id: "64abc123def456789012346"
+ *                     success: false
+ *                     status: "expired"
+ *                     message: "Product is expired and not awaiting moderation"
+ *               message: "1 of 2 products approved"
+ *       400:
+ *         description: Invalid decision, missing ids/filter or batch too large
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Provide either a list of product ids or a filter"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/bulk-update', authToken, isAdmin, checkPermission('products', 'approve'), adminApprovalController.bulkUpdateProductStatus);
+
+/**
+ * @swagger
+ * /api/v1/admin/duplicates:
+ *   get:
+ *     tags:
+ *       - Product Approval Management
+ *     summary: Duplicate listing clusters (Admin only)
+ *     description: |
+ *       Listings are checked for duplicates when posted, updated or resubmitted. Live listings are grouped into a
+ *       cluster when they reuse an image URL, or come from the same seller (user or phone) with a similar name,
+ *       matching brand/model and a price within 15%. Suspected duplicates are flagged and never auto-approved.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [open, merged, rejected, dismissed]
+ *           default: open
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Clusters with their listings
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: 200
+ *               data:
+ *                 - _id: "65f1c0a2b3c4d5e6f7a8b9c0"
+ *                   status: "open"
+ *                   reasons: ["similar_listing"]
+ *                   products:
+ *                     - _id: "64abc123def456789012345"
+ *                       name: "Growatt 5kW inverter"
+ *                       price: 450
+ *                       currency: "USD"
+ *                       status: "approved"
+ *                     - _id: "64abc123def456789012346"
+ *                       name: "Growatt 5 kW Inverter"
+ *                       price: 440
+ *                       currency: "USD"
+ *                       status: "pending"
+ *                   lastDetectedAt: "2024-01-15T10:30:00.000Z"
+ *               pagination:
+ *                 total: 1
+ *                 page: 1
+ *                 limit: 20
+ *                 totalPages: 1
+ *               message: "fetch duplicate clusters successfull"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/duplicates', authToken, isAdmin, checkPermission('products', 'read'), adminApprovalController.getDuplicateClusters);
+
+/**
+ * @swagger
+ * /api/v1/admin/duplicates/{clusterId}:
+ *   get:
+ *     tags:
+ *       - Product Approval Management
+ *     summary: One duplicate cluster (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: clusterId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cluster with its listings, their sellers and match details
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/duplicates/:clusterId', authToken, isAdmin, checkPermission('products', 'read'), adminApprovalController.getDuplicateCluster);
+
+/**
+ * @swagger
+ * /api/v1/admin/duplicates/{clusterId}/merge:
+ *   post:
+ *     tags:
+ *       - Product Approval Management
+ *     summary: Merge a duplicate cluster (Admin only)
+ *     description: |
+ *       Keeps `primaryProductId` and rejects every other listing of the cluster with reason code `duplicate`.
+ *       Views and contact counts of the rejected copies are added to the kept listing.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: clusterId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [primaryProductId]
+ *             properties:
+ *               primaryProductId:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cluster merged; per-listing results
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: 200
+ *               data:
+ *                 clusterId: "65f1c0a2b3c4d5e6f7a8b9c0"
+ *                 primaryProductId: "64abc123def456789012345"
+ *                 results:
+ *                   - id: "64abc123def456789012346"
+ *                     success: true
+ *                     status: "rejected"
+ *               message: "Merged 1 duplicates into \"Growatt 5kW inverter\""
+ *       400:
+ *         description: Cluster already resolved or primary not in the cluster
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/duplicates/:clusterId/merge', authToken, isAdmin, checkPermission('products', 'approve'), adminApprovalController.mergeDuplicateCluster);
+
+/**
+ * @swagger
+ * /api/v1/admin/duplicates/{clusterId}/reject:
+ *   post:
+ *     tags:
+ *       - Product Approval Management
+ *     summary: Reject listings of a duplicate cluster (Admin only)
+ *     description: Rejects `productIds` (all listings of the cluster when omitted) and closes the cluster.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: clusterId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               productIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               reasonCode:
+ *                 type: string
+ *                 default: duplicate
+ *               reason:
+ *                 type: string
+ *                 example: "Please keep a single listing per item"
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-listing results
+ *       400:
+ *         description: Missing reason, cluster already resolved or product outside the cluster
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/duplicates/:clusterId/reject', authToken, isAdmin, checkPermission('products', 'approve'), adminApprovalController.rejectDuplicateCluster);
+
+/**
+ * @swagger
+ * /api/v1/admin/duplicates/{clusterId}/dismiss:
+ *   post:
+ *     tags:
+ *       - Product Approval Management
+ *     summary: Dismiss a duplicate cluster (Admin only)
+ *     description: Marks the listings as not duplicates; they will not be grouped together again.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: clusterId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cluster dismissed
+ *       400:
+ *         description: Cluster already resolved
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/duplicates/:clusterId/dismiss', authToken, isAdmin, checkPermission('products', 'approve'), adminApprovalController.dismissDuplicateCluster);
+
+/**
+ * @swagger
+ * /api/v1/admin/history/{id}:
+ *   get:
+ *     tags:
+ *       - Product Approval Management
+ *     summary: Moderation history of a product (Admin only)
+ *     description: |
+ *       Every submission, approval, rejection and resubmission of the product, oldest first,
+ *       with the admin or seller who performed it.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Moderation history
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: 200
+ *               data:
+ *                 productId: "64abc123def456789012345"
+ *                 name: "High Efficiency Solar Panel 300W"
+ *                 status: "pending"
+ *                 history:
+ *                   - action: "submitted"
+ *                     actorModel: "User"
+ *                     actor: { _id: "64abc123def456789012311", name: "Ahmed Ali", phone: "777123456" }
+ *                     at: "2024-01-14T09:00:00.000Z"
+ *                   - action: "rejected"
+ *                     reasonCode: "poor_images"
+ *                     reason: "Please upload clear photos of the actual panel"
+ *                     actorModel: "Admin"
+ *                     actor: { _id: "64abc123def456789012340", name: "Admin User", email: "admin@qafzh-solar.com" }
+ *                     at: "2024-01-14T12:00:00.000Z"
+ *                   - action: "resubmitted"
+ *                     notes: "New photos uploaded"
+ *                     actorModel: "User"
+ *                     at: "2024-01-15T08:00:00.000Z"
+ *               message: "fetch moderation history successfull"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/history/:id', authToken, isAdmin, checkPermission('products', 'read'), adminApprovalController.getModerationHistory);
+
+/**
+ * @swagger
+ * /api/v1/admin/rejection-reasons:
+ *   get:
+ *     tags:
+ *       - Product Approval Management
+ *     summary: Rejection reason codes (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Reason codes with their labels
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: 200
+ *               data:
+ *                 poor_images: "Images are missing, unclear or not of the actual product"
+ *                 duplicate: "Duplicate of another listing"
+ *               message: "fetch rejection reasons successfull"
+ */
+router.get('/rejection-reasons', authToken, isAdmin, checkPermission('products', 'read'), adminApprovalController.getRejectionReasons);
 
 module.exports = router;
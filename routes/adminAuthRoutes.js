@@ -4,13 +4,16 @@ const router = express.Router();
 
 // Import controllers
 const adminAuthController = require('../controllers/adminAuthController');
+const adminTwoFactorController = require('../controllers/adminTwoFactorController');
+const adminInvitationController = require('../controllers/adminInvitationController');
 
 // Import middleware
-const { authToken, isAdmin, isSuperAdmin, authRateLimit } = require('../middlewares/auth');
-const { validateAdminCreation, validateObjectId } = require('../middlewares/validation');
+const { authToken, allowTokenScope, isAdmin, isSuperAdmin, authRateLimit } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
 
 // Rate limiting for admin auth endpoints
 const adminAuthLimiter = authRateLimit(15 * 60 * 1000, 3); // 3 attempts per 15 minutes (stricter)
+const passwordResetLimiter = authRateLimit(15 * 60 * 1000, 5); // 5 attempts per 15 minutes
 
 /**
  * @swagger
@@ -133,6 +136,296 @@ const adminAuthLimiter = authRateLimit(15 * 60 * 1000, 3); // 3 attempts per 15
  */
 router.post('/login', adminAuthLimiter, adminAuthController.loginAdmin);
 
+/**
+ * @swagger
+ * /api/v1/admin-auth/login/2fa:
+ *   post:
+ *     tags:
+ *       - Admin Authentication
+ *     summary: Complete admin login with a two-factor code
+ *     description: |
+ *       Second login step for admins with two-factor authentication enabled.
+ *       When `/login` answers with `twoFactorRequired: true`, send the `challengeToken`
+ *       (valid 5 minutes) together with a 6-digit code from the authenticator app,
+ *       or one of the one-time recovery codes.
+ *       Wrong codes count towards the account lockout.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *               data:
+ *                 user:
+ *                   email: "admin@qafzh-solar.com"
+ *                   role: "admin"
+ *                 recoveryCodesRemaining: 9
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account temporarily locked
+ */
+router.post('/login/2fa', adminAuthLimiter, adminAuthController.loginTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/invitations/verify:
+ *   get:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: Check an invitation link
+ *     description: Validate the token from an invitation email before showing the set-password form.
+ *     parameters:
+ *       - name: token
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation is valid
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 email: "new.admin@qafzh-solar.com"
+ *                 role: "moderator"
+ *                 expiresAt: "2024-01-18T10:30:00.000Z"
+ *       400:
+ *         description: Invitation invalid, expired, revoked or already accepted
+ */
+router.get('/invitations/verify', passwordResetLimiter, adminInvitationController.verifyInvitation);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/invitations/accept:
+ *   post:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: Accept an invitation
+ *     description: |
+ *       Create the invited admin account with a password chosen by the invitee.
+ *       The role and permissions come from the invitation. Each invitation can be accepted once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - name
+ *               - password
+ *               - confirmPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 example: "Sara Ahmed"
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Admin account created
+ *       400:
+ *         description: Invalid invitation or password validation failed
+ *       409:
+ *         description: Admin with this email already exists
+ */
+router.post('/invitations/accept', passwordResetLimiter, adminInvitationController.acceptInvitation);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/setup:
+ *   post:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Start two-factor enrollment
+ *     description: |
+ *       Generate a new TOTP secret and `otpauth://` URI for an authenticator app.
+ *       Accepts a normal admin token or the `setupToken` returned by `/login`
+ *       when the admin's role requires 2FA.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 secret: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                 otpauthUri: "otpauth://totp/Qafzh%20Solar%20Admin:admin%40qafzh-solar.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Qafzh+Solar+Admin&algorithm=SHA1&digits=6&period=30"
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/2fa/setup', allowTokenScope('2fa_setup'), authToken, isAdmin, adminTwoFactorController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/enable:
+ *   post:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     description: |
+ *       Confirm the new secret with a code from the app. Returns 10 one-time recovery codes,
+ *       shown only once. When called with a `setupToken`, the response also carries a full
+ *       admin token, completing the login.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 recoveryCodes: ["a1b2c-3d4e5", "f6a7b-8c9d0"]
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/2fa/enable', allowTokenScope('2fa_setup'), authToken, isAdmin, adminTwoFactorController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/forgot-password:
+ *   post:
+ *     tags:
+ *       - Admin Authentication
+ *     summary: Request an admin password reset email
+ *     description: |
+ *       Email a password reset link to an active admin account.
+ *       The link contains a single-use token that expires after 10 minutes.
+ *       The response is the same whether or not the email belongs to an admin, and also when the email
+ *       could not be sent (the failure is logged and the token discarded).
+ *       **Rate Limited**: Maximum 5 requests per 15 minutes.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "admin@qafzh-solar.com"
+ *     responses:
+ *       200:
+ *         description: Reset email sent (if the account exists)
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "If an admin account exists for this email, a password reset link has been sent."
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/forgot-password', passwordResetLimiter, adminAuthController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/reset-password:
+ *   post:
+ *     tags:
+ *       - Admin Authentication
+ *     summary: Reset admin password
+ *     description: |
+ *       Set a new admin password using the emailed reset token.
+ *       The token is cleared on success, any login lockout is lifted and tokens issued before the reset stop working.
+ *       **Rate Limited**: Maximum 5 requests per 15 minutes.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *               - confirmPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Reset token from the email link
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *                 example: "NewSecurePassword123"
+ *               confirmPassword:
+ *                 type: string
+ *                 example: "NewSecurePassword123"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Password reset successfully. Please log in with your new password."
+ *       400:
+ *         description: Invalid or expired token, or password validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Reset token is invalid or has expired"
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/reset-password', passwordResetLimiter, adminAuthController.resetPassword);
+
 // Protected admin routes
 router.use(authToken, isAdmin); // All routes below require admin authentication
 
@@ -199,6 +492,41 @@ router.use(authToken, isAdmin); // All routes below require admin authentication
  */
 router.get('/profile', adminAuthController.getAdminProfile);
 
+/**
+ * @swagger
+ * /api/v1/admin-auth/permissions/me:
+ *   get:
+ *     tags:
+ *       - Admin Profile
+ *     summary: Get my effective permissions (Admin only)
+ *     description: |
+ *       Full permission matrix the server enforces for the authenticated admin.
+ *       Super admins receive every permission. Use it to hide panel features the admin cannot use.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Effective permissions
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 role: "moderator"
+ *                 isSuperAdmin: false
+ *                 permissions:
+ *                   products: { create: false, read: true, update: true, delete: false, approve: true }
+ *                   engineers: { create: false, read: true, update: false, delete: false }
+ *                   shops: { create: false, read: true, update: false, delete: false }
+ *                   ads: { create: false, read: true, update: false, delete: false }
+ *                   users: { read: true, update: false, delete: false }
+ *                   analytics: { read: false }
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/permissions/me', adminAuthController.getMyPermissions);
+
 /**
  * @swagger
  * /api/v1/admin-auth/profile:
@@ -426,30 +754,203 @@ router.put('/change-password', adminAuthController.changePassword);
  */
 router.post('/logout', adminAuthController.logoutAdmin);
 
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/status:
+ *   get:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Get two-factor status
+ *     description: Whether 2FA is enabled for the current admin, recovery codes left, and whether the role requires it.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 enabled: true
+ *                 enabledAt: "2024-01-15T10:30:00.000Z"
+ *                 recoveryCodesRemaining: 8
+ *                 requiredForRole: false
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/2fa/status', adminTwoFactorController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/disable:
+ *   post:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Disable two-factor authentication
+ *     description: Requires the current password and an authenticator or recovery code. Not allowed when the admin's role requires 2FA.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is required for this role
+ *       423:
+ *         description: Account locked after too many failed passwords or codes
+ */
+router.post('/2fa/disable', adminTwoFactorController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/recovery-codes:
+ *   post:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Regenerate recovery codes
+ *     description: Replace all recovery codes with 10 new ones. Requires a current authenticator code.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *       423:
+ *         description: Account locked after too many failed passwords or codes
+ */
+router.post('/2fa/recovery-codes', adminTwoFactorController.regenerateRecoveryCodes);
+
 // Super admin only routes
 router.use(isSuperAdmin);
 
 /**
  * @swagger
- * /api/v1/admin-auth/create:
+ * /api/v1/admin-auth/2fa/policy:
+ *   get:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Get the two-factor policy (Super Admin only)
+ *     description: Roles whose admins must use two-factor authentication.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Current policy
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 requiredRoles: ["super_admin", "admin"]
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   put:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Require two-factor authentication by role (Super Admin only)
+ *     description: |
+ *       Set the roles that must use 2FA. Admins in these roles who have not enrolled
+ *       receive a setup-only token at login until they enable 2FA; tokens they already hold are
+ *       refused with `403` everywhere except `/2fa/setup` and `/2fa/enable`.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requiredRoles
+ *             properties:
+ *               requiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [admin, super_admin, moderator]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/2fa/policy', adminTwoFactorController.getTwoFactorPolicy);
+router.put('/2fa/policy', adminTwoFactorController.updateTwoFactorPolicy);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/{adminId}:
+ *   delete:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Reset an admin's two-factor authentication (Super Admin only)
+ *     description: Clear the secret and recovery codes of an admin who lost their device.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: adminId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/2fa/:adminId', validateObjectId('adminId'), adminTwoFactorController.resetAdminTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/invitations:
  *   post:
  *     tags:
- *       - Admin Management (Super Admin)
- *     summary: Create new admin (Super Admin only)
+ *       - Admin Invitations
+ *     summary: Invite a new admin (Super Admin only)
  *     description: |
- *       Create a new administrator account in the system.
- *       **Super Admin Access Required**: Only super administrators can create new admin accounts.
- *       **Role Assignment**: Super admin can assign roles and permissions to new admin.
- *       **Available Roles**:
- *       - `admin`: Standard administrator with predefined permissions
- *       - `super_admin`: Super administrator with full system access
- *       
- *       **Default Admin Permissions**:
- *       - manage_products: Approve/reject product listings
- *       - manage_engineers: Add/edit/verify engineers
- *       - manage_shops: Add/edit/verify shops  
- *       - manage_ads: Create/edit advertisements
- *       - view_stats: Access dashboard statistics
+ *       Email a signed invitation link that lets the invitee set their own password.
+ *       The link expires after 72 hours by default (`ADMIN_INVITE_EXPIRES_HOURS`).
+ *       Permissions come from `permissionPreset` (defaults to the preset named after the role),
+ *       or from an explicit `permissions` matrix. Inviting an email again replaces its pending invitation.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -460,132 +961,90 @@ router.use(isSuperAdmin);
  *           schema:
  *             type: object
  *             required:
- *               - username
  *               - email
- *               - password
- *               - role
  *             properties:
- *               username:
- *                 type: string
- *                 minLength: 3
- *                 maxLength: 50
- *                 pattern: '^[a-zA-Z0-9_]+$'
- *                 description: Unique admin username (alphanumeric and underscore only)
- *                 example: "admin_manager"
  *               email:
  *                 type: string
  *                 format: email
- *                 description: Admin email address
- *                 example: "manager@qafzh-solar.com"
- *               password:
- *                 type: string
- *                 minLength: 8
- *                 description: Strong password (min 8 chars, uppercase, lowercase, number)
- *                 example: "SecureAdminPass123"
+ *                 example: "new.admin@qafzh-solar.com"
  *               role:
  *                 type: string
- *                 enum: [admin, super_admin]
- *                 description: Admin role and access level
- *                 example: "admin"
- *               displayName:
+ *                 enum: [admin, super_admin, moderator]
+ *                 default: admin
+ *               permissionPreset:
  *                 type: string
- *                 maxLength: 100
- *                 description: Display name for the admin
- *                 example: "Product Manager"
+ *                 enum: [admin, moderator, content_manager, analyst]
  *               permissions:
- *                 type: array
- *                 items:
- *                   type: string
- *                   enum: [manage_products, manage_engineers, manage_shops, manage_ads, manage_users, view_stats, system_settings]
- *                 description: Specific permissions (optional, defaults based on role)
- *                 example: ["manage_products", "manage_engineers", "view_stats"]
- *               isActive:
- *                 type: boolean
- *                 default: true
- *                 description: Whether the admin account is active
- *                 example: true
- *           examples:
- *             standard_admin:
- *               summary: Create standard admin
- *               value:
- *                 username: "product_admin"
- *                 email: "products@qafzh-solar.com"
- *                 password: "SecureAdminPass123"
- *                 role: "admin"
- *                 displayName: "Product Manager"
- *                 permissions: ["manage_products", "view_stats"]
- *             super_admin:
- *               summary: Create super admin
- *               value:
- *                 username: "super_manager"
- *                 email: "super@qafzh-solar.com"
- *                 password: "SuperSecurePass123"
- *                 role: "super_admin"
- *                 displayName: "System Administrator"
- *             full_access_admin:
- *               summary: Create admin with all permissions
- *               value:
- *                 username: "full_admin"
- *                 email: "full@qafzh-solar.com"
- *                 password: "FullAccessPass123"
- *                 role: "admin"
- *                 displayName: "Full Access Manager"
- *                 permissions: ["manage_products", "manage_engineers", "manage_shops", "manage_ads", "view_stats"]
+ *                 type: object
+ *                 description: Full permission matrix (overrides the preset)
  *     responses:
  *       201:
- *         description: Admin created successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
- *             examples:
- *               success:
- *                 value:
- *                   status: "success"
- *                   message: "Admin created successfully"
- *                   data:
- *                     admin:
- *                       id: "64abc123def456789012347"
- *                       username: "product_admin"
- *                       email: "products@qafzh-solar.com"
- *                       role: "admin"
- *                       displayName: "Product Manager"
- *                       permissions: ["manage_products", "view_stats"]
- *                       isActive: true
- *                       createdAt: "2024-01-15T12:30:00.000Z"
- *                       createdBy: "64abc123def456789012346"
+ *         description: Invitation sent
  *       400:
- *         description: Validation error or username/email already exists
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *             examples:
- *               username_exists:
- *                 value:
- *                   status: "fail"
- *                   message: "Username already exists"
- *               email_exists:
- *                 value:
- *                   status: "fail"
- *                   message: "Email already registered"
- *               weak_password:
- *                 value:
- *                   status: "fail"
- *                   message: "Password must be at least 8 characters with uppercase, lowercase, and number"
- *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
- *       403:
- *         description: Super admin access required
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *             example:
- *               status: "fail"
- *               message: "Super admin access required to create admin accounts"
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: Admin with this email already exists
+ *       502:
+ *         description: The invitation email could not be sent
+ *   get:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: List invitations (Super Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *       - name: email
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Invitations with inviter and accepted admin
+ */
+router.post('/invitations', adminInvitationController.createInvitation);
+router.get('/invitations', adminInvitationController.getInvitations);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/invitations/{invitationId}:
+ *   delete:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: Revoke an invitation (Super Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: invitationId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation is not pending
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
  */
-router.post('/create', validateAdminCreation, adminAuthController.createAdmin);
+router.delete('/invitations/:invitationId', validateObjectId('invitationId'), adminInvitationController.revokeInvitation);
 
 /**
  * @swagger
@@ -771,6 +1230,38 @@ router.post('/create', validateAdminCreation, adminAuthController.createAdmin);
  */
 router.get('/all', adminAuthController.getAllAdmins);
 
+/**
+ * @swagger
+ * /api/v1/admin-auth/permission-presets:
+ *   get:
+ *     tags:
+ *       - Admin Management (Super Admin)
+ *     summary: List permission presets (Super Admin only)
+ *     description: |
+ *       Named permission matrices that can be applied with `permissionPreset` when inviting an admin
+ *       or updating an admin's permissions: `admin`, `moderator`, `content_manager` and `analyst`.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Presets keyed by name
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 presets:
+ *                   analyst:
+ *                     products: { create: false, read: true, update: false, delete: false, approve: false }
+ *                     analytics: { read: true }
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/permission-presets', adminAuthController.getPermissionPresets);
+
 /**
  * @swagger
  * /api/v1/admin-auth/permissions/{adminId}:
@@ -781,15 +1272,11 @@ router.get('/all', adminAuthController.getAllAdmins);
  *     description: |
  *       Update permissions for a specific administrator.
  *       **Super Admin Access Required**: Only super administrators can modify admin permissions.
- *       **Permission Management**: Add or remove specific permissions, change role, or modify account status.
- *       **Available Permissions**:
- *       - `manage_products`: Product approval and management
- *       - `manage_engineers`: Engineer verification and management
- *       - `manage_shops`: Shop verification and management
- *       - `manage_ads`: Advertisement creation and management
- *       - `manage_users`: User account management
- *       - `view_stats`: Dashboard and analytics access
- *       - `system_settings`: System configuration access
+ *       **Permission Matrix**: `permissions` is keyed by resource (`products`, `engineers`, `shops`,
+ *       `ads`, `users`, `analytics`) and action (`create`, `read`, `update`, `delete`, `approve`).
+ *       Every admin endpoint checks the matching entry, e.g. approving a listing needs `products.approve`.
+ *       **Presets**: `permissionPreset` replaces the whole matrix with a named preset
+ *       (see `GET /api/v1/admin-auth/permission-presets`); `permissions` entries sent alongside it are applied on top.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -811,44 +1298,37 @@ router.get('/all', adminAuthController.getAllAdmins);
  *             properties:
  *               role:
  *                 type: string
- *                 enum: [admin, super_admin]
+ *                 enum: [admin, super_admin, moderator]
  *                 description: Update admin role
- *                 example: "admin"
- *               permissions:
- *                 type: array
- *                 items:
- *                   type: string
- *                   enum: [manage_products, manage_engineers, manage_shops, manage_ads, manage_users, view_stats, system_settings]
- *                 description: Set specific permissions
- *                 example: ["manage_products", "manage_engineers", "view_stats"]
- *               isActive:
- *                 type: boolean
- *                 description: Activate or deactivate admin account
- *                 example: true
- *               displayName:
+ *                 example: "moderator"
+ *               permissionPreset:
  *                 type: string
- *                 maxLength: 100
- *                 description: Update display name
- *                 example: "Senior Product Manager"
+ *                 enum: [admin, moderator, content_manager, analyst]
+ *                 description: Named preset to apply
+ *                 example: "moderator"
+ *               permissions:
+ *                 type: object
+ *                 description: Partial permission matrix; omitted entries keep their current value
+ *                 example:
+ *                   products: { approve: true, delete: false }
+ *                   analytics: { read: true }
  *           examples:
- *             add_permissions:
- *               summary: Add more permissions
- *               value:
- *                 permissions: ["manage_products", "manage_engineers", "manage_shops", "view_stats"]
- *             promote_to_super_admin:
- *               summary: Promote to super admin
+ *             apply_preset:
+ *               summary: Turn an admin into a moderator
  *               value:
- *                 role: "super_admin"
- *                 displayName: "Assistant Super Admin"
- *             deactivate_admin:
- *               summary: Deactivate admin account
+ *                 role: "moderator"
+ *                 permissionPreset: "moderator"
+ *             preset_with_override:
+ *               summary: Analyst who may also approve listings
  *               value:
- *                 isActive: false
- *             restrict_permissions:
- *               summary: Restrict to specific permissions
+ *                 permissionPreset: "analyst"
+ *                 permissions:
+ *                   products: { approve: true }
+ *             single_permission:
+ *               summary: Revoke ad deletion only
  *               value:
- *                 permissions: ["manage_products"]
- *                 displayName: "Product Approval Specialist"
+ *                 permissions:
+ *                   ads: { delete: false }
  *     responses:
  *       200:
  *         description: Admin permissions updated successfully
@@ -864,13 +1344,12 @@ router.get('/all', adminAuthController.getAllAdmins);
  *                   data:
  *                     admin:
  *                       id: "64abc123def456789012345"
- *                       username: "product_admin"
- *                       role: "admin"
- *                       permissions: ["manage_products", "manage_engineers", "view_stats"]
- *                       displayName: "Senior Product Manager"
- *                       isActive: true
- *                       updatedAt: "2024-01-15T12:30:00.000Z"
- *                       updatedBy: "64abc123def456789012346"
+ *                       name: "Product Moderator"
+ *                       email: "moderator@qafzh-solar.com"
+ *                       role: "moderator"
+ *                       permissions:
+ *                         products: { create: false, read: true, update: true, delete: false, approve: true }
+ *                         analytics: { read: false }
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
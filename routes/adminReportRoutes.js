@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { authToken, isAdmin } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+
+// Admins see and triage reports on the item types they can read and update
+router.use(authToken, isAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/reports:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Report triage queue (Admin only)
+ *     description: |
+ *       Open (`pending` and `reviewing`) reports, oldest first, unless `status` is given. Only reports on item
+ *       types the admin can read are listed; `counts` gives the number of reports in each state.
+ *       Items hidden by reports carry `hiddenByReports: true`.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pending, reviewing, actioned, dismissed]
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [product, shop, engineer]
+ *       - name: reason
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [scam, wrong_info, prohibited_item, duplicate, offensive, unreachable, other]
+ *       - name: itemId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Reports
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               results: 1
+ *               data:
+ *                 reports:
+ *                   - _id: "65f1c0a2b3c4d5e6f7a8b9d0"
+ *                     userId:
+ *                       _id: "65f1c0a2b3c4d5e6f7a8b9a0"
+ *                       name: "Ahmed"
+ *                       phone: "+967771234567"
+ *                     itemType: "product"
+ *                     item:
+ *                       _id: "65f1c0a2b3c4d5e6f7a8b9c1"
+ *                       name: "Growatt 5kW inverter"
+ *                       status: "approved"
+ *                       hiddenByReports: true
+ *                     reason: "scam"
+ *                     comment: "Asked for payment before showing the panels"
+ *                     status: "pending"
+ *                     createdAt: "2024-01-15T10:30:00.000Z"
+ *                 counts:
+ *                   pending: 4
+ *                   reviewing: 1
+ *                   actioned: 12
+ *                   dismissed: 7
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalItems: 5
+ *                   itemsPerPage: 20
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', reportController.getReports);
+
+/**
+ * @swagger
+ * /api/v1/admin/reports/{reportId}:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Get a report with the other open reports on the same item (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: reportId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Report not found
+ *   patch:
+ *     tags:
+ *       - Reports
+ *     summary: Triage a report (Admin only)
+ *     description: |
+ *       Needs update permission on the reported item type. An item hidden by reports becomes visible again once
+ *       fewer users than the threshold have open reports on it; taking the listing down is done through the
+ *       product, shop or engineer endpoints.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: reportId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, reviewing, actioned, dismissed]
+ *               resolutionNote:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Report updated
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Report updated"
+ *               data:
+ *                 report:
+ *                   _id: "65f1c0a2b3c4d5e6f7a8b9d0"
+ *                   status: "dismissed"
+ *                   resolutionNote: "Seller verified in person"
+ *                 hiddenByReports: false
+ *                 openReporters: 1
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Report not found
+ */
+router.get('/:reportId', validateObjectId('reportId'), reportController.getReport);
+router.patch('/:reportId', validateObjectId('reportId'), reportController.updateReport);
+
+module.exports = router;
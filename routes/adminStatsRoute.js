@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const adminStatsController = require("../controllers/adminStatsController");
-const { authToken, isAdmin } = require("../middlewares/auth");
+const { authToken, isAdmin, checkPermission } = require("../middlewares/auth");
 
 /**
  * @swagger
@@ -341,6 +341,9 @@ const { authToken, isAdmin } = require("../middlewares/auth");
  *                         pending: 23
  *                         approved: 378
  *                         rejected: 49
+ *                         expired: 12
+ *                         reserved: 4
+ *                         sold: 31
  *                       totalShops:
  *                         count: 28
  *                         verified: 23
@@ -348,6 +351,19 @@ const { authToken, isAdmin } = require("../middlewares/auth");
  *                         count: 45
  *                         verified: 38
  *                         available: 32
+ *                     sales:
+ *                       sold: 31
+ *                       reserved: 4
+ *                       soldToday: 2
+ *                       realisedPrices:
+ *                         - type: "Solar Panels"
+ *                           currency: "YER"
+ *                           sales: 18
+ *                           averagePrice: 135000
+ *                           minPrice: 90000
+ *                           maxPrice: 210000
+ *                           averageDiscount: 6.5
+ *                           averageDaysToSell: 12.3
  *                     activity:
  *                       recentRegistrations:
  *                         today: 12
@@ -426,6 +442,7 @@ router.get(
   "/dashboard-stats",
   authToken,
   isAdmin,
+  checkPermission("analytics", "read"),
   adminStatsController.getAdminDashboardStats
 );
 
@@ -584,6 +601,7 @@ router.get(
   "/dashboard-cards",
   authToken,
   isAdmin,
+  checkPermission("analytics", "read"),
   adminStatsController.getDashboardCards
 );
 
@@ -664,6 +682,7 @@ router.get(
   "/pending-approvals",
   authToken,
   isAdmin,
+  checkPermission("analytics", "read"),
   adminStatsController.getPendingApprovals
 );
 
@@ -749,6 +768,7 @@ router.get(
   "/engineers",
   authToken,
   isAdmin,
+  checkPermission("analytics", "read"),
   adminStatsController.getEngineersList
 );
 
@@ -830,7 +850,7 @@ router.get(
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get("/shops", authToken, isAdmin, adminStatsController.getShopsList);
+router.get("/shops", authToken, isAdmin, checkPermission("analytics", "read"), adminStatsController.getShopsList);
 
 /**
  * @swagger
@@ -910,6 +930,142 @@ router.get("/shops", authToken, isAdmin, adminStatsController.getShopsList);
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.get("/ads", authToken, isAdmin, adminStatsController.getAdsList);
+router.get("/ads", authToken, isAdmin, checkPermission("analytics", "read"), adminStatsController.getAdsList);
+
+/**
+ * @swagger
+ * /api/v1/admin/stats/sales:
+ *   get:
+ *     tags:
+ *       - Admin Dashboard & Analytics
+ *     summary: Get realised sale prices (Admin only)
+ *     description: |
+ *       Sales reported by sellers when they mark a listing as sold. `realisedPrices` groups the sold listings
+ *       that include a sold price by product type and currency. `averageDiscount` is the average percentage
+ *       below the asking price (negative when items sold above it), computed only when both prices share a currency.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           example: "Solar Panels"
+ *       - name: governorate
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         description: Sold at or after this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         description: Sold at or before this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Sales statistics
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Sales statistics retrieved successfully"
+ *               data:
+ *                 sold: 42
+ *                 soldWithPrice: 30
+ *                 reserved: 6
+ *                 realisedPrices:
+ *                   - type: "Solar Panels"
+ *                     currency: "YER"
+ *                     sales: 18
+ *                     averagePrice: 135000
+ *                     minPrice: 90000
+ *                     maxPrice: 210000
+ *                     averageDiscount: 6.5
+ *                     averageDaysToSell: 12.3
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get("/sales", authToken, isAdmin, checkPermission("analytics", "read"), adminStatsController.getSalesStats);
+
+/**
+ * @swagger
+ * /api/v1/admin/stats/engagement:
+ *   get:
+ *     tags:
+ *       - Admin Dashboard & Analytics
+ *     summary: Get daily views and contact reveals (Admin only)
+ *     description: |
+ *       Detail views and call / WhatsApp reveals of products, shops and engineers per UTC day, with the ten most
+ *       viewed items over the range. Repeat views or reveals by the same user or device within the dedupe window
+ *       count once; admins and owners viewing their own listings are not counted.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [product, shop, engineer]
+ *       - name: itemId
+ *         in: query
+ *         description: Only this product, shop or engineer
+ *         schema:
+ *           type: string
+ *       - name: days
+ *         in: query
+ *         description: Number of days up to and including today
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 365
+ *     responses:
+ *       200:
+ *         description: Engagement statistics
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Engagement statistics retrieved successfully"
+ *               data:
+ *                 days: 30
+ *                 totals:
+ *                   views: 1240
+ *                   contacts: 96
+ *                   calls: 41
+ *                   whatsapp: 55
+ *                 daily:
+ *                   - date: "2024-01-15T00:00:00.000Z"
+ *                     views: 52
+ *                     contacts: 4
+ *                     calls: 1
+ *                     whatsapp: 3
+ *                 topItems:
+ *                   - itemType: "product"
+ *                     item: "65f1c0a2b3c4d5e6f7a8b9c1"
+ *                     name: "Growatt 5kW inverter"
+ *                     views: 88
+ *                     contacts: 9
+ *                     calls: 2
+ *                     whatsapp: 7
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get("/engagement", authToken, isAdmin, checkPermission("analytics", "read"), adminStatsController.getEngagementStats);
 
 module.exports = router;
@@ -2,7 +2,7 @@ const express = require("express");
 const router = express.Router();
 
 const adsController = require("../controllers/adsController");
-const { authToken, isAdmin } = require("../middlewares/auth");
+const { authToken, isAdmin, checkPermission } = require("../middlewares/auth");
 
 /**
  * @swagger
@@ -152,7 +152,7 @@ const { authToken, isAdmin } = require("../middlewares/auth");
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.post("/postads", authToken, isAdmin, adsController.postAds);
+router.post("/postads", authToken, isAdmin, checkPermission("ads", "create"), adsController.postAds);
 
 /**
  * @swagger
@@ -244,7 +244,7 @@ router.post("/postads", authToken, isAdmin, adsController.postAds);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get("/get/allAds", authToken, isAdmin, adsController.getAllAds);
+router.get("/get/allAds", authToken, isAdmin, checkPermission("ads", "read"), adsController.getAllAds);
 
 /**
  * @swagger
@@ -384,7 +384,7 @@ router.get("/get/allAds", authToken, isAdmin, adsController.getAllAds);
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.put("/update/:id", authToken, isAdmin, adsController.updateAd);
+router.put("/update/:id", authToken, isAdmin, checkPermission("ads", "update"), adsController.updateAd);
 
 /**
  * @swagger
@@ -432,7 +432,7 @@ router.put("/update/:id", authToken, isAdmin, adsController.updateAd);
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.delete("/delete/:id", authToken, isAdmin, adsController.deleteAd);
+router.delete("/delete/:id", authToken, isAdmin, checkPermission("ads", "delete"), adsController.deleteAd);
 
 /**
  * @swagger
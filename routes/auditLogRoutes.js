@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const auditLogController = require('../controllers/auditLogController');
+const { authToken, isAdmin, isSuperAdmin } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+
+router.use(authToken, isAdmin, isSuperAdmin); // Audit log is super admin only
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuditActorFilter:
+ *       name: actor
+ *       in: query
+ *       description: Admin ID or email of the admin who performed the action
+ *       schema:
+ *         type: string
+ *         example: "admin@qafzh-solar.com"
+ *     AuditActionFilter:
+ *       name: action
+ *       in: query
+ *       description: Exact action (`product.status_update`) or an entity prefix (`product`) matching all its actions
+ *       schema:
+ *         type: string
+ *         example: "shop.delete"
+ *     AuditEntityTypeFilter:
+ *       name: entityType
+ *       in: query
+ *       schema:
+ *         type: string
+ *         enum: [product, shop, engineer, ad, admin, admin_invitation, security_settings, moderation_rule, moderation_settings, duplicate_cluster, category, exchange_rate, user, report]
+ *     AuditEntityIdFilter:
+ *       name: entityId
+ *       in: query
+ *       description: ID of the affected record
+ *       schema:
+ *         type: string
+ *         pattern: '^[0-9a-fA-F]{24}$'
+ *     AuditFromFilter:
+ *       name: from
+ *       in: query
+ *       description: Only entries created at or after this date/time
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *         example: "2024-01-01"
+ *     AuditToFilter:
+ *       name: to
+ *       in: query
+ *       description: Only entries created at or before this date/time (a bare date includes the whole day)
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *         example: "2024-01-31"
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/audit-logs:
+ *   get:
+ *     tags:
+ *       - Audit Log (Super Admin)
+ *     summary: Search the admin audit log (Super Admin only)
+ *     description: |
+ *       Append-only record of privileged admin actions: product approvals, shop/engineer/ad changes,
+ *       admin permission changes, invitations and 2FA policy changes.
+ *       Each entry holds the actor, action, target entity, the changed fields before and after, IP and user agent.
+ *       Results are newest first.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActorFilter'
+ *       - $ref: '#/components/parameters/AuditActionFilter'
+ *       - $ref: '#/components/parameters/AuditEntityTypeFilter'
+ *       - $ref: '#/components/parameters/AuditEntityIdFilter'
+ *       - $ref: '#/components/parameters/AuditFromFilter'
+ *       - $ref: '#/components/parameters/AuditToFilter'
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Matching audit entries
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               results: 1
+ *               data:
+ *                 logs:
+ *                   - _id: "65f1c0a2b3c4d5e6f7a8b9c0"
+ *                     actor:
+ *                       id: "64abc123def456789012345"
+ *                       name: "Main Admin"
+ *                       email: "admin@qafzh-solar.com"
+ *                       role: "admin"
+ *                     action: "product.status_update"
+ *                     entity:
+ *                       type: "product"
+ *                       id: "64abc123def456789012399"
+ *                       label: "100W Solar Panel"
+ *                     changes:
+ *                       before: { status: "pending" }
+ *                       after: { status: "approved" }
+ *                     metadata: {}
+ *                     ip: "203.0.113.10"
+ *                     userAgent: "Mozilla/5.0"
+ *                     createdAt: "2024-01-15T10:30:00.000Z"
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalItems: 1
+ *                   itemsPerPage: 20
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', auditLogController.getAuditLogs);
+
+/**
+ * @swagger
+ * /api/v1/admin/audit-logs/export:
+ *   get:
+ *     tags:
+ *       - Audit Log (Super Admin)
+ *     summary: Export the audit log as CSV (Super Admin only)
+ *     description: |
+ *       Same filters as the search endpoint. Returns a CSV attachment, newest first,
+ *       limited to 10000 rows; narrow the filters when more entries match.
+ *       `before`, `after` and `metadata` columns hold JSON.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActorFilter'
+ *       - $ref: '#/components/parameters/AuditActionFilter'
+ *       - $ref: '#/components/parameters/AuditEntityTypeFilter'
+ *       - $ref: '#/components/parameters/AuditEntityIdFilter'
+ *       - $ref: '#/components/parameters/AuditFromFilter'
+ *       - $ref: '#/components/parameters/AuditToFilter'
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               createdAt,actorId,actorName,actorEmail,actorRole,action,entityType,entityId,entityLabel,before,after,metadata,ip,userAgent
+ *               2024-01-15T10:30:00.000Z,64abc123def456789012345,Main Admin,admin@qafzh-solar.com,admin,shop.delete,shop,64abc123def456789012377,Solar Store,"{""name"":""Solar Store""}",{},{},203.0.113.10,Mozilla/5.0
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/export', auditLogController.exportAuditLogs);
+
+/**
+ * @swagger
+ * /api/v1/admin/audit-logs/{id}:
+ *   get:
+ *     tags:
+ *       - Audit Log (Super Admin)
+ *     summary: Get one audit entry (Super Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Audit entry
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', validateObjectId('id'), auditLogController.getAuditLog);
+
+module.exports = router;
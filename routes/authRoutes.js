@@ -10,7 +10,9 @@ const { authToken, isVerified, authRateLimit } = require("../middlewares/auth");
 const {
   validateUserRegistration,
   validateOTPVerification,
+  validatePasswordReset,
   validateUserProfileUpdate,
+  validateObjectId,
 } = require("../middlewares/validation");
 
 // Rate limiting for auth endpoints
@@ -83,7 +85,8 @@ router.post("/register", validateUserRegistration, authController.registerUser);
  *     description: |
  *       Verify the OTP sent to user's phone number to complete the registration process.
  *       Upon successful verification, user will be logged in and receive JWT tokens.
- *       Rate limited to 5 attempts per 15 minutes.
+ *       After 5 wrong codes the phone is locked for 30 minutes; wrong guesses report
+ *       `attemptsRemaining` and locked responses report `retryAfter` (seconds).
  *     requestBody:
  *       required: true
  *       content:
@@ -95,7 +98,7 @@ router.post("/register", validateUserRegistration, authController.registerUser);
  *               summary: OTP verification
  *               value:
  *                 phone: "+967777123456"
- *                 otp: "112233"
+ *                 otp: "482917"
  *     responses:
  *       200:
  *         description: OTP verified successfully, user logged in
@@ -140,7 +143,16 @@ router.post("/register", validateUserRegistration, authController.registerUser);
  *                   status: "fail"
  *                   message: "Phone number and OTP are required"
  *       429:
- *         $ref: '#/components/responses/RateLimitError'
+ *         description: Phone locked after too many invalid attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Too many invalid OTP attempts. Please try again in 30 minutes."
+ *               data:
+ *                 retryAfter: 1800
  */
 router.post(
   "/verify-otp/:phone",
@@ -158,7 +170,8 @@ router.post(
  *     description: |
  *       Request a new OTP for an existing registered phone number.
  *       This can be used if the previous OTP expired or was not received.
- *       Rate limited to 5 attempts per 15 minutes.
+ *       A new code can be requested once per minute and at most 5 times per 24 hours;
+ *       throttled requests return 429 with `retryAfter` (seconds) and a `Retry-After` header.
  *     requestBody:
  *       required: true
  *       content:
@@ -195,7 +208,16 @@ router.post(
  *               status: "fail"
  *               message: "Phone number not found. Please register first."
  *       429:
- *         $ref: '#/components/responses/RateLimitError'
+ *         description: Resend cooldown, daily limit or lockout in effect
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "An OTP was sent recently. Please wait 42 seconds before requesting a new one."
+ *               data:
+ *                 retryAfter: 42
  */
 router.post(
   "/request-otp",
@@ -258,6 +280,164 @@ router.post(
 router.get("/check-phone", authController.checkPhone);
 router.post("/login", authController.login); // Removed rate limiter
 
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Request a password reset code
+ *     description: |
+ *       Send a password reset OTP by SMS to a registered phone number.
+ *       The response is the same whether or not the number is registered, and whether or not a code was sent:
+ *       the resend cooldown and daily limit of other OTPs still apply but are not reported.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserRegistration'
+ *     responses:
+ *       200:
+ *         description: Reset code sent (if the number is registered)
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "If this phone number is registered, a password reset code has been sent."
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post("/forgot-password", validateUserRegistration, authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-reset-otp:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Verify the password reset code
+ *     description: |
+ *       Verify the reset OTP and receive a single-use reset token valid for 10 minutes.
+ *       Wrong codes count towards the OTP lockout.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OTPVerification'
+ *     responses:
+ *       200:
+ *         description: Reset token issued
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "OTP verified. Use the reset token to set a new password."
+ *               data:
+ *                 resetToken: "3f8a1c..."
+ *                 resetTokenExpiresAt: "2024-01-15T10:40:00.000Z"
+ *       400:
+ *         description: Invalid or expired OTP
+ *       429:
+ *         description: Phone locked after too many invalid attempts
+ */
+router.post("/verify-reset-otp", authController.verifyResetOTP);
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Set a new password
+ *     description: |
+ *       Set a new password using the reset token. The token can only be used once,
+ *       and every existing session of the user is revoked.
+ *       The password must be at least 6 characters and include uppercase, lowercase,
+ *       a number and a special character.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resetToken
+ *               - password
+ *               - confirmPassword
+ *             properties:
+ *               resetToken:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 example: "NewPass@123"
+ *               confirmPassword:
+ *                 type: string
+ *                 example: "NewPass@123"
+ *     responses:
+ *       200:
+ *         description: Password reset, all sessions revoked
+ *       400:
+ *         description: Invalid token or password policy violation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Reset token is invalid or has expired"
+ */
+router.post("/reset-password", validatePasswordReset, authController.resetPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh-token:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Refresh the access token
+ *     description: |
+ *       Exchange a refresh token for a new short-lived access token.
+ *       The refresh token is rotated on every call - store the new one and discard the old.
+ *       Replaying an already-used refresh token revokes the whole session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "64abc123def456789012345.9f2c4e..."
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *               refreshToken: "64abc123def456789012345.51ab7d..."
+ *               tokenExpiresAt: "2024-01-15T10:45:00.000Z"
+ *               sessionId: "64abc123def456789012345"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Session expired, revoked or refresh token reused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Refresh token has already been used. Please log in again."
+ */
+router.post("/refresh-token", authController.refreshToken);
+
 // Protected routes (require authentication)
 router.use(authToken); // All routes below require authentication
 
@@ -390,8 +570,8 @@ router.put(
  *       - Authentication
  *     summary: Logout user
  *     description: |
- *       Logout the authenticated user by clearing the JWT cookie.
- *       The user will need to login again to access protected routes.
+ *       Logout the authenticated user by revoking the current session and clearing the JWT cookie.
+ *       The session's access and refresh tokens stop working immediately.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -419,6 +599,98 @@ router.put(
  */
 router.post("/logout", authController.logout);
 
+/**
+ * @swagger
+ * /api/v1/auth/logout-all:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Logout from all devices
+ *     description: Revoke every session of the authenticated user, including the current one.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Logged out from all devices successfully"
+ *               data:
+ *                 revokedSessions: 3
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post("/logout-all", authController.logoutAll);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     tags:
+ *       - Authentication
+ *     summary: List active sessions
+ *     description: List the authenticated user's active device sessions. The session making the request is flagged with `current`.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               results: 1
+ *               data:
+ *                 sessions:
+ *                   - id: "64abc123def456789012345"
+ *                     deviceId: "a1b2c3"
+ *                     deviceName: "Samsung Galaxy A52"
+ *                     userAgent: "okhttp/4.9.0"
+ *                     ip: "10.0.0.12"
+ *                     createdAt: "2024-01-15T10:30:00.000Z"
+ *                     lastUsedAt: "2024-01-15T11:00:00.000Z"
+ *                     expiresAt: "2024-02-14T11:00:00.000Z"
+ *                     current: true
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get("/sessions", authController.getSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{sessionId}:
+ *   delete:
+ *     tags:
+ *       - Authentication
+ *     summary: Revoke a session
+ *     description: Sign out one device by revoking its session.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: sessionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete(
+  "/sessions/:sessionId",
+  validateObjectId("sessionId"),
+  authController.revokeSession
+);
+
 // Routes that require verified phone
 router.use(isVerified); // All routes below require verified phone
 
@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { authToken, isAdmin, checkPermission } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       required: [key, name]
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Value stored in `Product.type` and `Shop.productCategories`; cannot be changed after creation
+ *           example: "Inverters"
+ *         name:
+ *           type: object
+ *           required: [en, ar]
+ *           properties:
+ *             en:
+ *               type: string
+ *               example: "Inverters"
+ *             ar:
+ *               type: string
+ *               example: "انفرترات"
+ *         icon:
+ *           type: string
+ *           description: Icon name or image URL
+ *           example: "inverter"
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: ID of the parent category; listings in a subcategory also match filters on the parent
+ *         sortOrder:
+ *           type: integer
+ *           default: 0
+ *           description: Lower comes first among siblings
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Other spellings accepted on input and stored as `key`
+ *           example: ["Inverter"]
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *           description: Inactive categories cannot be chosen for new listings; existing listings keep them
+ */
+
+/**
+ * @swagger
+ * /api/v1/categories:
+ *   get:
+ *     tags:
+ *       - Categories
+ *     summary: Active product categories
+ *     description: |
+ *       The managed product taxonomy used to validate product types, shop product categories and the
+ *       marketplace filters. Returned as a tree (`children` nested under each category) sorted by `sortOrder`.
+ *     parameters:
+ *       - name: flat
+ *         in: query
+ *         description: Return a flat list in tree order instead of a tree
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Categories
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               results: 1
+ *               data:
+ *                 categories:
+ *                   - _id: "65f1c0a2b3c4d5e6f7a8b9c0"
+ *                     key: "Accessory"
+ *                     name: { en: "Accessories", ar: "ملحقات" }
+ *                     icon: "plug"
+ *                     sortOrder: 50
+ *                     children:
+ *                       - _id: "65f1c0a2b3c4d5e6f7a8b9c1"
+ *                         key: "Cables"
+ *                         name: { en: "Cables", ar: "كابلات" }
+ *                         icon: "cable"
+ *                         parent: "65f1c0a2b3c4d5e6f7a8b9c0"
+ *                         sortOrder: 10
+ *                         children: []
+ *   post:
+ *     tags:
+ *       - Categories
+ *     summary: Create a category (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Category'
+ *           example:
+ *             key: "Water Pumps"
+ *             name: { en: "Solar Water Pumps", ar: "مضخات مياه شمسية" }
+ *             icon: "pump"
+ *             sortOrder: 60
+ *             aliases: ["Pump", "Pumps"]
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       400:
+ *         description: Invalid data, a key or alias already in use, or an invalid parent
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', categoryController.getCategories);
+router.post('/', authToken, isAdmin, checkPermission('products', 'update'), categoryController.createCategory);
+
+/**
+ * @swagger
+ * /api/v1/categories/admin:
+ *   get:
+ *     tags:
+ *       - Categories
+ *     summary: All categories with usage counts (Admin only)
+ *     description: Flat list including inactive categories, with the number of products and shops using each.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Categories
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/admin', authToken, isAdmin, checkPermission('products', 'read'), categoryController.getAdminCategories);
+
+/**
+ * @swagger
+ * /api/v1/categories/{categoryId}:
+ *   put:
+ *     tags:
+ *       - Categories
+ *     summary: Update a category (Admin only)
+ *     description: Names, icon, parent, sort order, aliases and active state can change; the key cannot.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: categoryId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Category'
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       400:
+ *         description: Invalid data, a key change, a conflicting alias or a nesting loop
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     tags:
+ *       - Categories
+ *     summary: Delete a category (Admin only)
+ *     description: Only categories without subcategories that no product or shop uses; deactivate the others.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: categoryId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       400:
+ *         description: Category has subcategories or is in use
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "fail"
+ *               message: "Category is in use; deactivate it instead"
+ *               data: { products: 120, shops: 8 }
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:categoryId', authToken, isAdmin, checkPermission('products', 'update'), validateObjectId('categoryId'), categoryController.updateCategory);
+router.delete('/:categoryId', authToken, isAdmin, checkPermission('products', 'update'), validateObjectId('categoryId'), categoryController.deleteCategory);
+
+module.exports = router;
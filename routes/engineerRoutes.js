@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const engineerController = require("../controllers/engineerController");
-const { authToken, isAdmin } = require("../middlewares/auth");
+const { authToken, isAdmin, checkPermission } = require("../middlewares/auth");
 // middleware to check if user is admin
 
 /**
@@ -205,7 +205,7 @@ const { authToken, isAdmin } = require("../middlewares/auth");
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.post("/add", authToken, isAdmin, engineerController.addEngineer);
+router.post("/add", authToken, isAdmin, checkPermission("engineers", "create"), engineerController.addEngineer);
 
 /**
  * @swagger
@@ -348,7 +348,7 @@ router.post("/add", authToken, isAdmin, engineerController.addEngineer);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get("/get", authToken, isAdmin, engineerController.getAllEngineers);
+router.get("/get", authToken, isAdmin, checkPermission("engineers", "read"), engineerController.getAllEngineers);
 
 /**
  * @swagger
@@ -502,6 +502,7 @@ router.put(
   "/update/:id",
   authToken,
   isAdmin,
+  checkPermission("engineers", "update"),
   engineerController.updateEngineer
 );
 
@@ -561,6 +562,7 @@ router.delete(
   "/delete/:id",
   authToken,
   isAdmin,
+  checkPermission("engineers", "delete"),
   engineerController.deleteEngineer
 );
 
@@ -628,6 +630,7 @@ router.patch(
   "/toggle-status/:id",
   authToken,
   isAdmin,
+  checkPermission("engineers", "update"),
   engineerController.toggleEngineerStatus
 );
 
@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { authToken, isAdmin, checkPermission } = require('../middlewares/auth');
+
+router.use(authToken, isAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/exchange-rates:
+ *   get:
+ *     tags:
+ *       - Exchange Rates
+ *     summary: Current exchange rates (Admin only)
+ *     description: |
+ *       Rates are units of the base currency (YER) per unit of the currency. Every product stores
+ *       `normalizedPrice` in YER at the current rate; marketplace price filters and sorts use it.
+ *       `missing` lists currencies without a published rate - listings in them have no normalised price yet.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Current rates
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 baseCurrency: "YER"
+ *                 rates:
+ *                   - currency: "SAR"
+ *                     rate: 140
+ *                     updatedAt: "2024-01-15T10:30:00.000Z"
+ *                   - currency: "USD"
+ *                     rate: 530
+ *                     updatedAt: "2024-01-15T10:30:00.000Z"
+ *                 missing: ["EUR"]
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     tags:
+ *       - Exchange Rates
+ *     summary: Publish a new exchange rate (Admin only)
+ *     description: |
+ *       Takes effect immediately. The previous rate is kept in the history and the normalised price of
+ *       every listing in the currency is recomputed; `repriced` is the number of listings updated.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currency, rate]
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 enum: [USD, SAR, EUR]
+ *               rate:
+ *                 type: number
+ *                 description: YER per one unit of the currency
+ *                 example: 530
+ *               note:
+ *                 type: string
+ *                 example: "Sana'a market rate"
+ *     responses:
+ *       201:
+ *         description: Rate published
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Exchange rate updated successfully"
+ *               data:
+ *                 entry:
+ *                   _id: "65f1c0a2b3c4d5e6f7a8b9c0"
+ *                   currency: "USD"
+ *                   rate: 530
+ *                   previousRate: 525
+ *                   note: "Sana'a market rate"
+ *                   createdAt: "2024-01-15T10:30:00.000Z"
+ *                 repriced: 214
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', checkPermission('products', 'read'), exchangeRateController.getExchangeRates);
+router.post('/', checkPermission('products', 'update'), exchangeRateController.setExchangeRate);
+
+/**
+ * @swagger
+ * /api/v1/admin/exchange-rates/history:
+ *   get:
+ *     tags:
+ *       - Exchange Rates
+ *     summary: Exchange rate history (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: currency
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [USD, SAR, EUR]
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Published rates, newest first, with the admin who set them
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/history', checkPermission('products', 'read'), exchangeRateController.getExchangeRateHistory);
+
+/**
+ * @swagger
+ * /api/v1/admin/exchange-rates/recalculate:
+ *   post:
+ *     tags:
+ *       - Exchange Rates
+ *     summary: Recompute all normalised prices (Admin only)
+ *     description: Re-prices every listing at the current rates, e.g. listings created before a rate was published.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Listings updated per currency
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Normalised prices recalculated"
+ *               data:
+ *                 repriced: { YER: 1520, USD: 214, SAR: 37 }
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/recalculate', checkPermission('products', 'update'), exchangeRateController.recalculatePrices);
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const favouriteController = require('../controllers/favouriteController');
+const { authToken } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+
+router.use(authToken);
+
+/**
+ * @swagger
+ * /api/v1/favourites:
+ *   get:
+ *     tags:
+ *       - Favourites
+ *     summary: My favourite products, shops and engineers
+ *     description: |
+ *       Newest first. Each favourite carries the saved `item`; products show their `saleStatus` so the app
+ *       can mark sold ones. Items deleted or no longer on the marketplace (pending, rejected, expired,
+ *       deactivated or hidden by reports) come back with `item: null`.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [product, shop, engineer]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Favourites
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               results: 1
+ *               data:
+ *                 favourites:
+ *                   - _id: "65f1c0a2b3c4d5e6f7a8b9c0"
+ *                     itemType: "product"
+ *                     item:
+ *                       _id: "65f1c0a2b3c4d5e6f7a8b9c1"
+ *                       name: "Growatt 5kW inverter"
+ *                       price: 450
+ *                       currency: "USD"
+ *                       status: "approved"
+ *                       saleStatus: "available"
+ *                     createdAt: "2024-01-15T10:30:00.000Z"
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalItems: 1
+ *                   itemsPerPage: 20
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     tags:
+ *       - Favourites
+ *     summary: Add a product, shop or engineer to my favourites
+ *     description: |
+ *       Only items the marketplace currently shows can be added. Adding an item that is already a favourite
+ *       returns 200. Watchers of a product get a notification when its price drops or it is sold.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, itemId]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [product, shop, engineer]
+ *               itemId:
+ *                 type: string
+ *                 example: "65f1c0a2b3c4d5e6f7a8b9c1"
+ *     responses:
+ *       201:
+ *         description: Added to favourites
+ *       200:
+ *         description: Already a favourite
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Item not found or not on the marketplace
+ */
+router.get('/', favouriteController.getFavourites);
+router.post('/', favouriteController.addFavourite);
+
+/**
+ * @swagger
+ * /api/v1/favourites/{type}/{itemId}:
+ *   delete:
+ *     tags:
+ *       - Favourites
+ *     summary: Remove an item from my favourites
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: type
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [product, shop, engineer]
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from favourites
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Favourite not found
+ */
+router.delete('/:type/:itemId', validateObjectId('itemId'), favouriteController.removeFavourite);
+
+module.exports = router;
@@ -0,0 +1,278 @@
+const express = require('express');
+const router = express.Router();
+const moderationRuleController = require('../controllers/moderationRuleController');
+const { authToken, isAdmin, checkPermission } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+
+router.use(authToken, isAdmin);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ModerationRule:
+ *       type: object
+ *       required: [name, type]
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "No replica panels"
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [banned_keywords, price_outlier, posting_velocity, missing_images]
+ *         action:
+ *           type: string
+ *           enum: [reject, flag]
+ *           default: flag
+ *           description: "`reject` rejects the listing with `rejectReasonCode`/`rejectReason`, `flag` keeps it pending and marks it for manual review"
+ *         config:
+ *           type: object
+ *           description: |
+ *             Type specific settings, defaults in brackets, checked when the rule is saved:
+ *             - `banned_keywords`: `keywords` (required, text), `fields` [name, description], any of name, description,
+ *               brand, model, type, governorate, city, locationText
+ *             - `price_outlier`: `minRatio` 0-1 [0.3], `maxRatio` 1-100 [3], `minSamples` 1-500 [5], `lookbackDays` 1-3650 [180];
+ *               compares the price with the median of approved listings of the same type, condition and currency
+ *             - `posting_velocity`: `maxPosts` 1-1000 [5], `windowMinutes` 1-43200 [60]; other listings with the same phone in the window
+ *             - `missing_images`: `minImages` 1-20 [1]
+ *
+ *             Counts and day or minute values are whole numbers.
+ *           example:
+ *             keywords: ["replica", "copy"]
+ *         rejectReasonCode:
+ *           type: string
+ *           enum: [incomplete_information, poor_images, wrong_category, misleading, prohibited_item, duplicate, contact_details, other]
+ *         rejectReason:
+ *           type: string
+ *           example: "Replica equipment cannot be sold on the marketplace"
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *         priority:
+ *           type: integer
+ *           default: 100
+ *           description: Lower runs first; the first rejecting rule supplies the rejection reason
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/moderation-rules:
+ *   get:
+ *     tags:
+ *       - Pre-moderation Rules
+ *     summary: List pre-moderation rules (Admin only)
+ *     description: |
+ *       Rules run on every new or resubmitted listing. If any rule with action `reject` fires the listing is rejected,
+ *       otherwise any fired rule flags it for manual review. When nothing fires the listing is approved if
+ *       `autoApproveWhenClean` is on, and stays pending otherwise. The fired rules are stored on the product as `autoModeration`.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [banned_keywords, price_outlier, posting_velocity, missing_images]
+ *       - name: isActive
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Rules in evaluation order, with the available types and their default config
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     tags:
+ *       - Pre-moderation Rules
+ *     summary: Create a pre-moderation rule (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModerationRule'
+ *           examples:
+ *             banned_keywords:
+ *               summary: Reject replica equipment
+ *               value:
+ *                 name: "No replica panels"
+ *                 type: "banned_keywords"
+ *                 action: "reject"
+ *                 config: { keywords: ["replica", "تقليد"] }
+ *                 rejectReasonCode: "prohibited_item"
+ *                 rejectReason: "Replica equipment cannot be sold on the marketplace"
+ *             price_outlier:
+ *               summary: Flag suspicious prices
+ *               value:
+ *                 name: "Price far from market"
+ *                 type: "price_outlier"
+ *                 action: "flag"
+ *                 config: { minRatio: 0.25, maxRatio: 4 }
+ *             velocity:
+ *               summary: Flag bulk posting
+ *               value:
+ *                 name: "Too many posts per hour"
+ *                 type: "posting_velocity"
+ *                 config: { maxPosts: 10, windowMinutes: 60 }
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', checkPermission('products', 'read'), moderationRuleController.getRules);
+router.post('/', checkPermission('products', 'approve'), moderationRuleController.createRule);
+
+/**
+ * @swagger
+ * /api/v1/admin/moderation-rules/settings:
+ *   get:
+ *     tags:
+ *       - Pre-moderation Rules
+ *     summary: Get pre-moderation settings (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Current settings
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 enabled: true
+ *                 autoApproveWhenClean: false
+ *                 updatedAt: "2024-01-15T10:30:00.000Z"
+ *   put:
+ *     tags:
+ *       - Pre-moderation Rules
+ *     summary: Update pre-moderation settings (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 description: Run the rules on new listings
+ *               autoApproveWhenClean:
+ *                 type: boolean
+ *                 description: Approve listings no rule fired on
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/settings', checkPermission('products', 'read'), moderationRuleController.getSettings);
+router.put('/settings', checkPermission('products', 'approve'), moderationRuleController.updateSettings);
+
+/**
+ * @swagger
+ * /api/v1/admin/moderation-rules/evaluate/{productId}:
+ *   post:
+ *     tags:
+ *       - Pre-moderation Rules
+ *     summary: Dry-run the active rules against a product (Admin only)
+ *     description: Reports which rules would fire without changing the product.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Evaluation result
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 productId: "64abc123def456789012345"
+ *                 outcome: "flagged"
+ *                 firedRules:
+ *                   - rule: "65f1c0a2b3c4d5e6f7a8b9c0"
+ *                     name: "Price far from market"
+ *                     type: "price_outlier"
+ *                     action: "flag"
+ *                     detail: "Price 20000 YER is 0.10x the median of 200000 for New Solar Panels"
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/evaluate/:productId', validateObjectId('productId'), checkPermission('products', 'read'), moderationRuleController.evaluateRules);
+
+/**
+ * @swagger
+ * /api/v1/admin/moderation-rules/{ruleId}:
+ *   put:
+ *     tags:
+ *       - Pre-moderation Rules
+ *     summary: Update a pre-moderation rule (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: ruleId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModerationRule'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     tags:
+ *       - Pre-moderation Rules
+ *     summary: Delete a pre-moderation rule (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: ruleId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:ruleId', validateObjectId('ruleId'), checkPermission('products', 'approve'), moderationRuleController.updateRule);
+router.delete('/:ruleId', validateObjectId('ruleId'), checkPermission('products', 'approve'), moderationRuleController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authToken } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+
+router.use(authToken);
+
+/**
+ * @swagger
+ * /api/v1/notifications:
+ *   get:
+ *     tags:
+ *       - Notifications
+ *     summary: My in-app notifications
+ *     description: Newest first, kept for 90 days. `unreadCount` is for the badge in the app.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: unread
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Notifications
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               results: 1
+ *               data:
+ *                 notifications:
+ *                   - _id: "65f1c0a2b3c4d5e6f7a8b9c0"
+ *                     type: "saved_search_match"
+ *                     title: "New listing for \"Pylontech batteries in Aden\""
+ *                     body: "Pylontech US3000C 3.5kWh"
+ *                     data:
+ *                       product:
+ *                         _id: "65f1c0a2b3c4d5e6f7a8b9c1"
+ *                         name: "Pylontech US3000C 3.5kWh"
+ *                         price: 450
+ *                         currency: "USD"
+ *                       savedSearch: "65f1c0a2b3c4d5e6f7a8b9c2"
+ *                     readAt: null
+ *                     createdAt: "2024-01-15T10:30:00.000Z"
+ *                 unreadCount: 1
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalItems: 1
+ *                   itemsPerPage: 20
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', notificationController.getNotifications);
+
+/**
+ * @swagger
+ * /api/v1/notifications/read-all:
+ *   put:
+ *     tags:
+ *       - Notifications
+ *     summary: Mark all my notifications as read
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of notifications updated
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/read-all', notificationController.markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/v1/notifications/{notificationId}/read:
+ *   put:
+ *     tags:
+ *       - Notifications
+ *     summary: Mark a notification as read
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: notificationId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The notification
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Notification not found
+ */
+router.put('/:notificationId/read', validateObjectId('notificationId'), notificationController.markNotificationRead);
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require("express");
 const router = express.Router();
 
 const { checkUserVerified } = require("../middlewares/checkUserVerified");
-const { authToken } = require("../middlewares/auth");
+const { authToken, optionalAuth } = require("../middlewares/auth");
+const { cursorPagination } = require("../middlewares/pagination");
 const productController = require("../controllers/productController");
 
 /**
@@ -53,9 +54,8 @@ const productController = require("../controllers/productController");
  *                 example: "High efficiency solar panel with 25-year warranty. Perfect for residential installations. Includes mounting hardware and cables."
  *               type:
  *                 type: string
- *                 enum: [Inverter, Panel, Battery, Accessory, Cable, Controller, Monitor, Other]
- *                 description: Product category type
- *                 example: "Panel"
+ *                 description: Category key or alias, see `GET /api/v1/categories`
+ *                 example: "Solar Panels"
  *               condition:
  *                 type: string
  *                 enum: [New, Used, Needs Repair, Refurbished]
@@ -119,34 +119,7 @@ const productController = require("../controllers/productController");
  *                   "https://example.com/images/panel-specs.jpg"
  *                 ]
  *               specifications:
- *                 type: object
- *                 description: Product technical specifications
- *                 properties:
- *                   power:
- *                     type: string
- *                     example: "200W"
- *                   voltage:
- *                     type: string
- *                     example: "24V"
- *                   efficiency:
- *                     type: string
- *                     example: "20.1%"
- *                   warranty:
- *                     type: string
- *                     example: "25 years"
- *                   dimensions:
- *                     type: string
- *                     example: "1650x990x35mm"
- *                   weight:
- *                     type: string
- *                     example: "18.5kg"
- *                 example:
- *                   power: "200W"
- *                   voltage: "24V"
- *                   efficiency: "20.1%"
- *                   warranty: "25 years"
- *                   dimensions: "1650x990x35mm"
- *                   weight: "18.5kg"
+ *                 $ref: '#/components/schemas/ProductSpecifications'
  *               isNegotiable:
  *                 type: boolean
  *                 description: Whether the price is negotiable
@@ -175,10 +148,9 @@ const productController = require("../controllers/productController");
  *                   "https://example.com/images/panel-specs.jpg"
  *                 ]
  *                 specifications:
- *                   power: "200W"
- *                   voltage: "24V"
- *                   efficiency: "20.1%"
- *                   warranty: "25 years"
+ *                   powerWp: 200
+ *                   cellType: "monocrystalline"
+ *                   efficiency: 20.1
  *                 isNegotiable: true
  *             battery_listing:
  *               summary: Battery Listing
@@ -199,10 +171,10 @@ const productController = require("../controllers/productController");
  *                   "https://example.com/images/battery-label.jpg"
  *                 ]
  *                 specifications:
- *                   capacity: "200Ah"
- *                   voltage: "12V"
- *                   type: "Gel"
- *                   lifespan: "10-15 years"
+ *                   chemistry: "gel"
+ *                   capacityAh: 200
+ *                   voltage: 12
+ *                   cycles: 1200
  *                 isNegotiable: false
  *             inverter_listing:
  *               summary: Inverter Listing
@@ -224,10 +196,10 @@ const productController = require("../controllers/productController");
  *                   "https://example.com/images/inverter-display.jpg"
  *                 ]
  *                 specifications:
- *                   power: "2000W"
- *                   inputVoltage: "24V DC"
- *                   outputVoltage: "230V AC"
- *                   waveform: "Pure Sine Wave"
+ *                   ratedPowerKw: 2
+ *                   phase: "single"
+ *                   mpptMinVoltage: 60
+ *                   mpptMaxVoltage: 145
  *                 isNegotiable: true
  *     responses:
  *       201:
@@ -362,7 +334,6 @@ router.post("/post", checkUserVerified, productController.postProduct);
  *                 example: "Well maintained solar panel, works perfectly. Used for 2 years."
  *               type:
  *                 type: string
- *                 enum: [Inverter, Panel, Battery, Accessory, Cable, Controller, Monitor, Other]
  *                 example: "Panel"
  *               condition:
  *                 type: string
@@ -411,12 +382,7 @@ router.post("/post", checkUserVerified, productController.postProduct);
  *                   "https://example.com/images/panel-condition.jpg"
  *                 ]
  *               specifications:
- *                 type: object
- *                 description: Technical specifications
- *                 example:
- *                   power: "100W"
- *                   voltage: "12V"
- *                   efficiency: "18.5%"
+ *                 $ref: '#/components/schemas/ProductSpecifications'
  *               isNegotiable:
  *                 type: boolean
  *                 default: true
@@ -441,9 +407,8 @@ router.post("/post", checkUserVerified, productController.postProduct);
  *                   "https://example.com/images/panel-condition.jpg"
  *                 ]
  *                 specifications:
- *                   power: "100W"
- *                   voltage: "12V"
- *                   efficiency: "18.5%"
+ *                   powerWp: 100
+ *                   efficiency: 18.5
  *                 isNegotiable: true
  *     responses:
  *       201:
@@ -500,11 +465,19 @@ router.post("/verfiry-otp", productController.verifyOtp);
  *       Get a paginated list of all approved products in the marketplace.
  *       This endpoint shows only products that have been approved by admins.
  *       Supports filtering, sorting, and pagination.
+ *       Pages are read by cursor, newest first: pass `pagination.nextCursor` as `cursor` while
+ *       `pagination.hasMore` is true. Items do not shift between pages when listings are added.
+ *       Requests with `page` and no `cursor` get the older numbered pages with totals.
  *       **Public endpoint** - No authentication required.
  *     parameters:
+ *       - name: cursor
+ *         in: query
+ *         description: Opaque position returned as `pagination.nextCursor`; omit for the first page
+ *         schema:
+ *           type: string
  *       - name: page
  *         in: query
- *         description: Page number for pagination
+ *         description: Page number for offset pagination (older app versions)
  *         schema:
  *           type: integer
  *           minimum: 1
@@ -521,11 +494,10 @@ router.post("/verfiry-otp", productController.verifyOtp);
  *           example: 20
  *       - name: type
  *         in: query
- *         description: Filter by product type
+ *         description: Filter by product type (category key); a parent category also matches its subcategories
  *         schema:
  *           type: string
- *           enum: [Inverter, Panel, Battery, Accessory, Cable, Controller, Monitor, Other]
- *           example: "Panel"
+ *           example: "Solar Panels"
  *       - name: condition
  *         in: query
  *         description: Filter by product condition
@@ -732,7 +704,43 @@ router.post("/verfiry-otp", productController.verifyOtp);
  *                   status: "fail"
  *                   message: "Invalid sortBy field. Must be one of: createdAt, price, name, views"
  */
-router.get("/browse-products", productController.browseProducts);
+router.get("/browse-products", optionalAuth, cursorPagination, productController.browseProducts);
+
+/**
+ * @swagger
+ * /api/v1/products/specifications:
+ *   get:
+ *     tags:
+ *       - Products
+ *     summary: Specification fields per product type
+ *     description: |
+ *       Typed specification fields each product type accepts in `specifications`, with units, allowed values
+ *       or ranges, and the query parameters `/api/v1/marketplace/search-products` accepts to filter on them.
+ *       Subcategories take the fields of the nearest category above them that has any; types not listed
+ *       take no specifications.
+ *     responses:
+ *       200:
+ *         description: Fields by product type
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: 200
+ *               data:
+ *                 Inverters:
+ *                   - key: "ratedPowerKw"
+ *                     kind: "number"
+ *                     label: "Rated power"
+ *                     unit: "kW"
+ *                     min: 0.1
+ *                     max: 1000
+ *                     filters: ["minRatedPowerKw", "maxRatedPowerKw"]
+ *                   - key: "phase"
+ *                     kind: "option"
+ *                     label: "Phase"
+ *                     values: ["single", "split", "three"]
+ *                     filters: ["phase"]
+ */
+router.get("/specifications", productController.getSpecificationFields);
 
 // Protected routes that require authentication
 router.get("/user-products", authToken, productController.getUserProducts);
@@ -740,6 +748,188 @@ router.get("/user-products", authToken, productController.getUserProducts);
 // update product - requires authentication
 router.put("/update-product/:id", authToken, productController.updateProduct);
 
+/**
+ * @swagger
+ * /api/v1/products/resubmit/{id}:
+ *   put:
+ *     tags:
+ *       - Products
+ *     summary: Fix and resubmit a rejected product
+ *     description: |
+ *       Applies the seller's corrections to a rejected listing and puts it back in the moderation queue
+ *       (`status` becomes `pending`). Only the owner can resubmit, and only while the product is `rejected`.
+ *       The rejection reason is available on the product as `rejectionReasonCode` and `rejectionReason`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Any editable product fields, plus an optional note for the moderator
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: "Replaced the photos with pictures of the actual panel"
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uri
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Product back in the moderation queue
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: 200
+ *               message: "Product resubmitted for review"
+ *               data:
+ *                 _id: "64abc123def456789012345"
+ *                 status: "pending"
+ *       400:
+ *         description: Product is not rejected or the changes are invalid
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: 400
+ *               message: "Only rejected products can be resubmitted"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put("/resubmit/:id", authToken, productController.resubmitProduct);
+
+/**
+ * @swagger
+ * /api/v1/products/renew/{id}:
+ *   put:
+ *     tags:
+ *       - Products
+ *     summary: Renew a listing
+ *     description: |
+ *       Extends the listing by another full lifetime (90 days by default) from now.
+ *       Listings can be renewed once they are within the expiry warning window (7 days by default,
+ *       when the seller gets an SMS reminder) or after they expired. An expired listing returns to the
+ *       status it had before expiring. Owner only. `canRenew` on the product tells whether renewal is possible.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Listing renewed
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: 200
+ *               message: "Product renewed successfully"
+ *               data:
+ *                 _id: "64abc123def456789012345"
+ *                 status: "approved"
+ *                 expiresAt: "2024-04-15T10:30:00.000Z"
+ *                 renewCount: 1
+ *                 canRenew: false
+ *       400:
+ *         description: Too early to renew, or the listing is rejected
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: 400
+ *               message: "Product can be renewed within 7 days of expiry"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put("/renew/:id", authToken, productController.renewProduct);
+
+/**
+ * @swagger
+ * /api/v1/products/sale-status/{id}:
+ *   put:
+ *     tags:
+ *       - Products
+ *     summary: Mark a listing available, reserved or sold
+ *     description: |
+ *       Lets the seller tell buyers an item is reserved or sold. Reserved listings stay in the marketplace
+ *       with `saleStatus: reserved`; sold listings are hidden from marketplace browsing and search but stay in
+ *       the seller's own list (`GET /user-products?saleStatus=sold`). The realised `soldPrice` is optional and
+ *       feeds the admin sales statistics. Setting `available` again clears the sale details. Owner only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [saleStatus]
+ *             properties:
+ *               saleStatus:
+ *                 type: string
+ *                 enum: [available, reserved, sold]
+ *               soldPrice:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Price the item actually sold for (sold only)
+ *               soldCurrency:
+ *                 type: string
+ *                 enum: [YER, USD, SAR, EUR]
+ *                 description: Defaults to the listing currency
+ *               soldAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now; cannot be in the future
+ *           example:
+ *             saleStatus: "sold"
+ *             soldPrice: 140000
+ *             soldAt: "2024-02-01T12:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Sale status updated
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: 200
+ *               message: "Product marked as sold"
+ *               data:
+ *                 _id: "64abc123def456789012345"
+ *                 saleStatus: "sold"
+ *                 soldPrice: 140000
+ *                 soldCurrency: "YER"
+ *                 soldAt: "2024-02-01T12:00:00.000Z"
+ *       400:
+ *         description: Invalid sale status or sale details, or the listing is rejected
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put("/sale-status/:id", authToken, productController.updateSaleStatus);
+
 // delete product - requires authentication
 router.delete(
   "/delete-product/:id",
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { authToken } = require('../middlewares/auth');
+
+router.use(authToken);
+
+/**
+ * @swagger
+ * /api/v1/reports:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Reports I have filed
+ *     description: Newest first, with the review `status` of each.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: My reports
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     tags:
+ *       - Reports
+ *     summary: Report a product, shop or engineer
+ *     description: |
+ *       For scams, wrong information and other problems. A user can have one open report per item.
+ *       Once enough different users have open reports on an item it is hidden from the marketplace
+ *       until admins review them.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, itemId, reason]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [product, shop, engineer]
+ *               itemId:
+ *                 type: string
+ *                 example: "65f1c0a2b3c4d5e6f7a8b9c1"
+ *               reason:
+ *                 type: string
+ *                 enum: [scam, wrong_info, prohibited_item, duplicate, offensive, unreachable, other]
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Required when the reason is `other`
+ *                 example: "Asked for payment before showing the panels"
+ *     responses:
+ *       201:
+ *         description: Report submitted
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Report submitted"
+ *               data:
+ *                 report:
+ *                   _id: "65f1c0a2b3c4d5e6f7a8b9d0"
+ *                   itemType: "product"
+ *                   item: "65f1c0a2b3c4d5e6f7a8b9c1"
+ *                   reason: "scam"
+ *                   comment: "Asked for payment before showing the panels"
+ *                   status: "pending"
+ *                   createdAt: "2024-01-15T10:30:00.000Z"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: An open report by this user already exists for the item
+ */
+router.get('/', reportController.getMyReports);
+router.post('/', reportController.createReport);
+
+module.exports = router;
@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const savedSearchController = require('../controllers/savedSearchController');
+const { authToken } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+
+router.use(authToken);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedSearch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Pylontech batteries in Aden"
+ *         criteria:
+ *           type: object
+ *           description: |
+ *             Query parameters of `GET /api/v1/marketplace/search-products` that select listings:
+ *             `search_keyword`, `type`, `condition`, `brand`, `governorate`, `city`, `minPrice`, `maxPrice`,
+ *             `currency` and the specification filters (`minCapacityAh`, `chemistry`, ...).
+ *           example:
+ *             type: "Batteries"
+ *             brand: "Pylontech"
+ *             governorate: "Aden"
+ *         frequency:
+ *           type: string
+ *           enum: [instant, daily, weekly, off]
+ *           default: instant
+ *           description: |
+ *             `instant` sends a notification for each newly approved match; `daily` and `weekly` send one digest
+ *             of the matches per period; `off` keeps the search without alerts.
+ *         matchCount:
+ *           type: integer
+ *         lastMatchedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastAlertedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/saved-searches:
+ *   get:
+ *     tags:
+ *       - Saved Searches
+ *     summary: My saved searches
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     searches:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SavedSearch'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     tags:
+ *       - Saved Searches
+ *     summary: Save a product search and get alerted about new matches
+ *     description: |
+ *       Newly approved listings matching the criteria produce in-app notifications
+ *       (see `/api/v1/notifications`). A user can keep up to 20 saved searches.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, criteria]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Pylontech batteries in Aden"
+ *               criteria:
+ *                 type: object
+ *                 example:
+ *                   type: "Batteries"
+ *                   brand: "Pylontech"
+ *                   governorate: "Aden"
+ *               frequency:
+ *                 type: string
+ *                 enum: [instant, daily, weekly, off]
+ *                 default: instant
+ *     responses:
+ *       201:
+ *         description: Search saved
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', savedSearchController.getSavedSearches);
+router.post('/', savedSearchController.createSavedSearch);
+
+/**
+ * @swagger
+ * /api/v1/saved-searches/{searchId}:
+ *   put:
+ *     tags:
+ *       - Saved Searches
+ *     summary: Rename a saved search, change its criteria or alert frequency
+ *     description: Switching to `instant` or `off` drops matches waiting for a digest.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: searchId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               criteria:
+ *                 type: object
+ *               frequency:
+ *                 type: string
+ *                 enum: [instant, daily, weekly, off]
+ *     responses:
+ *       200:
+ *         description: Saved search updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Saved search not found
+ *   delete:
+ *     tags:
+ *       - Saved Searches
+ *     summary: Delete a saved search
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: searchId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search deleted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Saved search not found
+ */
+router.put('/:searchId', validateObjectId('searchId'), savedSearchController.updateSavedSearch);
+router.delete('/:searchId', validateObjectId('searchId'), savedSearchController.deleteSavedSearch);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const shopController = require("../controllers/shopController");
-const { authToken, isAdmin } = require("../middlewares/auth");
+const { authToken, isAdmin, checkPermission } = require("../middlewares/auth");
 
 /**
  * @swagger
@@ -15,7 +15,7 @@ const { authToken, isAdmin } = require("../middlewares/auth");
  *       **Admin Access Required**: Only administrators can add shops.
  *       Shops added through this endpoint will be available for users to browse and contact.
  *       **Services**: sale, install, repair, maintenance, consultation, warranty
- *       **Product Categories**: Inverter, Panel, Battery, Accessory, Cable, Controller, Monitor, Complete Systems
+ *       **Product Categories**: keys from the managed taxonomy (`GET /api/v1/categories`)
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -87,9 +87,8 @@ const { authToken, isAdmin } = require("../middlewares/auth");
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [Inverter, Panel, Battery, Accessory, Cable, Controller, Monitor, Complete Systems]
- *                 description: Product categories sold by the shop
- *                 example: ["Panel", "Inverter", "Battery", "Complete Systems"]
+ *                 description: Category keys or aliases of the products sold by the shop, see `GET /api/v1/categories`
+ *                 example: ["Solar Panels", "Inverters", "Batteries"]
  *               brands:
  *                 type: array
  *                 items:
@@ -150,7 +149,7 @@ const { authToken, isAdmin } = require("../middlewares/auth");
  *                 city: "Sanhan"
  *                 address: "Al-Tahrir Street, Commercial Building 25"
  *                 services: ["sale", "install", "repair", "warranty"]
- *                 productCategories: ["Panel", "Inverter", "Battery", "Complete Systems"]
+ *                 productCategories: ["Solar Panels", "Inverters", "Batteries"]
  *                 brands: ["Canadian Solar", "Victron Energy", "Trojan Battery"]
  *                 operatingHours:
  *                   weekdays: "8:00 AM - 6:00 PM"
@@ -196,7 +195,7 @@ const { authToken, isAdmin } = require("../middlewares/auth");
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.post("/add", authToken, isAdmin, shopController.addShop);
+router.post("/add", authToken, isAdmin, checkPermission("shops", "create"), shopController.addShop);
 
 /**
  * @swagger
@@ -250,12 +249,12 @@ router.post("/add", authToken, isAdmin, shopController.addShop);
  *         schema:
  *           type: string
  *           example: "sale,install"
- *       - name: productCategories
+ *       - name: category
  *         in: query
- *         description: Filter by product categories (comma-separated)
+ *         description: Shops selling this category (key or alias); a parent category also matches its subcategories
  *         schema:
  *           type: string
- *           example: "Panel,Inverter"
+ *           example: "Inverters"
  *       - name: brands
  *         in: query
  *         description: Filter by brands (comma-separated)
@@ -334,7 +333,7 @@ router.post("/add", authToken, isAdmin, shopController.addShop);
  *                         phone: "+967777123456"
  *                         email: "info@solarsolutions.com"
  *                         services: ["sale", "install", "repair"]
- *                         productCategories: ["Panel", "Inverter", "Battery"]
+ *                         productCategories: ["Solar Panels", "Inverters", "Batteries"]
  *                         governorate: "Sana'a"
  *                         city: "Sanhan"
  *                         isVerified: true
@@ -358,7 +357,7 @@ router.post("/add", authToken, isAdmin, shopController.addShop);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get("/getAll", authToken, isAdmin, shopController.getAllShops);
+router.get("/getAll", authToken, isAdmin, checkPermission("shops", "read"), shopController.getAllShops);
 
 /**
  * @swagger
@@ -431,8 +430,7 @@ router.get("/getAll", authToken, isAdmin, shopController.getAllShops);
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [Inverter, Panel, Battery, Accessory, Cable, Controller, Monitor, Complete Systems]
- *                 example: ["Panel", "Inverter", "Battery", "Complete Systems", "Monitor"]
+ *                 example: ["Solar Panels", "Inverters", "Batteries", "Monitoring"]
  *               brands:
  *                 type: array
  *                 items:
@@ -463,7 +461,7 @@ router.get("/getAll", authToken, isAdmin, shopController.getAllShops);
  *               summary: Expand services and products
  *               value:
  *                 services: ["sale", "install", "repair", "maintenance", "warranty"]
- *                 productCategories: ["Panel", "Inverter", "Battery", "Complete Systems", "Monitor"]
+ *                 productCategories: ["Solar Panels", "Inverters", "Batteries", "Monitoring"]
  *                 brands: ["Canadian Solar", "Victron Energy", "Trojan Battery", "Schneider Electric"]
  *             location_change:
  *               summary: Update location
@@ -491,7 +489,7 @@ router.get("/getAll", authToken, isAdmin, shopController.getAllShops);
  *                       id: "64abc123def456789012345"
  *                       name: "Solar Solutions Yemen - Updated"
  *                       services: ["sale", "install", "repair", "maintenance", "warranty"]
- *                       productCategories: ["Panel", "Inverter", "Battery", "Complete Systems"]
+ *                       productCategories: ["Solar Panels", "Inverters", "Batteries"]
  *                       updatedAt: "2024-01-15T12:30:00.000Z"
  *       400:
  *         $ref: '#/components/responses/ValidationError'
@@ -502,7 +500,7 @@ router.get("/getAll", authToken, isAdmin, shopController.getAllShops);
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.put("/update/:id", authToken, isAdmin, shopController.updateShop);
+router.put("/update/:id", authToken, isAdmin, checkPermission("shops", "update"), shopController.updateShop);
 
 /**
  * @swagger
@@ -557,7 +555,7 @@ router.put("/update/:id", authToken, isAdmin, shopController.updateShop);
  *               status: "fail"
  *               message: "Shop not found with the provided ID"
  */
-router.delete("/delete/:id", authToken, isAdmin, shopController.deleteShop);
+router.delete("/delete/:id", authToken, isAdmin, checkPermission("shops", "delete"), shopController.deleteShop);
 
 /**
  * @swagger
@@ -630,6 +628,7 @@ router.put(
   "/toggle-status/:id",
   authToken,
   isAdmin,
+  checkPermission("shops", "update"),
   shopController.toggleShopStatus
 );
 
@@ -9,6 +9,119 @@ const engineerController = require('../controllers/engineerController');
 const productController = require('../controllers/productController');
 const GovernorateData = require('../data/governorates.json');
 const Ads = require("../models/ads");
+const { getCategoryKeysWithDescendants, resolveCategory } = require('../utils/categories');
+const { withConvertedPrices } = require('../utils/exchangeRates');
+const { PRICE_FACET_BOUNDARIES } = require('../config/currencies');
+const exchangeRateController = require('../controllers/exchangeRateController');
+const searchController = require('../controllers/searchController');
+const engagementController = require('../controllers/engagementController');
+const { buildTextSearch, escapeRegex, RELEVANCE_SORT } = require('../utils/search');
+const { termsFacet, rangeFacet, formatRangeBuckets, computeFacets } = require('../utils/facets');
+const { usesCursor, cursorLimit, decodeCursor, paginateByCursor } = require('../utils/pagination');
+const { LISTED_PRODUCTS, buildProductSearch } = require('../utils/productSearch');
+const { AppError } = require('../middlewares/errorHandler');
+const { optionalAuth } = require('../middlewares/auth');
+const { withFavouriteFlags } = require('../utils/favourites');
+const { cursorPagination } = require('../middlewares/pagination');
+const { validateObjectId } = require('../middlewares/validation');
+const { visibleFilter } = require('../utils/reports');
+
+const ENGINEER_FACETS = {
+    governorate: termsFacet('governorate', { caseInsensitive: true }),
+    city: termsFacet('city', { caseInsensitive: true }),
+    services: termsFacet('services', { array: true }),
+    specializations: termsFacet('specializations', { array: true }),
+    availability: termsFacet('availability.status')
+};
+
+const SHOP_FACETS = {
+    governorate: termsFacet('governorate', { caseInsensitive: true }),
+    city: termsFacet('city', { caseInsensitive: true }),
+    services: termsFacet('services', { array: true }),
+    productCategories: termsFacet('productCategories', { array: true }),
+    brands: termsFacet('brands', { array: true, caseInsensitive: true })
+};
+
+// Add the category names to facet buckets keyed by category
+const withCategoryLabels = (buckets = []) => Promise.all(buckets.map(async (bucket) => {
+    const category = await resolveCategory(bucket.value, { includeInactive: true });
+    return { ...bucket, label: category ? category.name : null };
+}));
+
+// Facet buckets for product searches; price ranges are in the requested currency
+const productFacets = async ({ match, filters, currency, rate }) => {
+    const boundaries = PRICE_FACET_BOUNDARIES[currency].map(bound => bound * rate);
+    const facets = await computeFacets(Product, {
+        match,
+        filters,
+        facets: {
+            type: termsFacet('type'),
+            condition: termsFacet('condition'),
+            governorate: termsFacet('governorate', { caseInsensitive: true }),
+            city: termsFacet('city', { caseInsensitive: true }),
+            brand: termsFacet('brand', { caseInsensitive: true }),
+            currency: termsFacet('currency'),
+            price: rangeFacet('normalizedPrice', boundaries)
+        }
+    });
+
+    return {
+        ...facets,
+        type: await withCategoryLabels(facets.type),
+        price: formatRangeBuckets(facets.price || [], boundaries, rate)
+    };
+};
+
+// Location filters match partial names, like the product search
+const locationFilters = ({ governorate, city }) => {
+    const filters = {};
+    if (governorate && governorate.trim()) {
+        filters.governorate = { governorate: { $regex: escapeRegex(governorate.trim()), $options: "i" } };
+    }
+    if (city && city.trim()) {
+        filters.city = { city: { $regex: escapeRegex(city.trim()), $options: "i" } };
+    }
+    return filters;
+};
+
+// Match the keyword plus every filter
+const withFilters = (match, filters) => {
+    const conditions = Object.values(filters);
+    return conditions.length > 0 ? { ...match, $and: conditions } : match;
+};
+
+// One page of a filters-* listing: by cursor for the app, or by page number with totals.
+// Resolves to null when the cursor is invalid.
+const listPage = async (req, Model, { filter, byRelevance = false, populate }) => {
+    if (usesCursor(req)) {
+        const cursor = decodeCursor(req.query.cursor, byRelevance ? 'relevance' : 'recent');
+        if (cursor === null) return null;
+        const { items, pagination } = await paginateByCursor(Model, {
+            filter,
+            cursor,
+            limit: cursorLimit(req.query),
+            byRelevance,
+            populate
+        });
+        return { items, envelope: { pagination } };
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    let query = Model.find(filter)
+        .sort(byRelevance ? RELEVANCE_SORT : { createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+    if (populate) query = query.populate(populate);
+    const [total, items] = await Promise.all([Model.countDocuments(filter), query]);
+    return { items, envelope: { total, currentPage: page, totalPages: Math.ceil(total / limit) } };
+};
+
+const invalidCursor = res => res.status(400).json({
+    status: 400,
+    data: [],
+    message: "Invalid cursor"
+});
 
 
 
@@ -28,15 +141,15 @@ const getGovernorate = async (req, res) => {
 
 }
 
-// filters  Engineer governorate & cities
+// filters  Engineer by keyword, location, service and availability
 
 const filtersEngineer = async (req, res) => {
     try {
-        const { search_keyword = "", page = 1, limit = 10 } = req.query;
+        const { search_keyword = "" } = req.query;
         console.log(req.query);
         
 
-        if (!search_keyword.trim()) {
+        if (!buildTextSearch(search_keyword)) {
             return res.status(400).json({
                 status: 400,
                 data: [],
@@ -44,20 +157,27 @@ const filtersEngineer = async (req, res) => {
             });
         }
 
-        const filterQuery = {
-            $or: [
-                { governorate: { $regex: search_keyword, $options: "i" } },
-                { city: { $regex: search_keyword, $options: "i" } }
-            ]
-        };
-
-        const total = await Engineer.countDocuments(filterQuery);
-        const response = await Engineer.find(filterQuery)
-            .sort({ createdAt: -1 })
-            .skip((parseInt(page) - 1) * parseInt(limit))
-            .limit(parseInt(limit));
-
-        if (response.length === 0) {
+        // Matches locations, names and services, best matches first
+        const match = { $text: buildTextSearch(search_keyword), ...visibleFilter(req) };
+
+        // Optional filters; each has a facet with a count per option (skip with facets=false)
+        const { service, specialization, availability } = req.query;
+        const facetFilters = locationFilters(req.query);
+        if (service) facetFilters.services = { services: service };
+        if (specialization) facetFilters.specializations = { specializations: specialization };
+        if (availability) facetFilters.availability = { 'availability.status': availability };
+        const filterQuery = withFilters(match, facetFilters);
+
+        const [page, facets] = await Promise.all([
+            listPage(req, Engineer, { filter: filterQuery, byRelevance: true }),
+            req.query.facets === 'false'
+                ? undefined
+                : computeFacets(Engineer, { match, filters: facetFilters, facets: ENGINEER_FACETS })
+        ]);
+        if (!page) return invalidCursor(res);
+
+        // An empty page further down a scroll is not an error
+        if (page.items.length === 0 && !req.query.cursor) {
             return res.status(404).json({
                 status: 404,
                 data: [],
@@ -67,10 +187,9 @@ const filtersEngineer = async (req, res) => {
 
         return res.status(200).json({
             status: 200,
-            data: response,
-            total,
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(total / limit),
+            data: await withFavouriteFlags(req, page.items, 'engineer'),
+            facets,
+            ...page.envelope,
             message: "Fetch successful"
         });
 
@@ -85,13 +204,13 @@ const filtersEngineer = async (req, res) => {
 };
 
 
-// filters Shop governorate & cities
+// filters Shop by keyword, location, service, category and brand
 
 const filtersShop = async (req, res) => {
     try {
-        const { search_keyword = "", page = 1, limit = 10 } = req.query;
+        const { search_keyword = "" } = req.query;
         console.log(req.query);
-        if (!search_keyword.trim()) {
+        if (!buildTextSearch(search_keyword)) {
             return res.status(400).json({
                 status: 400,
                 data: [],
@@ -99,21 +218,29 @@ const filtersShop = async (req, res) => {
             });
         }
 
-        const filterQuery = {
-            $or: [
-                { governorate: { $regex: search_keyword, $options: "i" } },
-                { city: { $regex: search_keyword, $options: "i" } }
-            ]
-        };
-
-        const total = await Shop.countDocuments(filterQuery);
-
-        const shops = await Shop.find(filterQuery)
-            .sort({ createdAt: -1 })
-            .skip((parseInt(page) - 1) * parseInt(limit))
-            .limit(parseInt(limit));
+        // Matches locations, names and services, best matches first
+        const match = { $text: buildTextSearch(search_keyword), ...visibleFilter(req) };
 
-        if (shops.length === 0) {
+        // Optional filters; each has a facet with a count per option (skip with facets=false)
+        const { service, category, brand } = req.query;
+        const facetFilters = locationFilters(req.query);
+        if (service) facetFilters.services = { services: service };
+        if (category) {
+            facetFilters.productCategories = { productCategories: { $in: await getCategoryKeysWithDescendants(category) } };
+        }
+        if (brand && brand.trim()) facetFilters.brands = { brands: { $regex: escapeRegex(brand.trim()), $options: "i" } };
+        const filterQuery = withFilters(match, facetFilters);
+
+        const [page, facets] = await Promise.all([
+            listPage(req, Shop, { filter: filterQuery, byRelevance: true }),
+            req.query.facets === 'false'
+                ? undefined
+                : computeFacets(Shop, { match, filters: facetFilters, facets: SHOP_FACETS })
+                    .then(async result => ({ ...result, productCategories: await withCategoryLabels(result.productCategories) }))
+        ]);
+        if (!page) return invalidCursor(res);
+
+        if (page.items.length === 0 && !req.query.cursor) {
             return res.status(404).json({
                 status: 404,
                 data: [],
@@ -123,10 +250,9 @@ const filtersShop = async (req, res) => {
 
         return res.status(200).json({
             status: 200,
-            data: shops,
-            total,
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(total / limit),
+            data: await withFavouriteFlags(req, page.items, 'shop'),
+            facets,
+            ...page.envelope,
             message: "Fetch successful"
         });
 
@@ -145,9 +271,9 @@ const filtersShop = async (req, res) => {
 
 const filtersProduct = async (req, res) => {
     try {
-        const { search_keyword = "", page = 1, limit = 10 } = req.query;
+        const { search_keyword = "" } = req.query;
 
-        if (!search_keyword.trim()) {
+        if (!buildTextSearch(search_keyword)) {
             return res.status(400).json({
                 status: 400,
                 data: [],
@@ -155,26 +281,17 @@ const filtersProduct = async (req, res) => {
             });
         }
 
+        // Matches names, brands, categories, condition and locations, best matches first
         const filterQuery = {
-            $or: [
-                { governorate: { $regex: search_keyword, $options: "i" } },
-                { city: { $regex: search_keyword, $options: "i" } },
-                { brand: { $regex: search_keyword, $options: "i" } },
-                { phone: { $regex: search_keyword, $options: "i" } },
-                { type: { $regex: search_keyword, $options: "i" } },
-                { condition: { $regex: search_keyword, $options: "i" } },
-                { price: { $regex: search_keyword, $options: "i" } }
-            ]
+            ...LISTED_PRODUCTS,
+            $text: buildTextSearch(search_keyword),
+            ...visibleFilter(req)
         };
 
-        const total = await Product.countDocuments(filterQuery);
+        const page = await listPage(req, Product, { filter: filterQuery, byRelevance: true });
+        if (!page) return invalidCursor(res);
 
-        const products = await Product.find(filterQuery)
-            .sort({ createdAt: -1 })
-            .skip((parseInt(page) - 1) * parseInt(limit))
-            .limit(parseInt(limit));
-
-        if (products.length === 0) {
+        if (page.items.length === 0 && !req.query.cursor) {
             return res.status(404).json({
                 status: 404,
                 data: [],
@@ -184,10 +301,8 @@ const filtersProduct = async (req, res) => {
 
         return res.status(200).json({
             status: 200,
-            data: products,
-            total,
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(total / limit),
+            data: await withFavouriteFlags(req, page.items, 'product'),
+            ...page.envelope,
             message: "Fetch successful"
         });
 
@@ -205,84 +320,29 @@ const filtersProduct = async (req, res) => {
 const searchProductsWithFilters = async (req, res) => {
     try {
         const {
-            search_keyword = "",
-            type,
-            condition,
-            brand,
-            governorate,
-            city,
-            minPrice,
-            maxPrice,
             sortBy = "createdAt",
             sortOrder = "desc",
             page = 1,
             limit = 10
         } = req.query;
-        
-        // Build dynamic query
-        const query = { status: 'approved' };
-        const andConditions = [];
-
-        // Add search keyword functionality - Fixed the logic
-        if (search_keyword && search_keyword.trim() !== "") {
-            const keywordRegex = { $regex: search_keyword.trim(), $options: "i" };
-            andConditions.push({
-                $or: [
-                    { name: keywordRegex },
-                    { description: keywordRegex },
-                    { brand: keywordRegex },
-                    { type: keywordRegex }
-                ]
-            });
-        }
-
-        // Add specific filters - only if they exist and are not 'all'
-        if (type && type.trim() !== '' && type !== 'all') {
-            andConditions.push({ type: type });
-        }
-        
-        if (condition && condition.trim() !== '' && condition !== 'all') {
-            andConditions.push({ condition: condition });
-        }
-        
-        if (brand && brand.trim() !== '' && brand !== 'all') {
-            andConditions.push({ brand: { $regex: brand.trim(), $options: "i" } });
-        }
-        
-        if (governorate && governorate.trim() !== '' && governorate !== 'all') {
-            andConditions.push({ governorate: { $regex: governorate.trim(), $options: "i" } });
-        }
-        
-        if (city && city.trim() !== '' && city !== 'all') {
-            andConditions.push({ city: { $regex: city.trim(), $options: "i" } });
-        }
-        
-        // Price range filter
-        if (minPrice || maxPrice) {
-            const priceCondition = {};
-            if (minPrice && !isNaN(parseFloat(minPrice))) {
-                priceCondition.$gte = parseFloat(minPrice);
-            }
-            if (maxPrice && !isNaN(parseFloat(maxPrice))) {
-                priceCondition.$lte = parseFloat(maxPrice);
-            }
-            
-            // Only add price condition if we have valid price constraints
-            if (Object.keys(priceCondition).length > 0) {
-                andConditions.push({ price: priceCondition });
-            }
-        }
 
-        // Combine all conditions
-        if (andConditions.length > 0) {
-            query.$and = andConditions;
+        // Prices are filtered, sorted and optionally shown in the requested currency
+        let search;
+        try {
+            search = await buildProductSearch(req.query);
+        } catch (error) {
+            if (!(error instanceof AppError)) throw error;
+            return res.status(400).json({ status: 400, data: [], message: error.message });
         }
+        const { query, facetMatch, facetFilters, textSearch, currency, priceCurrency, rates } = search;
 
 
         // Sorting
-        const sortOptions = {};
-        if (sortBy === 'price') {
-            sortOptions.price = sortOrder === 'desc' ? -1 : 1;
+        let sortOptions = {};
+        if (textSearch && !req.query.sortBy) {
+            sortOptions = RELEVANCE_SORT;
+        } else if (sortBy === 'price') {
+            sortOptions.normalizedPrice = sortOrder === 'desc' ? -1 : 1;
         } else if (sortBy === 'name') {
             sortOptions.name = sortOrder === 'desc' ? -1 : 1;
         } else {
@@ -294,17 +354,23 @@ const searchProductsWithFilters = async (req, res) => {
         const limitNum = parseInt(limit) || 10;
         const skip = (pageNum - 1) * limitNum;
 
-        // Execute queries
-        const total = await Product.countDocuments(query);
-        const products = await Product.find(query)
-            .sort(sortOptions)
-            .skip(skip)
-            .limit(limitNum)
-            .populate('userId', 'name phone');
+        // Execute queries; facets give the filter sheet a count per option (skip with facets=false)
+        const [total, products, facets] = await Promise.all([
+            Product.countDocuments(query),
+            Product.find(query)
+                .sort(sortOptions)
+                .skip(skip)
+                .limit(limitNum)
+                .populate('userId', 'name phone'),
+            req.query.facets === 'false'
+                ? undefined
+                : productFacets({ match: facetMatch, filters: facetFilters, currency: priceCurrency, rate: rates[priceCurrency] })
+        ]);
 
         return res.status(200).json({
             status: 200,
-            data: products,
+            data: await withFavouriteFlags(req, currency ? withConvertedPrices(products, currency, rates) : products, 'product'),
+            facets,
             total,
             currentPage: pageNum,
             totalPages: Math.ceil(total / limitNum),
@@ -327,7 +393,7 @@ const searchProductsWithFilters = async (req, res) => {
 // filters Ads
 const filtersAds = async (req, res) => {
     try {
-        const { search_keyword = "", page = 1, limit = 10 } = req.query;
+        const { search_keyword = "" } = req.query;
 
         let filterQuery = {
             isActive: true,
@@ -336,24 +402,18 @@ const filtersAds = async (req, res) => {
 
         if (search_keyword.trim()) {
             filterQuery.$or = [
-                { title: { $regex: search_keyword, $options: "i" } },
-                { description: { $regex: search_keyword, $options: "i" } }
+                { title: { $regex: escapeRegex(search_keyword.trim()), $options: "i" } },
+                { description: { $regex: escapeRegex(search_keyword.trim()), $options: "i" } }
             ];
         }
 
-        const total = await Ads.countDocuments(filterQuery);
-        const ads = await Ads.find(filterQuery)
-            .sort({ createdAt: -1 })
-            .skip((parseInt(page) - 1) * parseInt(limit))
-            .limit(parseInt(limit))
-            .populate('createdBy', 'name');
+        const page = await listPage(req, Ads, { filter: filterQuery, populate: { path: 'createdBy', select: 'name' } });
+        if (!page) return invalidCursor(res);
 
         return res.status(200).json({
             status: 200,
-            data: ads,
-            total,
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(total / parseInt(limit)),
+            data: page.items,
+            ...page.envelope,
             message: "Ads fetched successfully"
         });
 
@@ -367,6 +427,10 @@ const filtersAds = async (req, res) => {
     }
 };
 
+// listings here scroll by cursor (`cursor`, `limit`); sending `page` keeps offset pages.
+// A user token is optional and flags the user's favourites (`isFavourite`)
+router.use(optionalAuth, cursorPagination);
+
 // users route to get verfied shop
 router.get('/getAllShops', shopController.getAllShops);
 
@@ -379,6 +443,12 @@ router.get('/getAllAds', adsController.getAllAds);
 //  user routes to get products 
 router.get('/browse-products', productController.browseProducts);
 
+// current exchange rates for showing converted prices
+router.get('/exchange-rates', exchangeRateController.getExchangeRates);
+
+// ranked search across products, shops and engineers
+router.get('/search', searchController.searchMarketplace);
+
 // route get Governorate
 router.get('/get/governorate-data', getGovernorate);
 
@@ -406,6 +476,9 @@ router.get('/getOneEngineer/:id', engineerController.getEngineerById);
 // route to get shop by Id:
 router.get('/getOneShop/:id', shopController.getShopById);
 
+// call / WhatsApp tap: returns the product, shop or engineer's numbers and counts the reveal
+router.post('/contact/:type/:id', validateObjectId('id'), engagementController.revealContact);
+
 
 
 
@@ -0,0 +1,110 @@
+const AuditLog = require('../models/auditLog');
+const logger = require('./logger');
+
+// Never copied into an audit entry
+const REDACTED_PATHS = [
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'otp',
+  'twoFactor.secret',
+  'twoFactor.pendingSecret',
+  'twoFactor.recoveryCodes',
+  'loginAttempts',
+  'lockUntil'
+];
+const IGNORED_PATHS = ['__v', 'createdAt', 'updatedAt'];
+
+const isRedacted = (path) =>
+  REDACTED_PATHS.some((redacted) => path === redacted || path.startsWith(`${redacted}.`));
+
+const toPlain = (value) => {
+  if (!value) return {};
+  if (typeof value.toObject === 'function') return value.toObject({ depopulate: true });
+  return value;
+};
+
+const normaliseLeaf = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value && value._bsontype === 'ObjectId') return value.toString();
+  if (Array.isArray(value)) return value.map(normaliseLeaf);
+  return value;
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  value._bsontype !== 'ObjectId';
+
+// { 'a.b': leaf } map of a nested object; arrays are compared as a whole
+const flatten = (value, prefix = '', out = {}) => {
+  Object.entries(value || {}).forEach(([key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (IGNORED_PATHS.includes(path) || isRedacted(path)) return;
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      flatten(child, path, out);
+    } else {
+      out[path] = normaliseLeaf(child);
+    }
+  });
+  return out;
+};
+
+// Before/after maps containing only the paths whose value changed
+const diffChanges = (before, after) => {
+  const flatBefore = flatten(toPlain(before));
+  const flatAfter = flatten(toPlain(after));
+  const changes = { before: {}, after: {} };
+
+  new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]).forEach((path) => {
+    const previous = path in flatBefore ? flatBefore[path] : null;
+    const next = path in flatAfter ? flatAfter[path] : null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.before[path] = previous;
+      changes.after[path] = next;
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Append an audit entry for a privileged action performed by req.user
+ * (or by `actor` when the request is not authenticated, e.g. accepting an invite).
+ * Failures are logged and swallowed so auditing never breaks the action itself.
+ *
+ * @param {object} req - Express request of the acting admin
+ * @param {object} entry - { action, entityType, entityId, entityLabel, before, after, metadata, actor }
+ * @returns {Promise<object|null>} the saved entry, or null when it could not be written
+ */
+const recordAudit = async (req, { action, entityType, entityId = null, entityLabel = '', before = null, after = null, metadata = {}, actor = null }) => {
+  try {
+    actor = actor || (req && req.user) || {};
+
+    return await AuditLog.create({
+      actor: {
+        id: actor._id || null,
+        name: actor.name || '',
+        email: actor.email || '',
+        role: actor.role || ''
+      },
+      action,
+      entity: { type: entityType, id: entityId, label: entityLabel || '' },
+      changes: diffChanges(before, after),
+      metadata,
+      ip: (req && req.ip) || null,
+      userAgent: (req && req.get && req.get('User-Agent')) || null
+    });
+  } catch (error) {
+    logger.error('Failed to write audit log entry', { action, entityType, entityId, error: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit,
+  diffChanges
+};
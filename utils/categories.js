@@ -0,0 +1,137 @@
+const Category = require('../models/category');
+
+// Categories change rarely but are read on every listing save and search
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+
+const normalizeValue = value => String(value || '').trim().toLowerCase();
+
+/**
+ * All categories, sorted for display, with lookups by id and by key or alias.
+ * Cached for a minute per process; admin changes clear the cache right away.
+ *
+ * @returns {Promise<{ categories: object[], byId: Map, byValue: Map }>}
+ */
+const loadCategories = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+
+  await Category.ensureDefaults();
+  const categories = await Category.find().sort({ sortOrder: 1, 'name.en': 1 }).lean();
+
+  const byId = new Map();
+  const byValue = new Map();
+  categories.forEach((category) => {
+    byId.set(category._id.toString(), category);
+    [category.key, ...category.aliases].forEach(value => byValue.set(normalizeValue(value), category));
+  });
+
+  cache = { loadedAt: Date.now(), categories, byId, byValue };
+  return cache;
+};
+
+const invalidateCategoryCache = () => {
+  cache = null;
+};
+
+/**
+ * Find the category a key or alias (case-insensitive) refers to.
+ *
+ * @param {string} value - Category key or alias
+ * @param {object} [options]
+ * @param {boolean} [options.includeInactive=false] - Also match deactivated categories
+ * @returns {Promise<object|null>}
+ */
+const resolveCategory = async (value, { includeInactive = false } = {}) => {
+  if (!value) return null;
+  const { byValue } = await loadCategories();
+  const category = byValue.get(normalizeValue(value));
+  if (!category || (!category.isActive && !includeInactive)) return null;
+  return category;
+};
+
+/**
+ * Map category keys or aliases to canonical keys.
+ *
+ * @param {string[]} values
+ * @returns {Promise<{ keys: string[], unknown: string[] }>} unknown lists values matching no active category
+ */
+const resolveCategoryKeys = async (values = []) => {
+  const keys = [];
+  const unknown = [];
+  for (const value of values) {
+    const category = await resolveCategory(value);
+    if (category) keys.push(category.key);
+    else unknown.push(value);
+  }
+  return { keys: [...new Set(keys)], unknown };
+};
+
+/**
+ * Keys of a category and everything nested below it, so filtering by a parent
+ * also matches listings in its subcategories. Unknown values are returned as-is.
+ *
+ * @param {string} value - Category key or alias
+ * @returns {Promise<string[]>}
+ */
+const getCategoryKeysWithDescendants = async (value) => {
+  const { categories } = await loadCategories();
+  const root = await resolveCategory(value, { includeInactive: true });
+  if (!root) return [value];
+
+  const keys = [root.key];
+  let level = [root._id.toString()];
+  while (level.length) {
+    const children = categories.filter(category => category.parent && level.includes(category.parent.toString()));
+    keys.push(...children.map(category => category.key));
+    level = children.map(category => category._id.toString());
+  }
+  return keys;
+};
+
+/**
+ * Keys of a category and the categories above it, nearest first, so a subcategory
+ * can inherit what its parents define. Unknown values are returned as-is.
+ *
+ * @param {string} value - Category key or alias
+ * @returns {Promise<string[]>}
+ */
+const getCategoryKeysWithAncestors = async (value) => {
+  const { byId } = await loadCategories();
+  let category = await resolveCategory(value, { includeInactive: true });
+  if (!category) return [value];
+
+  const keys = [];
+  while (category && !keys.includes(category.key)) {
+    keys.push(category.key);
+    category = category.parent && byId.get(category.parent.toString());
+  }
+  return keys;
+};
+
+/**
+ * Nest categories under their parents; children keep the given order.
+ *
+ * @param {object[]} categories - Lean category documents
+ * @returns {object[]} root categories with a `children` array
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  return roots;
+};
+
+module.exports = {
+  loadCategories,
+  invalidateCategoryCache,
+  resolveCategory,
+  resolveCategoryKeys,
+  getCategoryKeysWithDescendants,
+  getCategoryKeysWithAncestors,
+  buildCategoryTree
+};
@@ -0,0 +1,180 @@
+const Product = require('../models/product');
+const DuplicateCluster = require('../models/duplicateCluster');
+const logger = require('./logger');
+
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+const PRICE_TOLERANCE = 0.15;
+const MAX_CANDIDATES = 100;
+
+const normalizeText = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+};
+
+// Dice coefficient over character bigrams, 0..1; works for Arabic and Latin names alike
+const textSimilarity = (a, b) => {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  if (!leftGrams.length || !rightGrams.length) return 0;
+
+  const counts = new Map();
+  leftGrams.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+  let overlap = 0;
+  rightGrams.forEach((gram) => {
+    if (counts.get(gram) > 0) {
+      overlap++;
+      counts.set(gram, counts.get(gram) - 1);
+    }
+  });
+
+  return (2 * overlap) / (leftGrams.length + rightGrams.length);
+};
+
+// Both empty or equal ignoring case; a value on only one side does not conflict
+const sameOptional = (a, b) => !a || !b || normalizeText(a) === normalizeText(b);
+
+const similarPrice = (a, b) => {
+  if (a.currency !== b.currency) return false;
+  const high = Math.max(a.price, b.price);
+  return high === 0 || Math.abs(a.price - b.price) / high <= PRICE_TOLERANCE;
+};
+
+/**
+ * Compare a listing with a candidate.
+ *
+ * @returns {{ score: number, reasons: string[] }|null} null when they are not duplicates
+ */
+const compareListings = (product, candidate) => {
+  const reasons = [];
+
+  const images = new Set(product.images || []);
+  if ((candidate.images || []).some(image => images.has(image))) {
+    reasons.push('reused_images');
+  }
+
+  const sameSeller =
+    (product.userId && candidate.userId && product.userId.toString() === candidate.userId.toString()) ||
+    (product.phone && product.phone === candidate.phone);
+  const nameScore = textSimilarity(product.name, candidate.name);
+
+  if (
+    sameSeller &&
+    nameScore >= NAME_SIMILARITY_THRESHOLD &&
+    sameOptional(product.brand, candidate.brand) &&
+    sameOptional(product.model, candidate.model) &&
+    similarPrice(product, candidate)
+  ) {
+    reasons.push('similar_listing');
+  }
+
+  if (!reasons.length) return null;
+  return { score: Math.round(Math.max(nameScore, reasons.includes('reused_images') ? 1 : 0) * 100) / 100, reasons };
+};
+
+/**
+ * Live listings (pending or approved, not sold) that look like copies of the product.
+ *
+ * @param {object} product - Product document
+ * @returns {Promise<Array<{ product: object, score: number, reasons: string[] }>>}
+ */
+const findDuplicates = async (product) => {
+  const or = [{ phone: product.phone }];
+  if (product.userId) or.push({ userId: product.userId });
+  if (product.images && product.images.length) or.push({ images: { $in: product.images } });
+
+  const candidates = await Product.find({
+    _id: { $ne: product._id },
+    status: { $in: ['pending', 'approved'] },
+    saleStatus: { $ne: 'sold' },
+    $or: or
+  })
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .select('name brand model price currency phone userId images status duplicateCluster createdAt');
+
+  return candidates
+    .map(candidate => ({ product: candidate, match: compareListings(product, candidate) }))
+    .filter(item => item.match)
+    .map(item => ({ product: item.product, ...item.match }));
+};
+
+/**
+ * Detect duplicates of a saved product and group them into an open cluster for moderators.
+ * Listings a moderator already dismissed as "not duplicates" are not grouped again.
+ * Errors are logged and swallowed so posting never fails because of detection.
+ *
+ * @param {object} product - Saved product document
+ * @returns {Promise<object|null>} the open cluster, or null when no duplicate was found
+ */
+const detectDuplicates = async (product) => {
+  try {
+    let matches = await findDuplicates(product);
+
+    if (product.duplicateCluster) {
+      const current = await DuplicateCluster.findById(product.duplicateCluster);
+      if (current && current.status === 'dismissed') {
+        const dismissed = new Set(current.products.map(id => id.toString()));
+        matches = matches.filter(match => !dismissed.has(match.product._id.toString()));
+      }
+    }
+
+    product.duplicateMatches = matches.map(match => ({
+      product: match.product._id,
+      score: match.score,
+      reasons: match.reasons
+    }));
+
+    if (!matches.length) {
+      await Product.updateOne({ _id: product._id }, { $set: { duplicateMatches: [] } });
+      return null;
+    }
+
+    // Join an open cluster one of the listings already belongs to, or start one
+    const clusterIds = [product.duplicateCluster, ...matches.map(match => match.product.duplicateCluster)].filter(Boolean);
+    let cluster = clusterIds.length
+      ? await DuplicateCluster.findOne({ _id: { $in: clusterIds }, status: 'open' })
+      : null;
+    if (!cluster) cluster = new DuplicateCluster();
+
+    const productIds = [product._id, ...matches.map(match => match.product._id)];
+    const reasons = [...new Set(matches.flatMap(match => match.reasons))];
+    cluster.products = [...new Set([...cluster.products, ...productIds].map(id => id.toString()))];
+    cluster.reasons = [...new Set([...cluster.reasons, ...reasons])];
+    cluster.lastDetectedAt = new Date();
+    await cluster.save();
+
+    product.duplicateCluster = cluster._id;
+    await Promise.all([
+      Product.updateOne(
+        { _id: product._id },
+        { $set: { duplicateCluster: cluster._id, duplicateMatches: product.duplicateMatches } }
+      ),
+      Product.updateMany({ _id: { $in: productIds } }, { $set: { duplicateCluster: cluster._id } })
+    ]);
+
+    return cluster;
+  } catch (error) {
+    logger.error('Duplicate detection failed', { productId: product._id, error: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  textSimilarity,
+  compareListings,
+  findDuplicates,
+  detectDuplicates
+};
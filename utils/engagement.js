@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const EngagementEvent = require('../models/engagementEvent');
+const DailyEngagement = require('../models/dailyEngagement');
+const { isMarketplaceUser } = require('./favourites');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Counter fields on each item model; products name theirs differently
+const COUNTER_FIELDS = {
+  product: { view: 'viewCount', contact: 'contactCount' },
+  shop: { view: 'views', contact: 'contactsCount' },
+  engineer: { view: 'views', contact: 'contactsCount' }
+};
+
+// DailyEngagement field per action and per contact channel
+const DAILY_FIELDS = { view: 'views', contact: 'contacts' };
+const CHANNEL_FIELDS = { call: 'calls', whatsapp: 'whatsapp' };
+
+// Repeat views or reveals by the same viewer inside this window count once
+const dedupeWindowMs = () => (parseInt(process.env.ENGAGEMENT_DEDUPE_WINDOW_MINUTES) || 30) * 60 * 1000;
+
+// Device ids and IPs are only kept as keyed hashes
+const hashActor = value => crypto
+  .createHmac('sha256', process.env.SECRET_KEY || '')
+  .update(value)
+  .digest('hex');
+
+/**
+ * Who is viewing: the logged-in user, else the app's `X-Device-Id`, else the IP and user agent.
+ *
+ * @param {object} req
+ * @returns {{ actorKey: string, userId: ObjectId|null }}
+ */
+const engagementActor = (req) => {
+  if (isMarketplaceUser(req.user)) {
+    return { actorKey: `user:${req.user._id}`, userId: req.user._id };
+  }
+  const deviceId = req.get('x-device-id');
+  if (deviceId) {
+    return { actorKey: `device:${hashActor(deviceId)}`, userId: null };
+  }
+  return { actorKey: `ip:${hashActor(`${req.ip}|${req.get('user-agent') || ''}`)}`, userId: null };
+};
+
+/**
+ * Record a detail view or contact reveal and roll it into the item's counters and the
+ * day's aggregate. Admins and the item's owner are not counted, nor are repeats by the
+ * same viewer within the dedupe window.
+ *
+ * @param {object} req - With req.user from optionalAuth
+ * @param {object} event
+ * @param {string} event.itemType - 'product', 'shop' or 'engineer'
+ * @param {ObjectId} event.item
+ * @param {string} event.action - 'view' or 'contact'
+ * @param {string} [event.channel] - 'call' or 'whatsapp' for contacts
+ * @param {ObjectId} [event.ownerId] - User who listed the item
+ * @returns {Promise<boolean>} whether the event was counted
+ */
+const recordEngagement = async (req, { itemType, item, action, channel = null, ownerId }) => {
+  if (req.user && !isMarketplaceUser(req.user)) return false;
+  if (ownerId && req.user && req.user._id.equals(ownerId)) return false;
+
+  const { actorKey, userId } = engagementActor(req);
+  const now = Date.now();
+  const windowMs = dedupeWindowMs();
+
+  try {
+    await EngagementEvent.create({
+      itemType,
+      item,
+      action,
+      channel,
+      userId,
+      actorKey,
+      windowStart: new Date(Math.floor(now / windowMs) * windowMs)
+    });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  const daily = { [DAILY_FIELDS[action]]: 1 };
+  if (channel) daily[CHANNEL_FIELDS[channel]] = 1;
+
+  await Promise.all([
+    mongoose.model(EngagementEvent.ENGAGEMENT_MODELS[itemType]).updateOne(
+      { _id: item },
+      { $inc: { [COUNTER_FIELDS[itemType][action]]: 1 } },
+      { timestamps: false }
+    ),
+    DailyEngagement.updateOne(
+      { itemType, item, date: new Date(Math.floor(now / DAY_MS) * DAY_MS) },
+      { $inc: daily },
+      { upsert: true }
+    )
+  ]);
+  return true;
+};
+
+// Record a detail view without holding up the response; failures are only logged
+const trackView = (req, itemType, item) => {
+  recordEngagement(req, { itemType, item: item._id, action: 'view', ownerId: item.userId }).catch((error) => {
+    logger.error('Failed to record view', { itemType, itemId: item._id.toString(), error: error.message });
+  });
+};
+
+module.exports = {
+  COUNTER_FIELDS,
+  engagementActor,
+  recordEngagement,
+  trackView
+};
@@ -0,0 +1,98 @@
+const ExchangeRate = require('../models/exchangeRate');
+const { BASE_CURRENCY, CURRENCIES, CURRENCY_DECIMALS } = require('../config/currencies');
+
+// Rates change a few times a day at most but are read on every search and listing save
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+
+/**
+ * Current rates as units of the base currency per unit, e.g. { YER: 1, USD: 530 }.
+ * Currencies without a published rate are missing from the map.
+ * Cached for a minute per process; publishing a rate clears the cache right away.
+ *
+ * @returns {Promise<object>}
+ */
+const getCurrentRates = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.rates;
+
+  const current = await ExchangeRate.findCurrent();
+  const rates = { [BASE_CURRENCY]: 1 };
+  current.forEach((entry) => {
+    rates[entry.currency] = entry.rate;
+  });
+
+  cache = { loadedAt: Date.now(), rates };
+  return rates;
+};
+
+const invalidateRateCache = () => {
+  cache = null;
+};
+
+const roundFor = (amount, currency) => {
+  const factor = 10 ** (CURRENCY_DECIMALS[currency] ?? 2);
+  return Math.round(amount * factor) / factor;
+};
+
+/**
+ * Convert an amount between currencies with the given rates.
+ *
+ * @returns {number|null} null when either currency has no rate
+ */
+const convertAmount = (amount, from, to, rates) => {
+  if (amount === null || amount === undefined) return null;
+  if (from === to) return amount;
+  if (!rates[from] || !rates[to]) return null;
+  return roundFor((amount * rates[from]) / rates[to], to);
+};
+
+/**
+ * Price in the base currency at the current rates.
+ *
+ * @returns {Promise<number|null>} null when the currency has no rate yet
+ */
+const normalizePrice = async (amount, currency) => convertAmount(amount, currency || BASE_CURRENCY, BASE_CURRENCY, await getCurrentRates());
+
+/**
+ * Currency a request asked prices in (`?currency=USD`), or null when absent.
+ *
+ * @returns {string|null}
+ * @throws {Error} when the currency is not supported
+ */
+const requestedCurrency = (query = {}) => {
+  if (!query.currency) return null;
+  const currency = String(query.currency).toUpperCase();
+  if (!CURRENCIES.includes(currency)) {
+    throw new Error(`currency must be one of: ${CURRENCIES.join(', ')}`);
+  }
+  return currency;
+};
+
+/**
+ * Add `convertedPrice: { amount, currency }` to products for display; amount is null
+ * when no rate is published for one of the currencies.
+ *
+ * @param {Array} products - Product documents or plain objects
+ * @param {string} currency - Target currency
+ * @param {object} rates - From getCurrentRates()
+ * @returns {Array<object>} plain objects
+ */
+const withConvertedPrices = (products, currency, rates) =>
+  products.map((product) => {
+    const data = typeof product.toJSON === 'function' ? product.toJSON() : { ...product };
+    data.convertedPrice = {
+      amount: convertAmount(data.price, data.currency || BASE_CURRENCY, currency, rates),
+      currency
+    };
+    return data;
+  });
+
+module.exports = {
+  getCurrentRates,
+  invalidateRateCache,
+  convertAmount,
+  normalizePrice,
+  requestedCurrency,
+  withConvertedPrices
+};
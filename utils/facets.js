@@ -0,0 +1,100 @@
+const FACET_BUCKET_LIMIT = 20;
+
+/**
+ * Pipeline counting the values of a field, most common first. Free-text fields can be
+ * grouped case-insensitively; the value shown is one of the spellings in use.
+ *
+ * @param {string} field
+ * @param {object} [options]
+ * @param {boolean} [options.array=false] - The field holds an array; each element is counted
+ * @param {boolean} [options.caseInsensitive=false]
+ * @param {number} [options.limit=FACET_BUCKET_LIMIT]
+ * @returns {Array<object>}
+ */
+const termsFacet = (field, { array = false, caseInsensitive = false, limit = FACET_BUCKET_LIMIT } = {}) => [
+  ...(array ? [{ $unwind: `$${field}` }] : []),
+  { $match: { [field]: { $nin: [null, ''] } } },
+  {
+    $group: {
+      _id: caseInsensitive ? { $toLower: `$${field}` } : `$${field}`,
+      value: { $first: `$${field}` },
+      count: { $sum: 1 }
+    }
+  },
+  { $sort: { count: -1, value: 1 } },
+  { $limit: limit },
+  { $project: { _id: 0, value: 1, count: 1 } }
+];
+
+/**
+ * Pipeline counting a numeric field in ranges starting at each boundary; values past
+ * the last boundary fall in an open-ended range.
+ *
+ * @param {string} field
+ * @param {number[]} boundaries - Ascending lower bounds, in the field's unit
+ * @returns {Array<object>}
+ */
+const rangeFacet = (field, boundaries) => [
+  { $match: { [field]: { $type: 'number', $gte: boundaries[0] } } },
+  {
+    $bucket: {
+      groupBy: `$${field}`,
+      boundaries,
+      default: 'open',
+      output: { count: { $sum: 1 } }
+    }
+  }
+];
+
+/**
+ * Shape rangeFacet results as `{ min, max, count }` in display units.
+ *
+ * @param {Array<object>} buckets - rangeFacet output
+ * @param {number[]} boundaries - The boundaries passed to rangeFacet
+ * @param {number} [scale=1] - Field units per display unit, e.g. the exchange rate
+ * @returns {Array<{ min: number, max: number|null, count: number }>}
+ */
+const formatRangeBuckets = (buckets, boundaries, scale = 1) =>
+  buckets.map((bucket) => {
+    const index = bucket._id === 'open' ? boundaries.length - 1 : boundaries.indexOf(bucket._id);
+    const isLast = bucket._id === 'open';
+    return {
+      min: Math.round(boundaries[index] / scale),
+      max: isLast ? null : Math.round(boundaries[index + 1] / scale),
+      count: bucket.count
+    };
+  });
+
+/**
+ * Count facet buckets over the current filter set in one aggregation. Each facet
+ * ignores its own filter, so the filter sheet can still offer the other options of
+ * a facet once one is selected.
+ *
+ * @param {object} Model
+ * @param {object} options
+ * @param {object} options.match - Conditions shared by every facet; may include $text
+ * @param {object} options.filters - Facet name -> the condition the request applied for it, if any
+ * @param {object} options.facets - Facet name -> pipeline counting it (termsFacet, rangeFacet)
+ * @returns {Promise<object>} facet name -> buckets
+ */
+const computeFacets = async (Model, { match, filters = {}, facets }) => {
+  const facetStage = {};
+  Object.entries(facets).forEach(([name, pipeline]) => {
+    const otherFilters = Object.entries(filters)
+      .filter(([filterName, condition]) => filterName !== name && condition)
+      .map(([, condition]) => condition);
+    facetStage[name] = otherFilters.length
+      ? [{ $match: { $and: otherFilters } }, ...pipeline]
+      : pipeline;
+  });
+
+  const [result] = await Model.aggregate([{ $match: match }, { $facet: facetStage }]);
+  return result || {};
+};
+
+module.exports = {
+  termsFacet,
+  rangeFacet,
+  formatRangeBuckets,
+  computeFacets
+};
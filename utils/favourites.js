@@ -0,0 +1,37 @@
+const Favourite = require('../models/favourite');
+
+// Favourites belong to marketplace users; admin tokens on shared endpoints get no flags
+const isMarketplaceUser = user => Boolean(user) && user.constructor.modelName === 'User';
+
+/**
+ * Add `isFavourite` to items for the logged-in user. Without a user token the items
+ * are returned unchanged.
+ *
+ * @param {object} req - With req.user from authToken or optionalAuth
+ * @param {Array} items - Documents or plain objects with _id
+ * @param {string} itemType - 'product', 'shop' or 'engineer'
+ * @returns {Promise<Array>} plain objects when flagged
+ */
+const withFavouriteFlags = async (req, items, itemType) => {
+  if (!isMarketplaceUser(req.user) || !items || items.length === 0) return items;
+
+  const favouriteIds = await Favourite.findFavouriteIds(req.user._id, itemType, items.map(item => item._id));
+  return items.map((item) => {
+    const data = typeof item.toJSON === 'function' ? item.toJSON() : { ...item };
+    data.isFavourite = favouriteIds.has(String(item._id));
+    return data;
+  });
+};
+
+/**
+ * withFavouriteFlags for a single item.
+ *
+ * @returns {Promise<object>}
+ */
+const withFavouriteFlag = async (req, item, itemType) => (await withFavouriteFlags(req, [item], itemType))[0];
+
+module.exports = {
+  isMarketplaceUser,
+  withFavouriteFlags,
+  withFavouriteFlag
+};
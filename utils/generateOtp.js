@@ -1,6 +1,16 @@
-const generateOTP = () => {
-  return 112233
-  // return Math.floor(100000 + Math.random() * 900000).toString(); // 6 digit OTP
+const crypto = require('crypto');
+
+// Random numeric OTP, zero-padded to the requested length (6 digits by default)
+const generateOTP = (length = 6) => {
+  return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+};
+
+// OTPs are stored hashed; keyed with the app secret so a leaked hash can't be brute-forced offline
+const hashOTP = (otp) => {
+  return crypto
+    .createHmac('sha256', process.env.SECRET_KEY || '')
+    .update(String(otp))
+    .digest('hex');
 };
 
-module.exports = generateOTP;
\ No newline at end of file
+module.exports = { generateOTP, hashOTP };
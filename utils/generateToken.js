@@ -1,16 +1,20 @@
 // utils/generateToken.js
 const jwt = require('jsonwebtoken');
 
-const generateToken = (user) => {
+// Short-lived access token bound to a refresh-token session
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+const generateToken = (user, session) => {
   return jwt.sign(
     {
       id: user._id, // Changed from _id to id to match auth middleware
       phone: user.phone,
-      role: user.role
+      role: user.role,
+      sid: session._id
     },
     process.env.SECRET_KEY,
     {
-      expiresIn: '7d' // Valid for 7 days
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
     }
   );
 };
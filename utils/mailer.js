@@ -0,0 +1,104 @@
+// utils/mailer.js
+// Provider-agnostic mail sender. The active provider is picked with MAIL_PROVIDER
+// (console | file | smtp); extra providers can be plugged in with registerMailProvider.
+// Point the smtp provider at a local catcher (e.g. MailHog on localhost:1025) for testing.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Escape text for interpolation into an HTML mail body
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const defaultFrom = () => process.env.MAIL_FROM || 'Qafzh Solar <no-reply@qafzh-solar.com>';
+
+// Local stub: print the mail to the server log
+const consoleProvider = {
+  send: async ({ to, subject, text }) => {
+    logger.info(`📧 Mail to ${to}: ${subject}\n${text}`);
+    return { messageId: crypto.randomUUID() };
+  }
+};
+
+// Local stub: append the mail as a JSON line to an outbox file
+const fileProvider = {
+  send: async (mail) => {
+    const outbox = process.env.MAIL_OUTBOX_FILE || path.join('logs', 'mail-outbox.log');
+    const messageId = crypto.randomUUID();
+
+    await fs.promises.mkdir(path.dirname(outbox), { recursive: true });
+    await fs.promises.appendFile(
+      outbox,
+      JSON.stringify({ messageId, ...mail, sentAt: new Date().toISOString() }) + '\n'
+    );
+
+    return { messageId };
+  }
+};
+
+// SMTP server (real relay or a local catcher)
+let smtpTransport = null;
+const smtpProvider = {
+  send: async (mail) => {
+    if (!smtpTransport) {
+      const nodemailer = require('nodemailer');
+      smtpTransport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    const info = await smtpTransport.sendMail(mail);
+    return { messageId: info.messageId };
+  }
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+  smtp: smtpProvider
+};
+
+// Register a custom provider: { send: async ({ from, to, subject, text, html }) => ({ messageId }) }
+const registerMailProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`Mail provider "${name}" must implement send()`);
+  }
+  providers[name] = provider;
+};
+
+const getProviderName = () => process.env.MAIL_PROVIDER || 'console';
+
+// Send a mail; never throws, the outcome is returned so callers can react to it
+const sendMail = async ({ to, subject, text, html }) => {
+  const providerName = getProviderName();
+  const provider = providers[providerName];
+
+  if (!provider) {
+    logger.error('Unknown mail provider', { provider: providerName });
+    return { success: false, provider: providerName, error: `Unknown mail provider: ${providerName}` };
+  }
+
+  try {
+    const { messageId } = await provider.send({ from: defaultFrom(), to, subject, text, html });
+    return { success: true, provider: providerName, messageId: messageId || null };
+  } catch (error) {
+    logger.error('Mail send failed', { provider: providerName, to, error: error.message });
+    return { success: false, provider: providerName, error: error.message };
+  }
+};
+
+module.exports = {
+  sendMail,
+  escapeHtml,
+  registerMailProvider
+};
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+/**
+ * Whether a listing request is paginated by cursor. Marketplace routes opt in with the
+ * cursorPagination middleware; a `page` without a `cursor` keeps older app versions on
+ * offset pages. Admin tables always use offset pages.
+ *
+ * @param {object} req
+ * @returns {boolean}
+ */
+const usesCursor = req =>
+  Boolean(req.cursorPagination) && (req.query.cursor !== undefined || req.query.page === undefined);
+
+/**
+ * Page size of a cursor request, between 1 and MAX_LIMIT.
+ *
+ * @returns {number}
+ */
+const cursorLimit = query => Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+const encodeCursor = (kind, value, id) =>
+  Buffer.from(JSON.stringify([kind, value, String(id)])).toString('base64url');
+
+/**
+ * Decode the `cursor` of a request. Cursors are opaque to clients: the position of
+ * the last item returned, in the order of the listing.
+ *
+ * @param {string} [cursor]
+ * @param {string} [kind='recent'] - 'recent' (newest first) or 'relevance' (text score)
+ * @returns {{ value: (Date|number), id: object }|undefined|null} undefined for the first page, null when invalid
+ */
+const decodeCursor = (cursor, kind = 'recent') => {
+  if (cursor === undefined || cursor === '') return undefined;
+  try {
+    const [cursorKind, value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (cursorKind !== kind || !mongoose.isValidObjectId(id)) return null;
+
+    if (kind === 'relevance') {
+      return typeof value === 'number' ? { value, id: new mongoose.Types.ObjectId(id) } : null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : { value: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Items strictly after the cursor in descending (field, _id) order
+const afterCursor = (field, cursor) => ({
+  $or: [
+    { [field]: { $lt: cursor.value } },
+    { [field]: cursor.value, _id: { $lt: cursor.id } }
+  ]
+});
+
+// Paths hidden by `select: false`, which aggregations would otherwise return
+const hiddenPaths = Model =>
+  Object.entries(Model.schema.paths)
+    .filter(([, schemaType]) => schemaType.options && schemaType.options.select === false)
+    .map(([path]) => path);
+
+/**
+ * One page of a listing by cursor, newest first or, for `$text` filters, most relevant
+ * first. Items are ordered by a unique key, so they neither repeat nor go missing when
+ * records are added while a client scrolls, and no page needs a count.
+ *
+ * @param {object} Model
+ * @param {object} options
+ * @param {object} options.filter
+ * @param {object} [options.cursor] - From decodeCursor with the same kind
+ * @param {number} options.limit
+ * @param {boolean} [options.byRelevance=false] - Sort by text score; the filter must contain $text
+ * @param {(string|object)} [options.populate]
+ * @returns {Promise<{ items: Array, pagination: { limit: number, nextCursor: (string|null), hasMore: boolean } }>}
+ */
+const paginateByCursor = async (Model, { filter, cursor, limit, byRelevance = false, populate }) => {
+  let items;
+  let positionOf;
+
+  if (byRelevance) {
+    const hidden = hiddenPaths(Model);
+    const results = await Model.aggregate([
+      { $match: filter },
+      { $addFields: { _relevance: { $meta: 'textScore' } } },
+      ...(cursor ? [{ $match: afterCursor('_relevance', cursor) }] : []),
+      { $sort: { _relevance: -1, _id: -1 } },
+      { $limit: limit + 1 },
+      ...(hidden.length ? [{ $project: Object.fromEntries(hidden.map(path => [path, 0])) }] : [])
+    ]);
+
+    const scores = new Map(results.map(result => [String(result._id), result._relevance]));
+    items = results.map(({ _relevance, ...doc }) => Model.hydrate(doc));
+    if (populate) await Model.populate(items, populate);
+    positionOf = item => ['relevance', scores.get(String(item._id)), item._id];
+  } else {
+    const conditions = cursor
+      ? { ...filter, $and: [...(filter.$and || []), afterCursor('createdAt', cursor)] }
+      : filter;
+    let query = Model.find(conditions).sort({ createdAt: -1, _id: -1 }).limit(limit + 1);
+    if (populate) query = query.populate(populate);
+    items = await query;
+    positionOf = item => ['recent', item.createdAt.toISOString(), item._id];
+  }
+
+  const hasMore = items.length > limit;
+  if (hasMore) items = items.slice(0, limit);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: {
+      limit,
+      nextCursor: hasMore && last ? encodeCursor(...positionOf(last)) : null,
+      hasMore
+    }
+  };
+};
+
+module.exports = {
+  usesCursor,
+  cursorLimit,
+  decodeCursor,
+  paginateByCursor
+};
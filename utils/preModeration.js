@@ -0,0 +1,153 @@
+const Product = require('../models/product');
+const ModerationRule = require('../models/moderationRule');
+const ModerationSettings = require('../models/moderationSettings');
+const logger = require('./logger');
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Each check returns a short explanation when the rule fires, null otherwise
+const checks = {
+  banned_keywords: async (product, config) => {
+    const text = config.fields
+      .map(field => product[field] || '')
+      .join(' ')
+      .toLowerCase();
+    const matched = config.keywords
+      .map(keyword => String(keyword).toLowerCase().trim())
+      .filter(keyword => keyword && text.includes(keyword));
+
+    return matched.length ? `Contains banned keywords: ${matched.join(', ')}` : null;
+  },
+
+  price_outlier: async (product, config) => {
+    const since = new Date(Date.now() - config.lookbackDays * 24 * 60 * 60 * 1000);
+    const comparable = await Product.find({
+      _id: { $ne: product._id },
+      status: 'approved',
+      type: product.type,
+      condition: product.condition,
+      currency: product.currency,
+      createdAt: { $gte: since }
+    })
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .select('price')
+      .lean();
+
+    // Not enough market data to call anything an outlier
+    if (comparable.length < config.minSamples) return null;
+
+    const typical = median(comparable.map(item => item.price));
+    if (!typical) return null;
+
+    const ratio = product.price / typical;
+    if (ratio < config.minRatio || ratio > config.maxRatio) {
+      return `Price ${product.price} ${product.currency} is ${ratio.toFixed(2)}x the median of ${typical} for ${product.condition} ${product.type}`;
+    }
+    return null;
+  },
+
+  posting_velocity: async (product, config) => {
+    const since = new Date(Date.now() - config.windowMinutes * 60 * 1000);
+    const recent = await Product.countDocuments({
+      _id: { $ne: product._id },
+      phone: product.phone,
+      createdAt: { $gte: since }
+    });
+
+    return recent >= config.maxPosts
+      ? `${recent} other listings from ${product.phone} in the last ${config.windowMinutes} minutes`
+      : null;
+  },
+
+  missing_images: async (product, config) => {
+    const count = (product.images || []).length;
+    return count < config.minImages ? `Has ${count} image(s), at least ${config.minImages} required` : null;
+  }
+};
+
+/**
+ * Run the active rules against a product without changing it.
+ *
+ * @param {object} product - Product document
+ * @param {Array} [rules] - Rules to run, defaults to every active rule
+ * @returns {Promise<{ outcome: string, firedRules: Array, rejectedBy: object|null }>}
+ *   outcome is 'rejected', 'flagged' or 'none'; rejectedBy is the first rejecting rule
+ */
+const evaluateProduct = async (product, rules) => {
+  const activeRules = rules || await ModerationRule.findActive();
+  const firedRules = [];
+  let rejectedBy = null;
+
+  for (const rule of activeRules) {
+    const check = checks[rule.type];
+    if (!check) continue;
+
+    const detail = await check(product, rule.getConfig());
+    if (!detail) continue;
+
+    firedRules.push({ rule: rule._id, name: rule.name, type: rule.type, action: rule.action, detail });
+    if (rule.action === 'reject' && !rejectedBy) rejectedBy = rule;
+  }
+
+  let outcome = 'none';
+  if (rejectedBy) outcome = 'rejected';
+  else if (firedRules.length) outcome = 'flagged';
+
+  return { outcome, firedRules, rejectedBy };
+};
+
+/**
+ * Pre-moderate a freshly submitted (pending, saved) product: reject it, flag it for
+ * manual review, or approve it when no rule fired and auto-approval is on.
+ * Run duplicate detection first; suspected duplicates are flagged, never auto-approved.
+ * Errors are logged and leave the product pending for a moderator.
+ *
+ * @param {object} product - Pending product document loaded with its moderation history
+ * @returns {Promise<string|null>} the outcome, or null when the rules did not run
+ */
+const runPreModeration = async (product) => {
+  try {
+    const settings = await ModerationSettings.getSettings();
+    if (!settings.enabled) return null;
+
+    const { outcome, firedRules, rejectedBy } = await evaluateProduct(product);
+    // Suspected duplicates always wait for a moderator
+    const isDuplicate = (product.duplicateMatches || []).length > 0;
+    let finalOutcome = outcome;
+    if (outcome === 'none' && isDuplicate) finalOutcome = 'flagged';
+    else if (outcome === 'none' && settings.autoApproveWhenClean) finalOutcome = 'approved';
+    const ruleNames = firedRules.map(rule => rule.name).join(', ');
+    const flagNote = ruleNames ? `Rules fired: ${ruleNames}` : 'Possible duplicate listing';
+
+    product.autoModeration = {
+      outcome: finalOutcome,
+      firedRules,
+      evaluatedAt: new Date()
+    };
+
+    if (finalOutcome === 'rejected') {
+      await product.reject(rejectedBy.rejectReasonCode, rejectedBy.rejectReason, null, `Rules fired: ${ruleNames}`);
+    } else if (finalOutcome === 'flagged') {
+      await product.flag(flagNote);
+    } else if (finalOutcome === 'approved') {
+      await product.approve(null, 'No pre-moderation rule fired');
+    } else {
+      await product.save();
+    }
+
+    return finalOutcome;
+  } catch (error) {
+    logger.error('Pre-moderation failed, product left for manual review', { productId: product._id, error: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  evaluateProduct,
+  runPreModeration
+};
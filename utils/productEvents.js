@@ -0,0 +1,14 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Product lifecycle events for background work, emitted once the change is saved:
+ * - 'approved' (product): a listing went live after moderation
+ * - 'sold' (product): the seller marked a listing sold
+ * - 'priceDropped' (product, before): a live listing's price went down; before holds the
+ *   previous { price, currency, normalizedPrice }
+ *
+ * Listeners run in the request that saved the product and must handle their own errors.
+ */
+const productEvents = new EventEmitter();
+
+module.exports = productEvents;
@@ -0,0 +1,125 @@
+const { AppError } = require('../middlewares/errorHandler');
+const { buildSpecificationFilters, SPECIFICATION_FILTER_PARAMS } = require('../config/productSpecifications');
+const { getCategoryKeysWithDescendants } = require('./categories');
+const { getCurrentRates, requestedCurrency } = require('./exchangeRates');
+const { buildTextSearch, escapeRegex } = require('./search');
+const { NOT_HIDDEN_BY_REPORTS } = require('./reports');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+// Listings the public marketplace shows; sold and expired ones stay in the seller's history
+const LISTED_PRODUCTS = { status: { $ne: 'expired' }, saleStatus: { $ne: 'sold' } };
+
+// Query parameters of the product search that select listings (not paging or sorting)
+const PRODUCT_SEARCH_CRITERIA = [
+  'search_keyword',
+  'type',
+  'condition',
+  'brand',
+  'governorate',
+  'city',
+  'minPrice',
+  'maxPrice',
+  'currency',
+  ...SPECIFICATION_FILTER_PARAMS
+];
+
+const isSet = value => value !== undefined && value !== null && String(value).trim() !== '' && value !== 'all';
+
+/**
+ * The search criteria in a request query, without empty or 'all' values.
+ *
+ * @param {object} params
+ * @returns {object}
+ */
+const pickSearchCriteria = (params = {}) =>
+  Object.fromEntries(
+    PRODUCT_SEARCH_CRITERIA
+      .filter(key => isSet(params[key]))
+      .map(key => [key, String(params[key]).trim()])
+  );
+
+/**
+ * Build the MongoDB query for product search criteria, as used by the marketplace
+ * search and by saved-search alerts.
+ *
+ * @param {object} criteria - searchProductsWithFilters query parameters
+ * @returns {Promise<object>} query, plus what facets and sorting need: facetMatch (every
+ *   condition except the faceted filters), facetFilters, textSearch, currency (requested,
+ *   or null), priceCurrency and rates
+ * @throws {AppError} 400 when the criteria are invalid
+ */
+const buildProductSearch = async (criteria = {}) => {
+  const { search_keyword, type, condition, brand, governorate, city, minPrice, maxPrice } = criteria;
+
+  // Prices are filtered in the requested currency
+  let currency;
+  try {
+    currency = requestedCurrency(criteria);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+  const rates = await getCurrentRates();
+  const priceCurrency = currency || BASE_CURRENCY;
+  if (!rates[priceCurrency]) {
+    throw new AppError(`No exchange rate is published for ${priceCurrency}`, 400);
+  }
+
+  const query = { ...LISTED_PRODUCTS, status: 'approved', ...NOT_HIDDEN_BY_REPORTS };
+  const andConditions = [];
+  // Conditions of filters that have a facet; each facet is counted without its own
+  const facetFilters = {};
+
+  // Keyword search over the folded text index (Arabic spelling variants, brand names in either script)
+  const textSearch = buildTextSearch(search_keyword);
+  if (textSearch) query.$text = textSearch;
+
+  // A parent category also matches its subcategories
+  if (isSet(type)) {
+    facetFilters.type = { type: { $in: await getCategoryKeysWithDescendants(String(type).trim()) } };
+  }
+  if (isSet(condition)) {
+    facetFilters.condition = { condition: String(condition) };
+  }
+  if (isSet(brand)) {
+    facetFilters.brand = { brand: { $regex: escapeRegex(String(brand).trim()), $options: 'i' } };
+  }
+  if (isSet(governorate)) {
+    facetFilters.governorate = { governorate: { $regex: escapeRegex(String(governorate).trim()), $options: 'i' } };
+  }
+  if (isSet(city)) {
+    facetFilters.city = { city: { $regex: escapeRegex(String(city).trim()), $options: 'i' } };
+  }
+
+  // Price range, compared on the normalised (base currency) price
+  const priceCondition = {};
+  if (isSet(minPrice) && !isNaN(parseFloat(minPrice))) {
+    priceCondition.$gte = parseFloat(minPrice) * rates[priceCurrency];
+  }
+  if (isSet(maxPrice) && !isNaN(parseFloat(maxPrice))) {
+    priceCondition.$lte = parseFloat(maxPrice) * rates[priceCurrency];
+  }
+  if (Object.keys(priceCondition).length > 0) {
+    facetFilters.price = { normalizedPrice: priceCondition };
+  }
+
+  // Specification filters, e.g. minRatedPowerKw=5&phase=three or minPowerWp=400
+  const specificationFilters = buildSpecificationFilters(criteria);
+  if (specificationFilters.errors.length > 0) {
+    throw new AppError(specificationFilters.errors.join('; '), 400);
+  }
+  andConditions.push(...specificationFilters.conditions);
+
+  const facetMatch = andConditions.length > 0 ? { ...query, $and: [...andConditions] } : { ...query };
+
+  andConditions.push(...Object.values(facetFilters));
+  if (andConditions.length > 0) query.$and = andConditions;
+
+  return { query, facetMatch, facetFilters, textSearch, currency, priceCurrency, rates };
+};
+
+module.exports = {
+  LISTED_PRODUCTS,
+  PRODUCT_SEARCH_CRITERIA,
+  pickSearchCriteria,
+  buildProductSearch
+};
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Report = require('../models/report');
+const { isMarketplaceUser } = require('./favourites');
+const logger = require('./logger');
+
+// Listings held back by reports are left out of the marketplace
+const NOT_HIDDEN_BY_REPORTS = { hiddenByReports: { $ne: true } };
+
+// Admin permission resource covering each report type
+const REPORT_RESOURCES = {
+  product: 'products',
+  shop: 'shops',
+  engineer: 'engineers'
+};
+
+const isAdminRequest = req => Boolean(req.user) && !isMarketplaceUser(req.user);
+
+// Marketplace filter for listings (a new object, safe to extend); admins browsing with their token still see held ones
+const visibleFilter = req => (isAdminRequest(req) ? {} : { ...NOT_HIDDEN_BY_REPORTS });
+
+// Whether a single listing should 404 for this request
+const isHiddenFrom = (req, item) => Boolean(item.hiddenByReports) && !isAdminRequest(req);
+
+// Whether the marketplace shows a listing: active, not held by reports, and for products approved and not expired
+const isPubliclyVisible = (type, item) => {
+  if (item.isActive === false || item.hiddenByReports) return false;
+  if (type !== 'product') return true;
+  return item.status === 'approved' && (!item.expiresAt || item.expiresAt > new Date());
+};
+
+// Number of different users whose open reports hide a listing
+const reportHideThreshold = () => parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 3;
+
+/**
+ * Hide an item while enough different users have open reports on it, and show it again
+ * once reviews bring it under the threshold.
+ *
+ * @param {string} itemType - 'product', 'shop' or 'engineer'
+ * @param {ObjectId} item
+ * @returns {Promise<{ reporters: number, hidden: boolean }>}
+ */
+const refreshReportHold = async (itemType, item) => {
+  const reporters = await Report.countOpenReporters(itemType, item);
+  const hidden = reporters >= reportHideThreshold();
+
+  const result = await mongoose.model(Report.REPORT_MODELS[itemType]).updateOne(
+    { _id: item },
+    { $set: { hiddenByReports: hidden } },
+    { timestamps: false }
+  );
+  if (result.modifiedCount) {
+    logger.info(hidden ? 'Listing hidden by reports' : 'Listing released from report hold', {
+      itemType,
+      itemId: item.toString(),
+      reporters
+    });
+  }
+  return { reporters, hidden };
+};
+
+module.exports = {
+  NOT_HIDDEN_BY_REPORTS,
+  REPORT_RESOURCES,
+  visibleFilter,
+  isHiddenFrom,
+  isPubliclyVisible,
+  reportHideThreshold,
+  refreshReportHold
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { SEARCH_SYNONYMS } = require('../config/searchSynonyms');
+
+// Bump when normalisation or the indexed fields change so stored indexes are rebuilt
+const SEARCH_INDEX_VERSION = 1;
+
+// Harakat, Quranic annotation marks and tatweel
+const ARABIC_MARKS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+const ARABIC_PREFIXES = ['وال', 'بال', 'فال', 'كال', 'ال'];
+
+/**
+ * Fold text for matching: lowercase, no diacritics, one form for each of
+ * أ/إ/آ/ا, ة/ه, ى/ي, ؤ/و, ئ/ي, Western digits, punctuation as spaces.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeSearchText = text =>
+  String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(ARABIC_MARKS, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06f0))
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// Every spelling -> the first spelling of its synonym group
+const SYNONYMS = new Map();
+SEARCH_SYNONYMS.forEach((group) => {
+  const [canonical, ...others] = group.map(normalizeSearchText);
+  others.forEach(word => SYNONYMS.set(word, canonical));
+});
+
+// A token plus the forms it should also match: without the Arabic article,
+// split at digit/letter boundaries (5kw -> 5 kw) and its synonym
+const tokenVariants = (token) => {
+  const variants = [token];
+
+  const prefix = ARABIC_PREFIXES.find(candidate => token.startsWith(candidate) && token.length - candidate.length >= 2);
+  if (prefix) variants.push(token.slice(prefix.length));
+
+  const parts = token.match(/\d+|\D+/g);
+  if (parts && parts.length > 1) variants.push(...parts);
+
+  variants.slice().forEach((variant) => {
+    if (SYNONYMS.has(variant)) variants.push(SYNONYMS.get(variant));
+  });
+  return variants;
+};
+
+/**
+ * Normalised, de-duplicated tokens of some text values, including their variants.
+ *
+ * @param {...(string|string[])} values
+ * @returns {string[]}
+ */
+const searchTokens = (...values) => {
+  const tokens = new Set();
+  values
+    .flat()
+    .filter(value => value !== undefined && value !== null)
+    .forEach((value) => {
+      normalizeSearchText(value)
+        .split(' ')
+        .filter(Boolean)
+        .forEach(token => tokenVariants(token).forEach(variant => tokens.add(variant)));
+    });
+  return [...tokens];
+};
+
+/**
+ * MongoDB `$text` condition for a user query, or null when nothing searchable is left.
+ *
+ * @param {string} query
+ * @returns {object|null}
+ */
+const buildTextSearch = (query) => {
+  const terms = searchTokens(query).slice(0, 30);
+  return terms.length ? { $search: terms.join(' ') } : null;
+};
+
+// Sort by relevance, best first; newer records win ties
+const RELEVANCE_SORT = { score: { $meta: 'textScore' }, createdAt: -1 };
+
+const escapeRegex = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const searchIndexSchema = new mongoose.Schema({
+  primary: String,
+  secondary: String,
+  extra: String,
+  version: Number
+}, { _id: false });
+
+/**
+ * Mongoose plugin keeping a folded copy of a model's searchable text in `searchIndex`,
+ * with a weighted text index over it: primary (names) > secondary (brands, services,
+ * categories) > extra (descriptions, locations).
+ *
+ * @param {object} schema
+ * @param {object} options
+ * @param {Function} options.fields - (doc) => { primary, secondary, extra } arrays of text, may be async
+ * @param {string[]} options.paths - Paths whose changes require rebuilding the index
+ */
+const searchIndexPlugin = (schema, { fields, paths }) => {
+  schema.add({
+    searchIndex: {
+      type: searchIndexSchema,
+      default: undefined,
+      select: false
+    }
+  });
+
+  schema.index(
+    { 'searchIndex.primary': 'text', 'searchIndex.secondary': 'text', 'searchIndex.extra': 'text' },
+    {
+      name: 'search_text',
+      weights: { 'searchIndex.primary': 10, 'searchIndex.secondary': 5, 'searchIndex.extra': 1 },
+      default_language: 'none',
+      language_override: 'searchLanguage'
+    }
+  );
+
+  schema.statics.buildSearchIndex = async function(doc) {
+    const { primary = [], secondary = [], extra = [] } = await fields(doc);
+    return {
+      primary: searchTokens(primary).join(' '),
+      secondary: searchTokens(secondary).join(' '),
+      extra: searchTokens(extra).join(' '),
+      version: SEARCH_INDEX_VERSION
+    };
+  };
+
+  // Also rebuilt when the index itself was written to, so it always reflects the document
+  schema.pre('save', async function() {
+    if (this.isNew || this.isModified('searchIndex') || paths.some(path => this.isModified(path))) {
+      this.searchIndex = await this.constructor.buildSearchIndex(this);
+    }
+  });
+
+  // findByIdAndUpdate skips save hooks; rebuild from the stored document afterwards
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (!doc) return;
+    const fresh = await this.model.findById(doc._id);
+    if (!fresh) return;
+    const searchIndex = await this.model.buildSearchIndex(fresh);
+    await this.model.updateOne({ _id: fresh._id }, { $set: { searchIndex } });
+  });
+};
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  RELEVANCE_SORT,
+  normalizeSearchText,
+  searchTokens,
+  buildTextSearch,
+  escapeRegex,
+  searchIndexPlugin
+};
@@ -0,0 +1,51 @@
+// utils/sendOtp.js
+const { sendSms } = require('./smsGateway');
+
+// Human readable wait time for throttling messages
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.ceil(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+const throttleMessages = {
+  locked: (wait) => `Too many invalid OTP attempts. Please try again in ${wait}.`,
+  cooldown: (wait) => `An OTP was sent recently. Please wait ${wait} before requesting a new one.`,
+  daily_limit: (wait) => `Daily OTP limit reached. Please try again in ${wait}.`
+};
+
+// SMS text per OTP purpose
+const otpMessages = {
+  verify: (otp, minutes) => `Your Qafzh Solar verification code is ${otp}. It expires in ${minutes} minutes.`,
+  password_reset: (otp, minutes) => `Your Qafzh Solar password reset code is ${otp}. It expires in ${minutes} minutes. Ignore this message if you did not ask to reset your password.`
+};
+
+// Issue a fresh OTP for the user, deliver it by SMS and record the delivery outcome.
+// Resend cooldowns, daily caps and lockouts are enforced here; a throttled
+// request returns { success: false, throttled: true, reason, retryAfter, error }.
+const sendOTP = async (user, purpose = 'verify') => {
+  const check = await user.claimOtpSend();
+  if (!check.allowed) {
+    return {
+      success: false,
+      throttled: true,
+      reason: check.reason,
+      retryAfter: check.retryAfter,
+      error: throttleMessages[check.reason](formatWait(check.retryAfter))
+    };
+  }
+
+  const otp = user.generateOTP(purpose);
+  const minutes = Math.round((user.otpExpires - Date.now()) / 60000);
+
+  const result = await sendSms(user.phone, otpMessages[purpose](otp, minutes));
+
+  user.recordOtpDelivery(result);
+  await user.save();
+
+  return result;
+};
+
+module.exports = { sendOTP, formatWait };
@@ -0,0 +1,92 @@
+// utils/smsGateway.js
+// Provider-agnostic SMS sender. The active provider is picked with SMS_PROVIDER
+// (console | file | http); extra carriers can be plugged in with registerSmsProvider.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+
+// Local stub: print the message to the server log
+const consoleProvider = {
+  send: async ({ to, message }) => {
+    logger.info(`📱 SMS to ${to}: ${message}`);
+    return { messageId: crypto.randomUUID() };
+  }
+};
+
+// Local stub: append the message as a JSON line to an outbox file
+const fileProvider = {
+  send: async ({ to, message }) => {
+    const outbox = process.env.SMS_OUTBOX_FILE || path.join('logs', 'sms-outbox.log');
+    const messageId = crypto.randomUUID();
+
+    await fs.promises.mkdir(path.dirname(outbox), { recursive: true });
+    await fs.promises.appendFile(
+      outbox,
+      JSON.stringify({ messageId, to, message, sentAt: new Date().toISOString() }) + '\n'
+    );
+
+    return { messageId };
+  }
+};
+
+// Generic HTTP carrier: POSTs { to, from, message } to SMS_HTTP_URL
+const httpProvider = {
+  send: async ({ to, message }) => {
+    if (!process.env.SMS_HTTP_URL) {
+      throw new Error('SMS_HTTP_URL is not configured');
+    }
+
+    const response = await axios.post(
+      process.env.SMS_HTTP_URL,
+      { to, from: process.env.SMS_SENDER_ID || 'QafzhSolar', message },
+      {
+        headers: { 'x-api-key': process.env.SMS_HTTP_API_KEY || '' },
+        timeout: 10000
+      }
+    );
+
+    return { messageId: response.data?.messageId || response.data?.id || null };
+  }
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+  http: httpProvider
+};
+
+// Register a custom provider: { send: async ({ to, message }) => ({ messageId }) }
+const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider "${name}" must implement send()`);
+  }
+  providers[name] = provider;
+};
+
+const getProviderName = () => process.env.SMS_PROVIDER || 'console';
+
+// Send a message; never throws, the outcome is returned so callers can record it
+const sendSms = async (to, message) => {
+  const providerName = getProviderName();
+  const provider = providers[providerName];
+
+  if (!provider) {
+    logger.error('Unknown SMS provider', { provider: providerName });
+    return { success: false, provider: providerName, error: `Unknown SMS provider: ${providerName}` };
+  }
+
+  try {
+    const { messageId } = await provider.send({ to, message });
+    return { success: true, provider: providerName, messageId: messageId || null };
+  } catch (error) {
+    logger.error('SMS send failed', { provider: providerName, to, error: error.message });
+    return { success: false, provider: providerName, error: error.message };
+  }
+};
+
+module.exports = {
+  sendSms,
+  registerSmsProvider
+};